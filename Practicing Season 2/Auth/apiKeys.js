@@ -0,0 +1,191 @@
+// =====================================================================
+//  Auth/apiKeys.js — PERSONAL API KEYS FOR SCRIPTS / CI
+// =====================================================================
+//
+//  Problem: script ko API call karni hai → /login karke "token" cookie
+//  scrape karo?? 15 min mein expire, 2FA beech mein... ❌
+//
+//  Solution: user apne liye naam wali API keys banaye:
+//  → Scopes: sirf jo chahiye ("posts:read", "feed:read") — poora account nahi
+//  → Expiry: 1-365 din
+//  → Key SIRF EK BAAR dikhegi (create pe), store mein sirf SHA-256 hash
+//  → Last used (time + IP) → purani / chori hui key pehchano → revoke
+//
+//  Request:  Authorization: ApiKey nnk_<id>.<secret>
+//
+//  const apiKeys = createApiKeyStore();
+//  app.use("/auth", createApiKeyRouter({ apiKeys, isAuthenticated }));
+//
+//  POST   /auth/api-keys        { name, scopes, expiresInDays } → key (ek baar!)
+//  GET    /auth/api-keys        → meri keys (hash kabhi nahi)
+//  DELETE /auth/api-keys/:id    → revoke
+//
+//  📌 Key ki power = user ke roles ∩ key ke scopes (requirePermission)
+//  📌 "nnk_" prefix → GitHub secret scanning jaise tools leak pakad sakein
+//
+// =====================================================================
+
+const crypto = require("crypto");
+const express = require("express");
+const { hasPermission } = require("./permissions");
+const { requireSession } = require("./middleware");
+
+const KEY_PREFIX = "nnk_";
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+const MAX_KEYS_PER_USER = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "posts:read", "posts:*", "*"
+const SCOPE_PATTERN = /^(\*|[a-z]+:(\*|[a-z]+))$/;
+
+// Random 256-bit secret → SHA-256 kaafi hai (sessions.js jaisa)
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+const sameHash = (a, b) => crypto.timingSafeEqual(Buffer.from(a, "hex"), Buffer.from(b, "hex"));
+
+// Response mein keyHash kabhi nahi!
+const toPublicApiKey = (apiKey) => {
+    if (!apiKey) return null;
+    const { keyHash, ...safe } = apiKey;
+    return { ...safe, expired: apiKey.expiresAt <= new Date() };
+};
+
+// "Authorization: ApiKey nnk_..." → key, warna null
+const getApiKeyFromRequest = (req) => {
+    const [scheme, value] = (req.headers.authorization || "").split(" ");
+    return scheme === "ApiKey" && value ? value : null;
+};
+
+const createApiKeyStore = () => {
+    const keys = new Map(); // keyId → apiKey
+
+    return {
+        // → { apiKey, key } — key SIRF yahan milti hai, dobara nahi
+        async create(userId, { name, scopes, expiresAt }) {
+            const secret = crypto.randomBytes(32).toString("base64url");
+            const apiKey = {
+                id: crypto.randomBytes(8).toString("hex"),
+                userId,
+                name,
+                scopes,
+                createdAt: new Date(),
+                expiresAt,
+                lastUsedAt: null,
+                lastUsedIp: null,
+                revokedAt: null,
+            };
+            apiKey.keyHash = hashSecret(secret);
+            keys.set(apiKey.id, apiKey);
+            return { apiKey, key: `${KEY_PREFIX}${apiKey.id}.${secret}` };
+        },
+
+        // Har request pe → { apiKey } ya { error: "INVALID" | "EXPIRED" | "REVOKED" }
+        async authenticate(rawKey, { ip } = {}) {
+            const [id, secret] = String(rawKey || "").replace(KEY_PREFIX, "").split(".");
+            const apiKey = keys.get(id);
+            if (!apiKey || !secret || !sameHash(hashSecret(secret), apiKey.keyHash)) return { error: "INVALID" };
+
+            if (apiKey.revokedAt) return { error: "REVOKED" };
+            if (apiKey.expiresAt <= new Date()) return { error: "EXPIRED" };
+
+            apiKey.lastUsedAt = new Date();
+            if (ip) apiKey.lastUsedIp = ip;
+            return { apiKey };
+        },
+
+        // Revoked chhod ke sab (expired bhi dikhao → user ko pata chale)
+        async listForUser(userId) {
+            return [...keys.values()]
+                .filter((k) => k.userId === userId && !k.revokedAt)
+                .sort((a, b) => b.createdAt - a.createdAt);
+        },
+
+        // Sirf apni key → true, warna false
+        async revoke(userId, keyId) {
+            const apiKey = keys.get(keyId);
+            if (!apiKey || apiKey.userId !== userId || apiKey.revokedAt) return false;
+            apiKey.revokedAt = new Date();
+            return true;
+        },
+
+        // User ki saari keys (account takeover / disable) → count
+        async revokeAll(userId) {
+            let count = 0;
+            for (const apiKey of keys.values()) {
+                if (apiKey.userId === userId && !apiKey.revokedAt) {
+                    apiKey.revokedAt = new Date();
+                    count++;
+                }
+            }
+            return count;
+        },
+    };
+};
+
+// =====================================================================
+//  ROUTES — sirf logged-in user (cookie), API key se nahi
+// =====================================================================
+
+const createApiKeyRouter = ({ apiKeys, isAuthenticated }) => {
+    const router = express.Router();
+    router.use("/api-keys", isAuthenticated, requireSession);
+
+    router.post("/api-keys", async (req, res) => {
+        const { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS } = req.body || {};
+
+        if (typeof name !== "string" || !name.trim() || name.length > 100) {
+            return res.status(400).json({ success: false, message: "Name is required (max 100 characters)" });
+        }
+        if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every((s) => SCOPE_PATTERN.test(s))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Scopes must be a non-empty list like ["posts:read", "feed:read"]',
+            });
+        }
+        if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+            return res.status(400).json({ success: false, message: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}` });
+        }
+
+        // Jo permission user ke paas hi nahi, wo key ko bhi nahi
+        const notAllowed = scopes.filter((s) => !hasPermission(req.user.roles, s, { isOwner: true }));
+        if (notAllowed.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `You cannot grant scopes you do not have: ${notAllowed.join(", ")}`,
+            });
+        }
+
+        if ((await apiKeys.listForUser(req.userId)).length >= MAX_KEYS_PER_USER) {
+            return res.status(400).json({ success: false, message: `You can have at most ${MAX_KEYS_PER_USER} API keys` });
+        }
+
+        const { apiKey, key } = await apiKeys.create(req.userId, {
+            name: name.trim(),
+            scopes: [...new Set(scopes)],
+            expiresAt: new Date(Date.now() + expiresInDays * DAY_MS),
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "API key created. Copy it now — it will not be shown again!",
+            data: { ...toPublicApiKey(apiKey), key },
+        });
+    });
+
+    router.get("/api-keys", async (req, res) => {
+        const list = await apiKeys.listForUser(req.userId);
+        res.json({ success: true, count: list.length, data: list.map(toPublicApiKey) });
+    });
+
+    router.delete("/api-keys/:id", async (req, res) => {
+        if (!(await apiKeys.revoke(req.userId, req.params.id))) {
+            return res.status(404).json({ success: false, message: "API key not found" });
+        }
+        res.json({ success: true, message: "API key revoked!" });
+    });
+
+    return router;
+};
+
+module.exports = { createApiKeyStore, createApiKeyRouter, getApiKeyFromRequest, toPublicApiKey };
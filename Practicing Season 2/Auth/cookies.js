@@ -0,0 +1,32 @@
+// =====================================================================
+//  Auth/cookies.js — EK JAGAH SE COOKIE ATTRIBUTES
+// =====================================================================
+//
+//  Har jagah alag alag { httpOnly, secure, sameSite } likhoge → kahin
+//  na kahin bhool jaoge (ek route pe sameSite nahi = CSRF ka darwaza).
+//  Isliye sab cookies yahin se:
+//
+//  res.cookie("token", jwt, cookieOptions({ maxAge: 15 * 60 * 1000 }));
+//  res.clearCookie("token", cookieOptions());   ← SAME path/attributes se clear
+//
+//  Defaults:
+//  → httpOnly: true   → JS se access nahi (XSS)
+//  → secure: production mein true (HTTPS only) — COOKIE_SECURE=true/false se override
+//  → sameSite: "lax"  → dusri site ke POST/fetch ke saath cookie nahi jaati
+//  → path: "/"
+//
+// =====================================================================
+
+const isSecure = () => (process.env.COOKIE_SECURE
+    ? process.env.COOKIE_SECURE === "true"
+    : process.env.NODE_ENV === "production");
+
+const cookieOptions = (overrides = {}) => ({
+    httpOnly: true,
+    secure: isSecure(),
+    sameSite: "lax",
+    path: "/",
+    ...overrides,
+});
+
+module.exports = { cookieOptions };
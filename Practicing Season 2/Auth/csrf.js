@@ -0,0 +1,94 @@
+// =====================================================================
+//  Auth/csrf.js — CSRF PROTECTION (signed double-submit cookie)
+// =====================================================================
+//
+//  🤔 CSRF kya hai?
+//  → Tu humari site pe logged in hai (token cookie browser mein)
+//  → evil.com pe ek form: <form action="http://our-site/auth/logout-all" method="POST">
+//  → Browser cookie APNE AAP bhej deta hai → request "tere naam se" 😱
+//
+//  🛡️ Double-submit:
+//  1. GET /auth/csrf → csrfToken cookie mein bhi + response body mein bhi
+//  2. Har POST/PUT/PATCH/DELETE pe header: X-CSRF-Token: <token>
+//  3. Server: header === cookie? → evil.com cookie PADH nahi sakta,
+//     to header mein sahi value daal hi nahi sakta ✅
+//
+//  📌 Token = random + HMAC(CSRF_SECRET) → sirf itna pakka ki token
+//     HUMARE server ne banaya hai (khud ghada hua "aaa.bbb" nahi chalega).
+//     Session se bandha NAHI hai: koi bhi GET /auth/csrf se ek valid token
+//     le sakta hai. Jo subdomain (ya MITM on http) victim ke browser mein
+//     cookie set kar sake, wo apna token cookie + form dono mein daal ke
+//     check pass kar lega → untrusted subdomains pe ye protection kaafi nahi
+//  📌 Authorization: Bearer / ApiKey wali requests → exempt. Browser ye
+//     header khud nahi lagata, cross-site form laga hi nahi sakta.
+//  📌 HTML form? → hidden input name="_csrf"
+//
+//  app.get("/auth/csrf", csrfTokenHandler);
+//  app.use(csrfProtection);
+//
+// =====================================================================
+
+const crypto = require("crypto");
+const { cookieOptions } = require("./cookies");
+
+const CSRF_COOKIE = "csrfToken";
+const CSRF_HEADER = "x-csrf-token";
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+const CSRF_SECRET = process.env.CSRF_SECRET || crypto.randomBytes(32).toString("hex"); // .env mein rakhna!
+
+// Frontend ko cookie padhni hai (header mein bhejne ke liye) → httpOnly NAHI
+const csrfCookieOptions = () => cookieOptions({ httpOnly: false, sameSite: "strict" });
+
+const sign = (value) => crypto.createHmac("sha256", CSRF_SECRET).update(value).digest("base64url");
+
+const generateCsrfToken = () => {
+    const value = crypto.randomBytes(24).toString("base64url");
+    return `${value}.${sign(value)}`;
+};
+
+const isValidCsrfToken = (token) => {
+    const [value, signature] = String(token || "").split(".");
+    if (!value || !signature) return false;
+    const expected = Buffer.from(sign(value));
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+const sameToken = (a, b) => {
+    const x = Buffer.from(String(a || ""));
+    const y = Buffer.from(String(b || ""));
+    return x.length > 0 && x.length === y.length && crypto.timingSafeEqual(x, y);
+};
+
+// Script / mobile app → token header mein, cookie se nahi → CSRF possible hi nahi
+const usesAuthorizationHeader = (req) => /^(Bearer|ApiKey) \S+/.test(req.headers.authorization || "");
+
+// ---- GET /auth/csrf → { csrfToken } (cookie valid hai to wahi wapas) ----
+const csrfTokenHandler = (req, res) => {
+    let csrfToken = req.cookies?.[CSRF_COOKIE];
+    if (!isValidCsrfToken(csrfToken)) {
+        csrfToken = generateCsrfToken();
+        res.cookie(CSRF_COOKIE, csrfToken, csrfCookieOptions());
+    }
+    res.json({ success: true, csrfToken, header: "X-CSRF-Token" });
+};
+
+// ---- app.use(csrfProtection) → unsafe methods pe header === cookie ----
+const csrfProtection = (req, res, next) => {
+    if (SAFE_METHODS.includes(req.method) || usesAuthorizationHeader(req)) return next();
+
+    const cookieToken = req.cookies?.[CSRF_COOKIE];
+    const submitted = req.get(CSRF_HEADER) || req.body?._csrf;
+
+    if (!isValidCsrfToken(cookieToken) || !sameToken(submitted, cookieToken)) {
+        return res.status(403).json({
+            success: false,
+            error: "CSRF_TOKEN_INVALID",
+            message: "Missing or invalid CSRF token. Get one from GET /auth/csrf and send it in the X-CSRF-Token header",
+        });
+    }
+    next();
+};
+
+module.exports = { csrfProtection, csrfTokenHandler, generateCsrfToken, CSRF_COOKIE };
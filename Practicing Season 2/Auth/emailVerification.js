@@ -0,0 +1,101 @@
+// =====================================================================
+//  Auth/emailVerification.js — "PEHLE EMAIL VERIFY KARO"
+// =====================================================================
+//
+//  Signup → user { emailVerified: false } → email mein signed link
+//  → GET /auth/verify-email?token=...  → emailVerified: true ✅
+//
+//  const verification = createEmailVerification({ users });
+//  app.use("/auth", verification.router);
+//  await verification.sendVerificationEmail(user);         // signup pe
+//  app.get("/profile", authMiddleware, verification.requireVerifiedEmail, ...)
+//
+//  GET  /auth/verify-email?token=    → link click
+//  POST /auth/resend-verification    → { email } → naya link (throttled)
+//
+//  📌 Token = JWT { _id, email, purpose: "verify-email" }, 24h expiry
+//     → email badli to purana link bekaar (email match nahi karega)
+//     → login token ki jagah use nahi ho sakta (purpose check)
+//
+// =====================================================================
+
+const express = require("express");
+const { createPurposeToken, verifyPurposeToken } = require("./tokens");
+const { createThrottle } = require("./throttle");
+const { sendVerificationEmail: sendEmail, appUrl } = require("./mailer");
+
+const VERIFY_EMAIL_TTL = "24h";
+
+const createEmailVerification = ({ users }) => {
+    // Ek email pe: 1 minute mein 1, 1 ghante mein max 5
+    const resendThrottle = createThrottle({ windowMs: 60 * 60 * 1000, max: 5, minIntervalMs: 60 * 1000 });
+
+    const sendVerificationEmail = async (user) => {
+        const token = createPurposeToken(user.id, "verify-email", VERIFY_EMAIL_TTL, { email: user.email });
+        await sendEmail(user.email, appUrl("/auth/verify-email", { token }));
+    };
+
+    // Protected routes pe, authMiddleware ke BAAD
+    const requireVerifiedEmail = async (req, res, next) => {
+        const user = req.user || (await users.findById(req.userId));
+        if (!user || user.emailVerified !== true) {
+            return res.status(403).json({
+                success: false,
+                error: "EMAIL_NOT_VERIFIED",
+                message: "Please verify your email first — check your inbox or request a new link",
+            });
+        }
+        next();
+    };
+
+    const router = express.Router();
+
+    router.get("/verify-email", async (req, res) => {
+        const decoded = verifyPurposeToken(req.query.token, "verify-email");
+        const user = decoded && (await users.findById(decoded._id));
+
+        if (!user || user.email !== decoded.email) {
+            return res.status(400).json({ success: false, message: "Verification link is invalid or has expired" });
+        }
+
+        // Dobara click kiya → koi error nahi, bas already verified
+        if (!user.emailVerified) {
+            await users.update(user.id, { emailVerified: true, emailVerifiedAt: new Date() });
+        }
+
+        res.json({ success: true, message: "Email verified! You can now use your account ✅" });
+    });
+
+    router.post("/resend-verification", async (req, res) => {
+        const email = String(req.body?.email || "").trim().toLowerCase();
+        if (!email) {
+            return res.status(400).json({ success: false, message: "Email is required" });
+        }
+
+        // Throttle email pe lagta hai, user mile ya na mile → koi leak nahi
+        const { allowed, retryAfterSeconds } = resendThrottle.hit(email);
+        if (!allowed) {
+            res.set("Retry-After", String(retryAfterSeconds));
+            return res.status(429).json({
+                success: false,
+                message: `Too many requests, try again in ${retryAfterSeconds} seconds`,
+            });
+        }
+
+        // Email ka wait NAHI → unverified account ka response slow hota (timing leak),
+        // aur SES down hone pe 500 → dono se pata chal jaata ki account hai
+        const user = await users.findByEmail(email);
+        if (user && !user.emailVerified) {
+            sendVerificationEmail(user).catch((error) => {
+                console.error("❌ Verification email failed:", error.message);
+            });
+        }
+
+        // Same response hamesha → hacker ko pata nahi chalega email registered hai ya nahi
+        res.json({ success: true, message: "If this email needs verification, a new link has been sent" });
+    });
+
+    return { router, sendVerificationEmail, requireVerifiedEmail };
+};
+
+module.exports = { createEmailVerification };
@@ -0,0 +1,55 @@
+// =====================================================================
+//  Auth/ — Shared authentication & authorization helpers
+// =====================================================================
+//
+//  const { createUserStore, createAuth, requireRole } = require("./Auth");
+//
+//  userStore.js         → users with roles (in-memory)
+//  mongooseUserStore.js → same store on top of a Mongoose User model
+//  keys.js              → JWT signing keys from config (kid, rotation, JWKS)
+//  tokens.js            → createToken / verifyToken (JWT)
+//  sessions.js          → refresh tokens, rotation & revocation
+//  permissions.js       → role → permissions map (RBAC, own / any scopes)
+//  middleware.js        → isAuthenticated, requireRole, requirePermission
+//  roleRoutes.js        → admin APIs to assign roles
+//  throttle.js          → in-memory rate limit (resend email, OTP, ...)
+//  mailer.js            → auth emails (SES or console)
+//  emailVerification.js → verify-email link, resend, requireVerifiedEmail
+//  passwordReset.js     → forgot / reset / change password (one-time token)
+//  totp.js              → RFC 6238 codes (authenticator apps)
+//  twoFactor.js         → 2FA enrolment, recovery codes, two-step login
+//  loginGuard.js        → failed-login backoff, lockout, admin unlock
+//  oidc.js              → "login with provider" (OIDC code + PKCE), account linking
+//  mockOidcProvider.js  → local OIDC provider for testing
+//  apiKeys.js           → scoped personal API keys (scripts / CI)
+//  cookies.js           → shared cookie attributes (httpOnly, secure, sameSite)
+//  csrf.js              → CSRF double-submit token + middleware
+//  passwordPolicy.js    → password strength, breached list, history
+//  passwordHasher.js    → bcrypt / scrypt / argon2id hashes, rehash on login
+//
+// =====================================================================
+
+module.exports = {
+    ...require("./userStore"),
+    ...require("./mongooseUserStore"),
+    ...require("./keys"),
+    ...require("./tokens"),
+    ...require("./sessions"),
+    ...require("./permissions"),
+    ...require("./middleware"),
+    ...require("./roleRoutes"),
+    ...require("./throttle"),
+    ...require("./mailer"),
+    ...require("./emailVerification"),
+    ...require("./passwordReset"),
+    ...require("./totp"),
+    ...require("./twoFactor"),
+    ...require("./loginGuard"),
+    ...require("./oidc"),
+    ...require("./mockOidcProvider"),
+    ...require("./apiKeys"),
+    ...require("./cookies"),
+    ...require("./csrf"),
+    ...require("./passwordPolicy"),
+    ...require("./passwordHasher"),
+};
@@ -0,0 +1,186 @@
+// =====================================================================
+//  Auth/keys.js — JWT SIGNING KEYS (config se, kid ke saath)
+// =====================================================================
+//
+//  🤔 Secret code mein likha → GitHub pe push → sab tokens forge ho sakte
+//  hain. Aur secret badla → sab ke tokens invalid → sab logout!
+//
+//  Solution: KEY RING
+//  → Keys config se aati hain (file / env), code mein NAHI
+//  → Har key ki ek id hoti hai = "kid" → token ke HEADER mein jaati hai
+//  → Sign sirf ACTIVE key se, verify kisi bhi known key se (kid dekh ke)
+//
+//  📌 Rotation bina logout ke:
+//     1. Nayi key add karo, activeKid = nayi key
+//     2. Purani key ko tab tak rakho jab tak uske tokens expire na ho jaayein
+//     3. Phir purani key hata do
+//
+//  Supported algorithms:
+//  → HS256 = ek shared secret (sign + verify dono) — sirf humara server
+//  → RS256 / EdDSA = private key se sign, public key se verify
+//    → Public keys /.well-known/jwks.json pe → dusri services bhi verify
+//      kar sakti hain, bina secret jaane
+//
+//  Config (pehla jo mile):
+//  1. JWT_KEYS_FILE = path to JSON    2. JWT_KEYS = same JSON inline
+//  {
+//    "activeKid": "2026-10",
+//    "keys": [
+//      { "kid": "2026-10", "alg": "EdDSA", "privateKeyFile": "./keys/2026-10.pem" },
+//      { "kid": "2026-04", "alg": "RS256", "publicKey": "-----BEGIN PUBLIC KEY-----..." },
+//      { "kid": "legacy",  "alg": "HS256", "secret": "..." }
+//    ]
+//  }
+//  3. JWT_SECRET = ek HS256 key (kid "default")
+//  4. Kuch nahi → random key (sirf dev! restart = sab logout)
+//
+//  Keys banao:
+//  openssl genpkey -algorithm ed25519 -out keys/2026-10.pem
+//  openssl genpkey -algorithm RSA -pkeyopt rsa_keygen_bits:2048 -out keys/rsa.pem
+//
+// =====================================================================
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+
+const ALGORITHMS = ["HS256", "RS256", "EdDSA"];
+
+// "15m" / "7d" / 3600 → seconds (jsonwebtoken jaisa hi)
+const UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+const toSeconds = (expiresIn) => {
+    if (typeof expiresIn === "number") return expiresIn;
+    const match = /^(\d+)\s*([smhd])$/.exec(String(expiresIn));
+    if (!match) throw new Error(`Invalid expiresIn: ${expiresIn}`);
+    return Number(match[1]) * UNITS[match[2]];
+};
+
+const readPem = (value, file, baseDir) => {
+    if (value) return value;
+    if (file) return fs.readFileSync(path.resolve(baseDir, file), "utf8");
+    return null;
+};
+
+// Config ki ek entry → { kid, alg, signKey, verifyKey }
+const loadKey = ({ kid, alg = "HS256", secret, privateKey, privateKeyFile, publicKey, publicKeyFile }, baseDir) => {
+    if (!kid) throw new Error("Every JWT key needs a kid");
+    if (!ALGORITHMS.includes(alg)) {
+        throw new Error(`Unsupported JWT algorithm "${alg}" for kid "${kid}" (use ${ALGORITHMS.join(", ")})`);
+    }
+
+    if (alg === "HS256") {
+        if (!secret) throw new Error(`HS256 key "${kid}" needs a secret`);
+        return { kid, alg, signKey: secret, verifyKey: secret };
+    }
+
+    const privatePem = readPem(privateKey, privateKeyFile, baseDir);
+    const publicPem = readPem(publicKey, publicKeyFile, baseDir);
+    if (!privatePem && !publicPem) throw new Error(`${alg} key "${kid}" needs a privateKey or publicKey`);
+
+    const signKey = privatePem ? crypto.createPrivateKey(privatePem) : null;
+    const verifyKey = publicPem ? crypto.createPublicKey(publicPem) : crypto.createPublicKey(signKey);
+
+    const type = alg === "RS256" ? "rsa" : "ed25519";
+    if (verifyKey.asymmetricKeyType !== type) {
+        throw new Error(`Key "${kid}" is ${verifyKey.asymmetricKeyType}, but ${alg} needs ${type}`);
+    }
+    return { kid, alg, signKey, verifyKey };
+};
+
+// =====================================================================
+//  EdDSA — jsonwebtoken support nahi karta, to Node crypto se khud
+//  JWT = base64url(header).base64url(payload).base64url(signature)
+// =====================================================================
+
+const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString("base64url");
+
+const signEdDSA = (payload, key, expiresIn) => {
+    const now = Math.floor(Date.now() / 1000);
+    const header = encode({ alg: "EdDSA", typ: "JWT", kid: key.kid });
+    const body = encode({ ...payload, iat: now, exp: now + toSeconds(expiresIn) });
+    const signature = crypto.sign(null, Buffer.from(`${header}.${body}`), key.signKey);
+    return `${header}.${body}.${signature.toString("base64url")}`;
+};
+
+const verifyEdDSA = (token, key) => {
+    const [header, body, signature] = token.split(".");
+    const valid = crypto.verify(null, Buffer.from(`${header}.${body}`), key.verifyKey, Buffer.from(signature, "base64url"));
+    if (!valid) throw new Error("invalid signature");
+
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString());
+    if (typeof payload.exp !== "number" || payload.exp <= Math.floor(Date.now() / 1000)) {
+        throw new Error("jwt expired");
+    }
+    return payload;
+};
+
+// =====================================================================
+//  createKeyRing({ keys, activeKid }) → { sign, verify, jwks }
+// =====================================================================
+
+const createKeyRing = ({ keys, activeKid }, baseDir = process.cwd()) => {
+    const ring = new Map();
+    for (const entry of keys || []) {
+        const key = loadKey(entry, baseDir);
+        if (ring.has(key.kid)) throw new Error(`Duplicate JWT kid "${key.kid}"`);
+        ring.set(key.kid, key);
+    }
+
+    const active = ring.get(activeKid || [...ring.keys()][0]);
+    if (!active) throw new Error(`Active JWT key "${activeKid}" not found`);
+    if (!active.signKey) throw new Error(`Active JWT key "${active.kid}" has no private key to sign with`);
+
+    return {
+        activeKid: active.kid,
+
+        // Hamesha ACTIVE key se sign, kid header mein
+        sign(payload, { expiresIn }) {
+            if (active.alg === "EdDSA") return signEdDSA(payload, active, expiresIn);
+            return jwt.sign(payload, active.signKey, { algorithm: active.alg, keyid: active.kid, expiresIn });
+        },
+
+        // Header ka kid → wahi key → usi ka algorithm (alg header pe bharosa NAHI)
+        // Invalid / expired / unknown kid → throws
+        verify(token) {
+            const decoded = jwt.decode(String(token), { complete: true });
+            const key = decoded && ring.get(decoded.header.kid);
+            if (!key) throw new Error("unknown kid");
+            if (decoded.header.alg !== key.alg) throw new Error("algorithm mismatch");
+
+            if (key.alg === "EdDSA") return verifyEdDSA(token, key);
+            return jwt.verify(token, key.verifyKey, { algorithms: [key.alg] });
+        },
+
+        // Sirf PUBLIC keys — HS256 secrets kabhi bahar nahi jaate!
+        jwks() {
+            const publicKeys = [...ring.values()]
+                .filter((key) => key.alg !== "HS256")
+                .map((key) => ({ ...key.verifyKey.export({ format: "jwk" }), kid: key.kid, alg: key.alg, use: "sig" }));
+            return { keys: publicKeys };
+        },
+    };
+};
+
+// Env se key ring (upar "Config" dekho)
+const loadKeyRing = (env = process.env) => {
+    if (env.JWT_KEYS_FILE) {
+        const file = path.resolve(env.JWT_KEYS_FILE);
+        const config = JSON.parse(fs.readFileSync(file, "utf8"));
+        return createKeyRing({ ...config, activeKid: env.JWT_ACTIVE_KID || config.activeKid }, path.dirname(file));
+    }
+
+    if (env.JWT_KEYS) {
+        const config = JSON.parse(env.JWT_KEYS);
+        return createKeyRing({ ...config, activeKid: env.JWT_ACTIVE_KID || config.activeKid });
+    }
+
+    if (env.JWT_SECRET) {
+        return createKeyRing({ keys: [{ kid: "default", alg: "HS256", secret: env.JWT_SECRET }] });
+    }
+
+    console.warn("⚠️  No JWT keys configured (JWT_KEYS_FILE / JWT_KEYS / JWT_SECRET) — using a random key, tokens die on restart");
+    return createKeyRing({ keys: [{ kid: "dev", alg: "HS256", secret: crypto.randomBytes(32).toString("hex") }] });
+};
+
+module.exports = { createKeyRing, loadKeyRing };
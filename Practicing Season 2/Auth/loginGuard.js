@@ -0,0 +1,224 @@
+// =====================================================================
+//  Auth/loginGuard.js — BRUTE-FORCE PROTECTION FOR /login
+// =====================================================================
+//
+//  Bina limit ke /login = hacker 1 lakh passwords try kar sakta hai 😱
+//
+//  Har galat password pe count karo — email ke liye AUR IP ke liye:
+//  → Pehle kuch attempts free (typo ho jaata hai)
+//  → Phir exponential backoff: 1s, 2s, 4s, 8s ... (har fail pe double)
+//  → Bahut zyada fails → 15 min LOCKOUT + user ko email
+//  → Sahi password → counter reset
+//
+//  const guard = createLoginGuard({ users, resetLink });
+//  resetLink(user) (optional) → lockout email mein seedha reset link
+//  (passwordReset.createResetLink), warna email sirf batati hai
+//
+//  /login (password check async hai):
+//  const { blocked, attempt } = guard.begin(email, req.ip);  → blocked = { retryAfterSeconds }
+//  ... await password verify ...
+//  attempt.fail();                               → galat password
+//  attempt.release();                            → sahi password, ye attempt wapas
+//  guard.recordSuccess(email);                   → sirf account ka count reset
+//
+//  2FA codes (check sync hai):
+//  const blocked = guard.check(email, req.ip);   → null ya { retryAfterSeconds }
+//  await guard.recordFailure(email, req.ip);
+//
+//  📌 begin() attempt ko PEHLE hi fail gin leta hai → 100 parallel
+//     requests ek saath check() pass karke 100 passwords try nahi kar sakti
+//  📌 Count HAR email ka hota hai — registered ho ya na ho → 429 se bhi
+//     pata nahi chalta ki email exist karti hai
+//  📌 Lockout email background mein, ek account pe ghante mein ek →
+//     response time / SES se pata nahi chalta ki account hai
+//  📌 In-memory → multiple servers pe Redis jaisa shared store chahiye
+//
+// =====================================================================
+
+const express = require("express");
+const { requireRole } = require("./middleware");
+const { sendLockoutEmail } = require("./mailer");
+const { createThrottle } = require("./throttle");
+
+const LOCK_MS = 15 * 60 * 1000;
+const BASE_DELAY_MS = 1000;
+const FORGET_AFTER_MS = 24 * 60 * 60 * 1000; // 24h tak koi fail nahi → counter bhool jao
+
+// Ek account pe kam, ek IP pe zyada (office / college ka shared IP)
+const POLICIES = {
+    account: { freeAttempts: 3, lockAfter: 10 },
+    ip: { freeAttempts: 10, lockAfter: 50 },
+};
+
+const normalize = (email) => String(email || "").trim().toLowerCase();
+
+const createLoginGuard = ({ users, resetLink }) => {
+    const records = new Map(); // "account:<email>" / "ip:<ip>" → { failures, lastFailureAt, blockedUntil, lockedUntil }
+
+    const keysFor = (email, ip) => [
+        { key: `account:${normalize(email)}`, policy: POLICIES.account },
+        { key: `ip:${ip}`, policy: POLICIES.ip },
+    ];
+
+    const recordFor = (key, now) => {
+        const record = records.get(key);
+        if (record && now - record.lastFailureAt > FORGET_AFTER_MS && !(record.lockedUntil > now)) {
+            records.delete(key);
+            return null;
+        }
+        return record || null;
+    };
+
+    // Blocked hai? → kitni der baad try kare
+    const check = (email, ip) => {
+        const now = Date.now();
+        let until = 0;
+        for (const { key } of keysFor(email, ip)) {
+            const record = recordFor(key, now);
+            if (record) until = Math.max(until, record.blockedUntil || 0, record.lockedUntil || 0);
+        }
+        return until > now ? { retryAfterSeconds: Math.ceil((until - now) / 1000) } : null;
+    };
+
+    // Ek fail gino (backoff / lock bhi) → undo ke liye pehle aur baad ki values
+    const countFailure = (key, policy, now) => {
+        const record = recordFor(key, now) || { failures: 0 };
+        const before = { failures: record.failures, blockedUntil: record.blockedUntil, lockedUntil: record.lockedUntil };
+        record.failures++;
+        record.lastFailureAt = now;
+
+        if (record.failures >= policy.lockAfter) {
+            // Lockout → lock ke baad phir se free attempts se shuru
+            record.lockedUntil = now + LOCK_MS;
+            record.failures = 0;
+        } else if (record.failures > policy.freeAttempts) {
+            // 1s, 2s, 4s, 8s ... max lockout jitna
+            const delay = BASE_DELAY_MS * 2 ** (record.failures - policy.freeAttempts - 1);
+            record.blockedUntil = now + Math.min(delay, LOCK_MS);
+        }
+
+        records.set(key, record);
+        return { key, record, before, locked: record.lockedUntil !== before.lockedUntil };
+    };
+
+    // Sahi password nikla → is attempt ka fail wapas (beech ke dusre fails rehte hain)
+    const undoFailure = ({ key, record, before, locked }) => {
+        if (records.get(key) !== record) return; // Beech mein reset / unlock ho gaya
+
+        if (locked) {
+            record.lockedUntil = before.lockedUntil;
+            record.failures += before.failures;
+        } else {
+            record.failures = Math.max(0, record.failures - 1);
+        }
+        record.blockedUntil = before.blockedUntil;
+    };
+
+    // Asli user ko batao — shayad koi uska password guess kar raha hai
+    // Background mein (response ka wait nahi) aur account pe ghante mein ek hi
+    const lockoutEmails = createThrottle({ windowMs: 60 * 60 * 1000, max: 1 });
+
+    const notifyLockout = (email, ip, until) => {
+        if (!lockoutEmails.hit(normalize(email)).allowed) return;
+
+        (async () => {
+            const user = await users.findByEmail(email);
+            if (!user) return;
+            const link = resetLink && user.isActive !== false ? await resetLink(user) : null;
+            await sendLockoutEmail(user.email, { until: new Date(until), ip, link });
+        })().catch((error) => {
+            console.error("❌ Lockout email failed:", error.message);
+        });
+    };
+
+    const countAttempt = (email, ip, now) => keysFor(email, ip).map(({ key, policy }) => countFailure(key, policy, now));
+
+    const accountLocked = (counted) => counted.some((c) => c.locked && c.key.startsWith("account:"));
+
+    // Password check se PEHLE → attempt abhi se fail gina jaata hai
+    const begin = (email, ip) => {
+        const blocked = check(email, ip);
+        if (blocked) return { blocked, attempt: null };
+
+        const now = Date.now();
+        const counted = countAttempt(email, ip, now);
+        let settled = false;
+
+        const attempt = {
+            fail() {
+                if (settled) return;
+                settled = true;
+                if (accountLocked(counted)) notifyLockout(email, ip, now + LOCK_MS);
+            },
+            release() {
+                if (settled) return;
+                settled = true;
+                counted.forEach(undoFailure);
+            },
+        };
+        return { blocked: null, attempt };
+    };
+
+    const recordFailure = async (email, ip) => {
+        const now = Date.now();
+        if (accountLocked(countAttempt(email, ip, now))) notifyLockout(email, ip, now + LOCK_MS);
+    };
+
+    // Sahi login → sirf is ACCOUNT ka count reset. IP ka NAHI → warna attacker
+    // har kuch tries ke baad apne account mein login karke IP counter zero kar dega
+    const recordSuccess = (email) => {
+        records.delete(`account:${normalize(email)}`);
+    };
+
+    // Admin ke liye
+    const status = (email) => {
+        const record = recordFor(`account:${normalize(email)}`, Date.now());
+        const now = Date.now();
+        return {
+            email: normalize(email),
+            failures: record?.failures || 0,
+            locked: record?.lockedUntil > now,
+            lockedUntil: record?.lockedUntil > now ? new Date(record.lockedUntil) : null,
+        };
+    };
+
+    const unlock = (email) => records.delete(`account:${normalize(email)}`);
+
+    return { check, begin, recordFailure, recordSuccess, status, unlock };
+};
+
+// =====================================================================
+//  ADMIN — GET /status?email=  |  POST /unlock { email }
+//  app.use("/admin/login-lockouts", createLoginLockoutRouter({ guard, isAuthenticated }));
+// =====================================================================
+
+const createLoginLockoutRouter = ({ guard, isAuthenticated }) => {
+    const router = express.Router();
+    router.use(isAuthenticated, requireRole("admin"));
+
+    const readEmail = (value, res) => {
+        const email = normalize(value);
+        if (!email) res.status(400).json({ success: false, message: "Email is required" });
+        return email;
+    };
+
+    router.get("/status", (req, res) => {
+        const email = readEmail(req.query.email, res);
+        if (email) res.json({ success: true, data: guard.status(email) });
+    });
+
+    router.post("/unlock", (req, res) => {
+        const email = readEmail(req.body?.email, res);
+        if (!email) return;
+
+        const wasTracked = guard.unlock(email);
+        res.json({
+            success: true,
+            message: wasTracked ? `Login unlocked for ${email}` : `${email} had no failed logins`,
+        });
+    });
+
+    return router;
+};
+
+module.exports = { createLoginGuard, createLoginLockoutRouter };
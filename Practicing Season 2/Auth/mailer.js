@@ -0,0 +1,58 @@
+// =====================================================================
+//  Auth/mailer.js — AUTH EMAILS (verify email, reset password, ...)
+// =====================================================================
+//
+//  EMAIL_TRANSPORT=ses → Auth/sesMailer.js (Amazon SES, real email)
+//  EMAIL_TRANSPORT=console (default) → terminal mein print (local dev,
+//  AWS credentials ki zaroorat nahi — link copy karke browser mein kholo)
+//
+//  APP_URL = links kis domain pe banenge (default http://localhost:3000)
+//
+// =====================================================================
+
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+
+const sendLinkEmail = async (to, subject, content) => {
+    if (process.env.EMAIL_TRANSPORT === "ses") {
+        // Lazy require → @aws-sdk/client-ses sirf tab chahiye jab SES use ho
+        return require("./sesMailer").sendLinkEmail(to, subject, content);
+    }
+
+    console.log(`📧 [${subject}] → ${to}\n   ${content.message}${content.link ? `\n   ${content.link}` : ""}`);
+};
+
+// path + query → poora URL, e.g. appUrl("/auth/verify-email", { token })
+const appUrl = (pathname, query = {}) => {
+    const url = new URL(pathname, APP_URL);
+    for (const [key, value] of Object.entries(query)) url.searchParams.set(key, value);
+    return url.toString();
+};
+
+const sendVerificationEmail = (to, link) => sendLinkEmail(to, "Verify your email", {
+    heading: "Confirm your email address ✉️",
+    message: "Click the button below to verify your email. The link expires in 24 hours.",
+    buttonText: "Verify Email",
+    link,
+    footer: "If you didn't sign up, please ignore this email.",
+});
+
+const sendPasswordResetEmail = (to, link) => sendLinkEmail(to, "Reset your password", {
+    heading: "Reset your password 🔑",
+    message: "Someone asked to reset the password for this account. The link works once and expires in 1 hour.",
+    buttonText: "Reset Password",
+    link,
+    footer: "If this wasn't you, ignore this email — your password stays the same.",
+});
+
+// link = one-time reset link (passwordReset.createResetLink) → na ho to bas POST /auth/forgot-password batao
+const sendLockoutEmail = (to, { until, ip, link }) => sendLinkEmail(to, "Your account was temporarily locked", {
+    heading: "Too many failed login attempts 🔒",
+    message: `We blocked logins to your account until ${until.toUTCString()} after repeated wrong passwords (last attempt from IP ${ip}).`,
+    buttonText: "Reset Password",
+    link,
+    footer: link
+        ? "If this was you, just wait and try again. If not, reset your password now — the link works once and expires in 1 hour."
+        : "If this was you, just wait and try again. If not, request a password reset (POST /auth/forgot-password).",
+});
+
+module.exports = { sendLinkEmail, sendVerificationEmail, sendPasswordResetEmail, sendLockoutEmail, appUrl };
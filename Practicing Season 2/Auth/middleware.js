@@ -0,0 +1,156 @@
+// =====================================================================
+//  Auth/middleware.js — isAuthenticated, requireRole, requirePermission
+// =====================================================================
+//
+//  Request → isAuthenticated → requireRole / requirePermission → Handler
+//
+//  isAuthenticated = "Kaun hai tu?"            → 401 if not logged in
+//  requireRole     = "Tera role kya hai?"      → 403 if wrong role
+//  requirePermission = "Tujhe ye karna allowed hai?" → 403 if not
+//
+//  📌 Ye sab plain (req, res, next) middlewares hain, isliye
+//     app.get(...) pe bhi chalenge aur express.Router() pe bhi:
+//     adminRouter.use(isAuthenticated, requireRole("admin"));
+//
+// =====================================================================
+
+const { verifyToken, getTokenFromRequest } = require("./tokens");
+const { hasPermission, scopesAllow } = require("./permissions");
+const { toPublicUser } = require("./userStore");
+const { passwordHasher } = require("./passwordHasher");
+
+// Har 403 ka body same shape ka → frontend ek hi jagah handle kare
+const sendForbidden = (res, message, details = {}) => {
+    return res.status(403).json({ success: false, error: "FORBIDDEN", message, ...details });
+};
+
+// =====================================================================
+//  createAuth({ users }) → { isAuthenticated, verifyCredentials }
+//  users = koi bhi store jiske paas findById / findByEmail ho
+//  sessions (optional) = Auth/sessions.js → revoked session ka token reject
+// =====================================================================
+
+const createAuth = ({ users, sessions }) => {
+    const isAuthenticated = async (req, res, next) => {
+        const token = getTokenFromRequest(req);
+        if (!token) {
+            return res.status(401).json({ message: "Please login first!" });
+        }
+
+        const decoded = verifyToken(token);
+        if (!decoded) {
+            return res.status(401).json({ message: "Invalid or expired token!" });
+        }
+
+        // Logout / logout-all ke baad token expire hone ka wait nahi
+        if (sessions && decoded.sid) {
+            if (!(await sessions.isActive(decoded.sid))) {
+                return res.status(401).json({ message: "Session has been revoked, please login again!" });
+            }
+            await sessions.touch(decoded.sid, { ip: req.ip });
+        }
+
+        // Signature sahi hai, par user abhi bhi exist karta hai? Active hai?
+        const user = await users.findById(decoded._id);
+        if (!user || user.isActive === false) {
+            return res.status(401).json({ message: "Invalid or expired token!" });
+        }
+
+        req.user = toPublicUser(user); // { id, name, email, roles, ... }
+        req.userId = user.id;
+        req.sessionId = decoded.sid;
+        next();
+    };
+
+    // Login ke liye: email + password sahi hai → user, warna null
+    const verifyCredentials = async (email, password) => {
+        const user = await users.findByEmail(email);
+        // passwordHash nahi (OIDC se bana user) → password login nahi
+        if (!user || !user.passwordHash || typeof password !== "string") return null;
+
+        const { ok, upgradedHash } = await passwordHasher.verifyAndUpgrade(password, user.passwordHash);
+        if (!ok) return null;
+
+        // Kamzor / purana hash → login pe hi naya (store mein update ho to)
+        if (upgradedHash && users.update) await users.update(user.id, { passwordHash: upgradedHash });
+        return user;
+    };
+
+    return { isAuthenticated, verifyCredentials };
+};
+
+// =====================================================================
+//  requireRole("admin", "moderator") → koi EK role hona chahiye
+// =====================================================================
+
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ message: "Please login first!" });
+    }
+
+    if (!roles.some((role) => (req.user.roles || []).includes(role))) {
+        return sendForbidden(res, `Requires role: ${roles.join(" or ")}`, { requiredRoles: roles });
+    }
+
+    // Admin ki API key bhi admin nahi — jab tak key ko "*" scope na mila ho
+    if (req.apiKey && !req.apiKey.scopes.includes("*")) {
+        return sendForbidden(res, "This API key cannot access role-protected endpoints", { requiredRoles: roles });
+    }
+    next();
+};
+
+// =====================================================================
+//  requirePermission("users:read", "users:delete") → SAARE chahiye
+// =====================================================================
+//
+//  Ownership check ke saath (last argument = options):
+//
+//  requirePermission("users:update", { owner: (req) => req.params.id })
+//  → "users:update:any" hai → allowed
+//  → "users:update:own" hai AUR owner(req) === logged-in user → allowed
+//  → warna 403
+//
+//  owner() async bhi ho sakta hai (e.g. post ka author DB se laana ho)
+//
+const requirePermission = (...args) => {
+    const options = typeof args[args.length - 1] === "object" ? args.pop() : {};
+    const permissions = args;
+
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ message: "Please login first!" });
+        }
+
+        let isOwner = false;
+        if (options.owner) {
+            const ownerId = await options.owner(req);
+            isOwner = ownerId !== undefined && ownerId !== null && String(ownerId) === String(req.userId);
+        }
+
+        // API key se aaye → key ke scopes mein bhi hona chahiye (Auth/apiKeys.js)
+        const missing = permissions.filter((p) => !hasPermission(req.user.roles, p, { isOwner })
+            || (req.apiKey && !scopesAllow(req.apiKey.scopes, p)));
+        if (missing.length > 0) {
+            const message = options.owner && !isOwner
+                ? `Missing permission: ${missing.join(", ")} (you can only do this on your own resources)`
+                : `Missing permission: ${missing.join(", ")}`;
+            return sendForbidden(res, message, { requiredPermissions: missing });
+        }
+        next();
+    };
+};
+
+// =====================================================================
+//  requireSession → sirf login (cookie / JWT), API key NAHI
+// =====================================================================
+//  Sessions, 2FA, API keys banana → ye sab insaan karega, script nahi.
+//  Chori hui API key se naya key / 2FA off na ho sake.
+//
+const requireSession = (req, res, next) => {
+    if (req.apiKey) {
+        return sendForbidden(res, "This endpoint cannot be used with an API key, please login");
+    }
+    next();
+};
+
+module.exports = { createAuth, requireRole, requirePermission, requireSession, sendForbidden };
@@ -0,0 +1,146 @@
+// =====================================================================
+//  Auth/mockOidcProvider.js — LOCAL "GOOGLE" FOR TESTING OIDC LOGIN
+// =====================================================================
+//
+//  Asli Google/Okta ke bina poora OIDC flow local test karo:
+//
+//  Terminal 1:  node "Practicing Season 2/Auth/mockOidcProvider.js"   (port 4000)
+//  Terminal 2:  OIDC_PROVIDERS='{"mock":{"issuer":"http://localhost:4000","clientId":"namaste-node","clientSecret":"mock-secret"}}' \
+//               node "Practicing Season 2/Episode10_Auth_JWT_Cookies.js"
+//  Browser:     http://localhost:3000/auth/oidc/mock
+//               → mock IdP turant "login" karke wapas bhej dega → JWT cookie ✅
+//
+//  Kaunsa user login kare? → ?login_hint=someone@test.com
+//  (default: MOCK_OIDC_EMAIL ya "oidc-user@test.com", email_verified: true)
+//  ?email_verified=false → unverified email wala case test karo
+//
+//  Endpoints (bilkul asli provider jaise):
+//  GET  /.well-known/openid-configuration  → discovery
+//  GET  /authorize                         → code + state ke saath redirect
+//  POST /token                             → PKCE check → id_token (RS256)
+//  GET  /jwks                              → public key
+//
+//  ⚠️ SIRF development ke liye — koi password nahi poochta!
+//
+// =====================================================================
+
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+const CODE_TTL_MS = 60 * 1000;
+
+const createMockOidcProvider = ({
+    issuer = "http://localhost:4000",
+    clients = { "namaste-node": { secret: "mock-secret" } },
+    defaultEmail = "oidc-user@test.com",
+} = {}) => {
+    // Har start pe nayi RSA key → JWKS se publish
+    const kid = crypto.randomBytes(8).toString("hex");
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    const codes = new Map(); // code → { clientId, redirectUri, codeChallenge, nonce, user, expiresAt }
+
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    const oauthError = (res, status, error, description) =>
+        res.status(status).json({ error, error_description: description });
+
+    app.get("/.well-known/openid-configuration", (req, res) => {
+        res.json({
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            jwks_uri: `${issuer}/jwks`,
+            response_types_supported: ["code"],
+            subject_types_supported: ["public"],
+            id_token_signing_alg_values_supported: ["RS256"],
+            code_challenge_methods_supported: ["S256"],
+            token_endpoint_auth_methods_supported: ["client_secret_basic", "client_secret_post"],
+            scopes_supported: ["openid", "email", "profile"],
+        });
+    });
+
+    app.get("/jwks", (req, res) => {
+        res.json({ keys: [{ ...publicKey.export({ format: "jwk" }), kid, alg: "RS256", use: "sig" }] });
+    });
+
+    app.get("/authorize", (req, res) => {
+        const { client_id, redirect_uri, response_type, state, nonce, code_challenge, code_challenge_method } = req.query;
+
+        if (!clients[client_id]) return oauthError(res, 400, "invalid_client", "Unknown client_id");
+        if (!redirect_uri) return oauthError(res, 400, "invalid_request", "redirect_uri is required");
+        if (response_type !== "code" || code_challenge_method !== "S256" || !code_challenge) {
+            return oauthError(res, 400, "invalid_request", "Only response_type=code with S256 PKCE is supported");
+        }
+
+        // "Login" → query se user (asli IdP yahan login page dikhata)
+        const email = String(req.query.login_hint || defaultEmail).toLowerCase();
+        const user = {
+            sub: crypto.createHash("sha256").update(email).digest("hex").slice(0, 24), // Same email → same sub
+            email,
+            email_verified: req.query.email_verified !== "false",
+            name: email.split("@")[0],
+        };
+
+        const code = crypto.randomBytes(24).toString("base64url");
+        codes.set(code, { clientId: client_id, redirectUri: redirect_uri, codeChallenge: code_challenge, nonce, user, expiresAt: Date.now() + CODE_TTL_MS });
+
+        const target = new URL(redirect_uri);
+        target.searchParams.set("code", code);
+        if (state) target.searchParams.set("state", state);
+        res.redirect(target.toString());
+    });
+
+    app.post("/token", (req, res) => {
+        // client_secret_basic ya client_secret_post
+        let clientId = req.body.client_id;
+        let clientSecret = req.body.client_secret;
+        const basic = req.headers.authorization?.match(/^Basic (.+)$/);
+        if (basic) {
+            [clientId, clientSecret] = Buffer.from(basic[1], "base64").toString().split(":").map(decodeURIComponent);
+        }
+        if (!clients[clientId] || clients[clientId].secret !== clientSecret) {
+            return oauthError(res, 401, "invalid_client", "Client authentication failed");
+        }
+
+        const { grant_type, code, redirect_uri, code_verifier } = req.body;
+        const entry = codes.get(code);
+        codes.delete(code); // Code ek hi baar
+
+        if (grant_type !== "authorization_code") return oauthError(res, 400, "unsupported_grant_type", "Only authorization_code");
+        if (!entry || entry.expiresAt <= Date.now() || entry.clientId !== clientId || entry.redirectUri !== redirect_uri) {
+            return oauthError(res, 400, "invalid_grant", "Invalid or expired code");
+        }
+
+        const challenge = crypto.createHash("sha256").update(String(code_verifier || "")).digest("base64url");
+        if (challenge !== entry.codeChallenge) return oauthError(res, 400, "invalid_grant", "PKCE verification failed");
+
+        const idToken = jwt.sign(
+            { ...entry.user, ...(entry.nonce && { nonce: entry.nonce }) },
+            privateKey,
+            { algorithm: "RS256", keyid: kid, issuer, audience: clientId, expiresIn: "5m" },
+        );
+
+        res.json({
+            access_token: crypto.randomBytes(24).toString("base64url"),
+            token_type: "Bearer",
+            expires_in: 300,
+            id_token: idToken,
+        });
+    });
+
+    return app;
+};
+
+module.exports = { createMockOidcProvider };
+
+if (require.main === module) {
+    const port = Number(process.env.MOCK_OIDC_PORT) || 4000;
+    createMockOidcProvider({
+        issuer: `http://localhost:${port}`,
+        defaultEmail: process.env.MOCK_OIDC_EMAIL,
+    }).listen(port, () => {
+        console.log(`🪪 Mock OIDC provider on http://localhost:${port} (client: namaste-node / mock-secret)`);
+    });
+}
@@ -0,0 +1,102 @@
+// =====================================================================
+//  Auth/mongooseUserStore.js — SAME USER STORE, BACKED BY MONGODB
+// =====================================================================
+//
+//  createAuth({ users }) ko sirf findById / findByEmail / findByIdentity /
+//  create / update / list chahiye. Ye adapter kisi bhi Mongoose User model ko
+//  wahi shape deta hai:
+//
+//  const User = require("./DatabaseAndSchema/model");
+//  const users = createMongooseUserStore(User);
+//
+//  📌 Mongoose field "password" (password hash) → "passwordHash"
+//     "_id" (ObjectId) → "id" (string) — userStore.js jaisa hi
+//     "firstName" + "lastName" → "name", agar schema mein wo fields hain
+//     (schema.js). Sirf "name" wala schema (Episode 13) → "name" hi rehta hai
+//  📌 Auth fields (emailVerified, passwordReset, twoFactor, passwordHistory,
+//     identities, passwordChangedAt) schema.js mein hain. Secret wale
+//     select: false → yahan "+field" se hi aate hain, baaki queries mein nahi
+//
+// =====================================================================
+
+// Store ko poora user chahiye (login, 2FA, reset) → select: false wale bhi
+const SECRET_FIELDS = "+password +passwordHistory +passwordReset +twoFactor";
+
+const toStoreUser = (doc, { splitName }) => {
+    if (!doc) return null;
+    const { _id, __v, password, ...rest } = doc;
+    const name = splitName ? [rest.firstName, rest.lastName].filter(Boolean).join(" ") : rest.name;
+    return { ...rest, id: String(_id), name, passwordHash: password ?? null };
+};
+
+// Store shape → Mongoose fields. passwordHash: null → password hata do ($unset)
+// "Ujjwal Kumar" → firstName "Ujjwal" + lastName "Kumar" (split schema pe)
+const toModelChanges = ({ passwordHash, name, ...rest }, { creating = false, splitName }) => {
+    const changes = { ...rest };
+    const unset = {};
+
+    if (name !== undefined && !splitName) changes.name = name;
+    if (name !== undefined && splitName) {
+        const [first, ...last] = String(name).trim().split(/\s+/);
+        changes.firstName = first;
+        if (last.length > 0) changes.lastName = last.join(" ");
+        else if (!creating) unset.lastName = 1;
+    }
+
+    if (passwordHash) changes.password = passwordHash;
+    else if (passwordHash === null && !creating) unset.password = 1;
+
+    if (Object.keys(unset).length > 0) changes.$unset = unset;
+    return changes;
+};
+
+const createMongooseUserStore = (Model) => {
+    // Schema dekh ke → firstName/lastName ya name
+    const fields = { splitName: Boolean(Model.schema.path("firstName")) };
+
+    // Galat format ki ID (e.g. "abc") pe Mongoose CastError deta hai
+    // → humare liye wo bas "user nahi mila" hai
+    const safely = async (query) => {
+        try {
+            return toStoreUser(await query, fields);
+        } catch (err) {
+            if (err.name === "CastError") return null;
+            throw err;
+        }
+    };
+
+    return {
+        findById: (id) => safely(Model.findById(id).select(SECRET_FIELDS).lean()),
+
+        findByEmail: (email) => safely(
+            Model.findOne({ email: String(email || "").trim().toLowerCase() }).select(SECRET_FIELDS).lean()
+        ),
+
+        // $elemMatch → provider aur subject SAME identity ke hon
+        // Index: schema.js ("identities.provider" + "identities.subject")
+        findByIdentity: (provider, subject) => safely(
+            Model.findOne({ identities: { $elemMatch: { provider: String(provider), subject: String(subject) } } })
+                .select(SECRET_FIELDS).lean()
+        ),
+
+        async create(data) {
+            const doc = await Model.create(toModelChanges(data, { ...fields, creating: true }));
+            return toStoreUser(doc.toObject(), fields);
+        },
+
+        update(id, changes, options = {}) {
+            // options.actor → audit plugin ko pata chale kisne change kiya
+            return safely(Model.findByIdAndUpdate(id, toModelChanges(changes, fields), {
+                new: true,
+                runValidators: true,
+                actor: options.actor,
+            }).select(SECRET_FIELDS).lean());
+        },
+
+        async list() {
+            return (await Model.find().select(SECRET_FIELDS).lean()).map((doc) => toStoreUser(doc, fields));
+        },
+    };
+};
+
+module.exports = { createMongooseUserStore };
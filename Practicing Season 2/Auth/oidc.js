@@ -0,0 +1,264 @@
+// =====================================================================
+//  Auth/oidc.js — "LOGIN WITH GOOGLE / GITHUB / ..." (OpenID Connect)
+// =====================================================================
+//
+//  🤔 Flow (Authorization Code + PKCE):
+//  1. GET /auth/oidc/google → hum user ko Google pe bhejte hain
+//     (state + nonce + code_challenge ke saath)
+//  2. User Google pe login karta hai → Google wapas bhejta hai:
+//     GET /auth/oidc/google/callback?code=...&state=...
+//  3. Server code ko token endpoint pe exchange karta hai (code_verifier
+//     ke saath) → id_token (JWT) milta hai
+//  4. id_token verify: signature (provider ki JWKS), iss, aud, exp, nonce
+//  5. User dhoondo / link karo / banao → onLogin → humari JWT cookie
+//
+//  📌 state  = CSRF protection → callback usi browser ka hai jisne shuru kiya
+//  📌 nonce  = id_token replay protection → token isi login ke liye bana
+//  📌 PKCE   = code chori ho jaaye to bhi verifier ke bina bekaar
+//  📌 Discovery = {issuer}/.well-known/openid-configuration → endpoints
+//     khud pata chalte hain, hardcode nahi karne padte
+//
+//  Linking: pehle (provider, sub) se dhoondo → nahi mila to VERIFIED
+//  email se existing user → nahi to naya user. Unverified email se kabhi
+//  link nahi (warna koi bhi kisi ka account le lega!)
+//
+//  ⚠️ Pre-account takeover: attacker ne victim ki email se signup kiya
+//  (apna password, email kabhi verify nahi ki). Victim baad mein provider
+//  se aata hai → link ho gaya → attacker ka password bhi chalta rahe?? ❌
+//  Isliye UNVERIFIED account se link karte waqt uska password, 2FA,
+//  reset token hatao + saare sessions / API keys revoke.
+//
+// =====================================================================
+
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const { cookieOptions } = require("./cookies");
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ["RS256", "ES256", "PS256"];
+
+const randomString = () => crypto.randomBytes(32).toString("base64url");
+const s256 = (verifier) => crypto.createHash("sha256").update(verifier).digest("base64url");
+
+const getJson = async (url, options) => {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(`${url} → ${response.status} ${body.error_description || body.error || ""}`.trim());
+    }
+    return body;
+};
+
+// =====================================================================
+//  createOidcClient({ issuer, clientId, clientSecret, redirectUri })
+// =====================================================================
+
+const createOidcClient = ({ issuer, clientId, clientSecret, redirectUri, scopes = ["openid", "email", "profile"] }) => {
+    let discovery = null;
+    let jwks = null;
+
+    const discover = async () => {
+        if (!discovery) {
+            const config = await getJson(`${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`);
+            // Document kisi aur issuer ka → bharosa mat karo
+            if (config.issuer !== issuer) throw new Error(`Discovery issuer mismatch: ${config.issuer}`);
+            discovery = config;
+        }
+        return discovery;
+    };
+
+    // Provider keys rotate karta hai → unknown kid pe ek baar dobara fetch
+    const signingKey = async (kid) => {
+        const find = () => jwks?.keys.find((key) => key.kid === kid);
+        if (!find()) jwks = await getJson((await discover()).jwks_uri);
+
+        const jwk = find();
+        if (!jwk) throw new Error(`No signing key for kid ${kid}`);
+        return crypto.createPublicKey({ key: jwk, format: "jwk" });
+    };
+
+    // Step 1 → { url, state, nonce, codeVerifier } (baaki teen server pe save karo)
+    const createAuthorizationRequest = async () => {
+        const { authorization_endpoint: endpoint } = await discover();
+        const state = randomString();
+        const nonce = randomString();
+        const codeVerifier = randomString();
+
+        const url = new URL(endpoint);
+        url.search = new URLSearchParams({
+            response_type: "code",
+            client_id: clientId,
+            redirect_uri: redirectUri,
+            scope: scopes.join(" "),
+            state,
+            nonce,
+            code_challenge: s256(codeVerifier),
+            code_challenge_method: "S256",
+        }).toString();
+
+        return { url: url.toString(), state, nonce, codeVerifier };
+    };
+
+    // Step 3 + 4 → verified id_token claims { sub, email, email_verified, name, ... }
+    const exchangeCode = async ({ code, codeVerifier, nonce }) => {
+        const { token_endpoint: endpoint } = await discover();
+
+        const tokens = await getJson(endpoint, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/x-www-form-urlencoded",
+                // client_secret_basic
+                Authorization: `Basic ${Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`).toString("base64")}`,
+            },
+            body: new URLSearchParams({
+                grant_type: "authorization_code",
+                code,
+                redirect_uri: redirectUri,
+                code_verifier: codeVerifier,
+            }),
+        });
+
+        if (!tokens.id_token) throw new Error("Token response has no id_token");
+
+        const decoded = jwt.decode(tokens.id_token, { complete: true });
+        if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+            throw new Error("Unsupported id_token");
+        }
+
+        // Signature + iss + aud + exp — sab check
+        const claims = jwt.verify(tokens.id_token, await signingKey(decoded.header.kid), {
+            algorithms: ID_TOKEN_ALGORITHMS,
+            issuer,
+            audience: clientId,
+        });
+
+        if (claims.nonce !== nonce) throw new Error("id_token nonce mismatch");
+        return claims;
+    };
+
+    return { discover, createAuthorizationRequest, exchangeCode };
+};
+
+// =====================================================================
+//  createOidcRouter({ providers, users, sessions, apiKeys, onLogin })
+// =====================================================================
+//
+//  providers = { google: createOidcClient(...), mock: ... }
+//  onLogin(req, res, user) → apni cookie/JWT do (Episode10: startSession)
+//  sessions / apiKeys (optional) → unverified account link hone pe revoke
+//
+//  GET /auth/oidc/:provider           → provider pe redirect
+//  GET /auth/oidc/:provider/callback  → wapas aake login
+//
+
+const createOidcRouter = ({ providers, users, sessions, apiKeys, onLogin }) => {
+    const pending = new Map(); // state → { provider, nonce, codeVerifier, expiresAt }
+    const router = express.Router();
+
+    // "lax" zaroori → provider se wapas aane wala redirect (top-level GET) cookie le aaye
+    const stateCookie = cookieOptions({ sameSite: "lax", path: "/auth/oidc" });
+
+    const fail = (res, status, message) => {
+        res.clearCookie("oidc_state", stateCookie);
+        return res.status(status).json({ success: false, message });
+    };
+
+    // (provider, sub) → user; nahi to verified email se link; nahi to naya
+    const findOrCreateUser = async (provider, claims) => {
+        const linked = await users.findByIdentity(provider, claims.sub);
+        if (linked) return linked;
+
+        if (claims.email_verified !== true || !claims.email) return null;
+
+        const identity = { provider, subject: claims.sub, linkedAt: new Date() };
+        const existing = await users.findByEmail(claims.email);
+        if (existing) {
+            // Account kabhi verify hi nahi hua → ho sakta hai kisi aur ne banaya ho.
+            // Provider wala hi asli maalik → baaki saari access khatam
+            const takeover = existing.emailVerified !== true
+                ? { passwordHash: null, passwordReset: null, twoFactor: null, name: claims.name || existing.name }
+                : {};
+            if (existing.emailVerified !== true) {
+                await sessions?.revokeAll(existing.id, "unverified account linked to identity provider");
+                await apiKeys?.revokeAll(existing.id);
+            }
+
+            // Provider ne email verify ki hai → humare liye bhi verified
+            return users.update(existing.id, {
+                ...takeover,
+                identities: [...(existing.identities || []), identity],
+                emailVerified: true,
+            });
+        }
+
+        return users.create({
+            name: claims.name || claims.email.split("@")[0],
+            email: claims.email,
+            emailVerified: true,
+            identities: [identity], // passwordHash nahi → sirf provider se login
+        });
+    };
+
+    router.get("/oidc/:provider", async (req, res) => {
+        // hasOwn → "constructor" / "__proto__" jaise naam provider nahi hain
+        const client = Object.hasOwn(providers, req.params.provider) ? providers[req.params.provider] : null;
+        if (!client) return res.status(404).json({ success: false, message: "Unknown login provider" });
+
+        const { url, state, nonce, codeVerifier } = await client.createAuthorizationRequest();
+
+        // Purane adhoore logins saaf karo
+        for (const [key, entry] of pending) {
+            if (entry.expiresAt <= Date.now()) pending.delete(key);
+        }
+        pending.set(state, { provider: req.params.provider, nonce, codeVerifier, expiresAt: Date.now() + STATE_TTL_MS });
+
+        // Cookie = state ko ISI browser se jodna (login CSRF rokne ke liye)
+        res.cookie("oidc_state", state, { ...stateCookie, maxAge: STATE_TTL_MS });
+        res.redirect(url);
+    });
+
+    router.get("/oidc/:provider/callback", async (req, res) => {
+        const { code, state, error } = req.query;
+        const entry = pending.get(state);
+        pending.delete(state); // State ek hi baar
+
+        if (error) return fail(res, 400, `Login was cancelled or failed at the provider (${error})`);
+
+        if (!entry || entry.expiresAt <= Date.now() || entry.provider !== req.params.provider
+            || req.cookies?.oidc_state !== state || !code) {
+            return fail(res, 400, "Invalid or expired login attempt, please try again");
+        }
+
+        let claims;
+        try {
+            claims = await providers[entry.provider].exchangeCode({ code, codeVerifier: entry.codeVerifier, nonce: entry.nonce });
+        } catch (err) {
+            console.error(`❌ OIDC (${entry.provider}) login failed:`, err.message);
+            return fail(res, 401, "Could not verify your login with the provider");
+        }
+
+        const user = await findOrCreateUser(entry.provider, claims);
+        if (!user) {
+            return fail(res, 403, "Your email is not verified with this provider, so it cannot be used to sign in");
+        }
+        if (user.isActive === false) return fail(res, 403, "This account is disabled");
+
+        res.clearCookie("oidc_state", stateCookie);
+        await onLogin(req, res, user);
+    });
+
+    return router;
+};
+
+// Env se providers → OIDC_PROVIDERS='{"google":{"issuer":"https://accounts.google.com","clientId":"...","clientSecret":"..."}}'
+// redirectUri(name) → e.g. http://localhost:3000/auth/oidc/google/callback
+const loadOidcProviders = (redirectUri, env = process.env) => {
+    const config = env.OIDC_PROVIDERS ? JSON.parse(env.OIDC_PROVIDERS) : {};
+    return Object.fromEntries(Object.entries(config).map(([name, options]) => [
+        name,
+        createOidcClient({ redirectUri: redirectUri(name), ...options }),
+    ]));
+};
+
+module.exports = { createOidcClient, createOidcRouter, loadOidcProviders };
@@ -0,0 +1,158 @@
+// =====================================================================
+//  Auth/passwordHasher.js — bcrypt / scrypt / argon2id, EK INTERFACE
+// =====================================================================
+//
+//  Problem: code mein "bcrypt.hash(password, 10)" hardcoded.
+//  → Kal cost 12 karni hai? Purane users ke hashes 10 pe hi rahenge
+//  → argon2id pe jaana hai? Sab ka password reset karwao?? ❌
+//
+//  Solution: har hash APNA algorithm + cost khud batata hai:
+//    $2b$12$N9qo8uLOickgx2ZMRZoMye...                  → bcrypt, 12 rounds
+//    $scrypt$ln=15,r=8,p=1$<salt>$<hash>                → scrypt, N = 2^15
+//    $argon2id$v=19$m=65536,t=3,p=1$<salt>$<hash>       → argon2id, 64 MB
+//
+//  → verify() hash dekh ke sahi algorithm chunta hai
+//  → Login sahi hua + hash current policy se kamzor → naya hash save
+//    (password sirf login pe hi plain milta hai → tabhi upgrade ho sakta hai)
+//  → Algorithm badalna sirf UPAR: bcrypt → scrypt → argon2id. argon2id hash
+//    bcrypt config pe bcrypt nahi banega — jab tak migrateFrom mein na ho
+//
+//  const { passwordHasher } = require("./Auth/passwordHasher");
+//  const passwordHash = await passwordHasher.hash(password);
+//  const { ok, upgradedHash } = await passwordHasher.verifyAndUpgrade(password, user.passwordHash);
+//  if (upgradedHash) await users.update(user.id, { passwordHash: upgradedHash });
+//
+//  Config (.env): PASSWORD_HASHER=argon2id
+//                 PASSWORD_HASHER_PARAMS={"m":65536,"t":3,"p":1}
+//                 PASSWORD_HASHER_MIGRATE_FROM=argon2id  (jaan-boojh ke neeche jaana,
+//                 e.g. argon2 native module hata rahe ho)
+//
+// =====================================================================
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const bcrypt = require("bcrypt");
+
+const scrypt = promisify(crypto.scrypt);
+
+// Current policy → isse kamzor hash login pe upgrade hoga
+const DEFAULT_PARAMS = {
+    bcrypt: { rounds: 12 },
+    scrypt: { ln: 15, r: 8, p: 1 },    // N = 2^15 → ~32 MB memory
+    argon2id: { m: 65536, t: 3, p: 1 }, // m = KiB → 64 MB
+};
+
+// Kamzor → mazboot. Isse neeche kabhi apne aap rehash nahi
+const STRENGTH = ["bcrypt", "scrypt", "argon2id"];
+
+const b64 = (buffer) => buffer.toString("base64").replace(/=+$/, "");
+
+// "m=65536,t=3,p=1" → { m: 65536, t: 3, p: 1 }
+const parseParams = (text) => Object.fromEntries(
+    text.split(",").map((pair) => pair.split("=")).map(([key, value]) => [key, Number(value)]),
+);
+
+// =====================================================================
+//  ALGORITHMS — { hash(password, params), verify(password, stored), params(stored) }
+// =====================================================================
+
+const ALGORITHMS = {
+    bcrypt: {
+        matches: (stored) => /^\$2[aby]\$\d{2}\$/.test(stored),
+        params: (stored) => ({ rounds: Number(stored.split("$")[2]) }),
+        hash: (password, { rounds }) => bcrypt.hash(password, rounds),
+        verify: (password, stored) => bcrypt.compare(password, stored),
+    },
+
+    // Node ke andar hi hai → koi extra package nahi
+    scrypt: {
+        matches: (stored) => stored.startsWith("$scrypt$"),
+        params: (stored) => parseParams(stored.split("$")[2]),
+        hash: async (password, { ln, r, p }) => {
+            const salt = crypto.randomBytes(16);
+            const key = await scrypt(password, salt, 32, { N: 2 ** ln, r, p, maxmem: 256 * 2 ** ln * r });
+            return `$scrypt$ln=${ln},r=${r},p=${p}$${b64(salt)}$${b64(key)}`;
+        },
+        verify: async (password, stored) => {
+            const [, , params, salt, expected] = stored.split("$");
+            const { ln, r, p } = parseParams(params);
+            const expectedKey = Buffer.from(expected, "base64");
+            const key = await scrypt(password, Buffer.from(salt, "base64"), expectedKey.length, { N: 2 ** ln, r, p, maxmem: 256 * 2 ** ln * r });
+            return crypto.timingSafeEqual(key, expectedKey);
+        },
+    },
+
+    // npm install argon2 → zaroorat pade tabhi load (native module)
+    argon2id: {
+        matches: (stored) => stored.startsWith("$argon2id$"),
+        params: (stored) => parseParams(stored.split("$")[3]),
+        hash: (password, { m, t, p }) => {
+            const argon2 = require("argon2");
+            return argon2.hash(password, { type: argon2.argon2id, memoryCost: m, timeCost: t, parallelism: p });
+        },
+        verify: (password, stored) => require("argon2").verify(stored, password),
+    },
+};
+
+const algorithmOf = (stored) => (typeof stored === "string"
+    ? Object.keys(ALGORITHMS).find((name) => ALGORITHMS[name].matches(stored)) || null
+    : null);
+
+// =====================================================================
+//  createPasswordHasher({ algorithm, params, migrateFrom })
+// =====================================================================
+//
+//  migrateFrom = ["argon2id"] → in algorithms ke hashes bhi current pe
+//  rehash honge, chahe wo current se mazboot hon (explicit migration)
+//
+
+const createPasswordHasher = ({ algorithm = "bcrypt", params, migrateFrom = [] } = {}) => {
+    if (!ALGORITHMS[algorithm]) throw new Error(`Unknown password hasher: ${algorithm}`);
+    const unknown = migrateFrom.find((name) => !ALGORITHMS[name]);
+    if (unknown) throw new Error(`Unknown password hasher to migrate from: ${unknown}`);
+    const current = { ...DEFAULT_PARAMS[algorithm], ...params };
+
+    const hash = (password) => ALGORITHMS[algorithm].hash(password, current);
+
+    // Galat / anjaan format → false (throw nahi, login bas fail ho)
+    const verify = async (password, stored) => {
+        const name = algorithmOf(stored);
+        if (!name || typeof password !== "string") return false;
+        try {
+            return await ALGORITHMS[name].verify(password, stored);
+        } catch {
+            return false;
+        }
+    };
+
+    // Kamzor algorithm (ya migrateFrom), ya same algorithm pe koi bhi cost kam → rehash
+    // Mazboot algorithm → chhod do (downgrade nahi)
+    const needsRehash = (stored) => {
+        const storedAlgorithm = algorithmOf(stored);
+        if (!storedAlgorithm) return false;
+        if (storedAlgorithm !== algorithm) {
+            return migrateFrom.includes(storedAlgorithm)
+                || STRENGTH.indexOf(storedAlgorithm) < STRENGTH.indexOf(algorithm);
+        }
+        const storedParams = ALGORITHMS[algorithm].params(stored);
+        return Object.entries(current).some(([key, value]) => !(storedParams[key] >= value));
+    };
+
+    // Login ke liye → { ok, upgradedHash } (upgradedHash null = kuch save nahi karna)
+    const verifyAndUpgrade = async (password, stored) => {
+        const ok = await verify(password, stored);
+        if (!ok || !needsRehash(stored)) return { ok, upgradedHash: null };
+        return { ok, upgradedHash: await hash(password) };
+    };
+
+    return { algorithm, params: current, migrateFrom, hash, verify, needsRehash, verifyAndUpgrade };
+};
+
+// .env se → sab jagah same hasher
+const passwordHasher = createPasswordHasher({
+    algorithm: process.env.PASSWORD_HASHER || "bcrypt",
+    params: process.env.PASSWORD_HASHER_PARAMS ? JSON.parse(process.env.PASSWORD_HASHER_PARAMS) : undefined,
+    migrateFrom: (process.env.PASSWORD_HASHER_MIGRATE_FROM || "").split(",").map((name) => name.trim()).filter(Boolean),
+});
+
+module.exports = { createPasswordHasher, passwordHasher, algorithmOf, DEFAULT_PARAMS };
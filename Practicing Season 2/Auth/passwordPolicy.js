@@ -0,0 +1,153 @@
+// =====================================================================
+//  Auth/passwordPolicy.js — STRONG PASSWORD RULES (signup, reset, change)
+// =====================================================================
+//
+//  "minLength: 8" → "password" bhi 8 characters hai 😅 Asli checks:
+//
+//  → Length: min 8, max 64 characters
+//  → bcrypt active hai → max 72 BYTES bhi (uske baad bcrypt ignore karta hai!
+//    "é" / emoji = 2-4 bytes → 64 characters bhi 72 bytes se zyada ho sakte hain)
+//  → Character classes: lowercase + uppercase + digit (configurable)
+//  → Banned words: "password", "qwerty", "admin" ... (P@ssw0rd bhi pakda jaayega)
+//  → Apna naam / email password mein nahi
+//  → Breached list: leak hue passwords (HaveIBeenPwned style, OFFLINE)
+//  → History: last N passwords dobara nahi
+//
+//  const { passwordPolicy } = require("./Auth/passwordPolicy");
+//  const { ok, errors } = await passwordPolicy.check(password, { user, email, name });
+//  → errors = [{ field: "password", rule: "breached", message }]  (crud/validation.js jaisa shape)
+//  → save karte waqt: passwordHistory: passwordPolicy.nextHistory(user)
+//
+//  📌 Breached list = k-anonymity "range" files:
+//     SHA-1(password) = 5BAA6 1E4C9B93F3F0682250B6CF8331B7EE68FD8
+//     → file "5BAA6.txt" kholo → line "1E4C9B93F3F...:9545824" hai? → leaked!
+//     Poori list (HaveIBeenPwned Pwned Passwords, haveibeenpwned-downloader)
+//     download karke BREACHED_PASSWORDS_DIR set karo. Default = chhoti sample
+//     list (Auth/breached-passwords) → password kabhi network pe nahi jaata.
+//
+// =====================================================================
+
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { passwordHasher } = require("./passwordHasher");
+
+const CLASSES = {
+    lowercase: { regex: /[a-z]/, message: "Password must contain a lowercase letter" },
+    uppercase: { regex: /[A-Z]/, message: "Password must contain an uppercase letter" },
+    digit: { regex: /[0-9]/, message: "Password must contain a number" },
+    symbol: { regex: /[^A-Za-z0-9]/, message: "Password must contain a symbol" },
+};
+
+const DEFAULT_POLICY = {
+    minLength: 8,
+    maxLength: 64,
+    requiredClasses: ["lowercase", "uppercase", "digit"],
+    bannedWords: ["password", "qwerty", "letmein", "welcome", "admin", "iloveyou", "namaste", "abc123", "123456"],
+    historySize: Number(process.env.PASSWORD_HISTORY_SIZE) || 5,
+    breachedDir: process.env.BREACHED_PASSWORDS_DIR || path.join(__dirname, "breached-passwords"),
+};
+
+const BCRYPT_MAX_BYTES = 72;
+
+// hasher = jo password hash karega (default: shared passwordHasher)
+
+// "P@ssw0rd" → "password" (banned words ke liye simple leetspeak undo)
+const LEET = { "0": "o", "1": "i", "3": "e", "4": "a", "5": "s", "7": "t", "@": "a", "$": "s", "!": "i" };
+const normalizeLeet = (text) => text.toLowerCase().replace(/[013457@$!]/g, (c) => LEET[c]);
+
+const createPasswordPolicy = ({ hasher = passwordHasher, ...options } = {}) => {
+    const policy = { ...DEFAULT_POLICY, ...options };
+    const fail = (rule, message) => ({ field: "password", rule, message });
+
+    // Leak list mein hai? → kitni baar leak hua (0 = nahi)
+    const breachCount = async (password) => {
+        if (!policy.breachedDir) return 0;
+
+        const hash = crypto.createHash("sha1").update(password).digest("hex").toUpperCase();
+        const [prefix, suffix] = [hash.slice(0, 5), hash.slice(5)];
+
+        let range;
+        try {
+            range = await fs.readFile(path.join(policy.breachedDir, `${prefix}.txt`), "utf8");
+        } catch (error) {
+            if (error.code === "ENOENT") return 0; // Is prefix ka koi leak nahi
+            throw error;
+        }
+
+        const line = range.split(/\r?\n/).find((l) => l.slice(0, 35).toUpperCase() === suffix);
+        return line ? Number(line.split(":")[1]) || 1 : 0;
+    };
+
+    // Current + purane hashes, latest pehle
+    const recentHashes = (user) => [user?.passwordHash, ...(user?.passwordHistory || [])]
+        .filter(Boolean)
+        .slice(0, policy.historySize);
+
+    // Password change ke waqt save karo → { passwordHash: naya, passwordHistory: nextHistory(user) }
+    const nextHistory = (user) => recentHashes(user);
+
+    // → { ok, errors: [{ field, rule, message }] } — SAARI problems ek saath
+    const check = async (password, { user, email, name } = {}) => {
+        if (typeof password !== "string" || password.length === 0) {
+            return { ok: false, errors: [fail("required", "Password is required")] };
+        }
+
+        const errors = [];
+
+        if (password.length < policy.minLength) {
+            errors.push(fail("minLength", `Password must be at least ${policy.minLength} characters`));
+        }
+        if (password.length > policy.maxLength) {
+            errors.push(fail("maxLength", `Password cannot exceed ${policy.maxLength} characters`));
+        }
+        // scrypt / argon2id poora password use karte hain → ye limit sirf bcrypt ki
+        if (hasher.algorithm === "bcrypt" && Buffer.byteLength(password) > BCRYPT_MAX_BYTES) {
+            errors.push(fail("maxBytes", `Password cannot exceed ${BCRYPT_MAX_BYTES} bytes (accented letters and emoji count as more than one)`));
+        }
+
+        for (const cls of policy.requiredClasses) {
+            if (!CLASSES[cls].regex.test(password)) errors.push(fail(cls, CLASSES[cls].message));
+        }
+
+        const normalized = normalizeLeet(password);
+        const banned = policy.bannedWords.find((word) => normalized.includes(normalizeLeet(word)));
+        if (banned) {
+            errors.push(fail("bannedWord", `Password cannot contain common words like "${banned}"`));
+        }
+
+        // Naam / email ka hissa → guess karna aasaan
+        const personal = [name || user?.name, (email || user?.email || "").split("@")[0]]
+            .filter((part) => typeof part === "string" && part.length >= 3)
+            .map((part) => part.toLowerCase());
+        if (personal.some((part) => password.toLowerCase().includes(part))) {
+            errors.push(fail("personalInfo", "Password cannot contain your name or email"));
+        }
+
+        // Mehenge checks sirf tab jab baaki sab theek ho
+        if (errors.length === 0) {
+            const count = await breachCount(password);
+            if (count > 0) {
+                errors.push(fail("breached", "This password has appeared in a data breach, please choose a different one"));
+            }
+        }
+
+        if (errors.length === 0 && user) {
+            for (const hash of recentHashes(user)) {
+                if (await hasher.verify(password, hash)) {
+                    errors.push(fail("reused", `Password cannot be one of your last ${policy.historySize} passwords`));
+                    break;
+                }
+            }
+        }
+
+        return { ok: errors.length === 0, errors };
+    };
+
+    return { policy, check, nextHistory, breachCount };
+};
+
+// Sab jagah same rules → ek shared instance
+const passwordPolicy = createPasswordPolicy();
+
+module.exports = { createPasswordPolicy, passwordPolicy, DEFAULT_POLICY };
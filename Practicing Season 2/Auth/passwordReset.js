@@ -0,0 +1,199 @@
+// =====================================================================
+//  Auth/passwordReset.js — FORGOT / RESET PASSWORD
+// =====================================================================
+//
+//  const passwordReset = createPasswordReset({ users, sessions, isAuthenticated });
+//  app.use("/auth", passwordReset.router);
+//  await passwordReset.createResetLink(user) → reset link (e.g. lockout email ke liye)
+//
+//  POST /auth/forgot-password  { email }            → email mein reset link
+//  GET  /auth/reset-password?token=...           → email wala link: token valid hai?
+//  POST /auth/reset-password   { token, password }  → naya password
+//  POST /auth/change-password  { currentPassword, newPassword } → logged-in user
+//                              (sirf tab jab isAuthenticated diya ho)
+//
+//  📌 Naya password hamesha Auth/passwordPolicy.js se check hota hai
+//     (strength, breached list, last N passwords)
+//
+//  📌 Forgot-password ka response HAMESHA same → koi bhi check nahi kar
+//     sakta ki kaunsi email registered hai
+//  📌 Token = random 256-bit, user pe sirf uska SHA-256 hash (DB leak →
+//     token bekaar), 1 ghante ki expiry, ek hi baar use hoga
+//  📌 Reset ke baad saare sessions revoke → chor ka login bhi khatam
+//
+//  Token format: "<userId>.<secret>" → userId se user dhoondo, secret ka
+//  hash match karo (sessions.js jaisa hi)
+//
+// =====================================================================
+
+const crypto = require("crypto");
+const express = require("express");
+const { createThrottle } = require("./throttle");
+const { passwordPolicy } = require("./passwordPolicy");
+const { passwordHasher } = require("./passwordHasher");
+const { sendPasswordResetEmail, appUrl } = require("./mailer");
+
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+const SAME_RESPONSE = {
+    success: true,
+    message: "If an account exists for this email, a password reset link has been sent",
+};
+
+const weakPassword = (res, errors) => res.status(400).json({
+    success: false,
+    message: "Password does not meet the password policy",
+    errors,
+});
+
+// Naya hash + purana history mein
+const passwordUpdate = async (user, password) => ({
+    passwordHash: await passwordHasher.hash(password),
+    passwordHistory: passwordPolicy.nextHistory(user),
+    passwordChangedAt: new Date(),
+});
+
+// sessions optional → ho to reset ke baad saare logout
+// isAuthenticated optional → ho to /change-password bhi
+const createPasswordReset = ({ users, sessions, isAuthenticated }) => {
+    // Ek email pe: 1 minute mein 1, 1 ghante mein max 5
+    const forgotThrottle = createThrottle({ windowMs: 60 * 60 * 1000, max: 5, minIntervalMs: 60 * 1000 });
+    // Chori hui session se current password guess na ho → 15 min mein 5 tries
+    const changeThrottle = createThrottle({ windowMs: 15 * 60 * 1000, max: 5 });
+
+    // Naya token → purana (agar tha) apne aap bekaar
+    const createResetLink = async (user) => {
+        const secret = crypto.randomBytes(32).toString("base64url");
+        await users.update(user.id, {
+            passwordReset: { tokenHash: hashSecret(secret), expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MS) },
+        });
+        return appUrl("/auth/reset-password", { token: `${user.id}.${secret}` });
+    };
+
+    // "<userId>.<secret>" → user (token sahi + expire nahi hua), warna null
+    const findUserByToken = async (token) => {
+        const separator = String(token || "").lastIndexOf(".");
+        const userId = String(token).slice(0, separator);
+        const secret = String(token).slice(separator + 1);
+        const user = separator > 0 ? await users.findById(userId) : null;
+        const reset = user?.passwordReset;
+
+        const valid = reset
+            && reset.expiresAt > new Date()
+            && crypto.timingSafeEqual(Buffer.from(hashSecret(secret), "hex"), Buffer.from(reset.tokenHash, "hex"));
+        return valid ? user : null;
+    };
+
+    const invalidToken = (res) => res.status(400).json({ success: false, message: "Reset link is invalid or has expired" });
+
+    const router = express.Router();
+
+    router.post("/forgot-password", async (req, res) => {
+        const email = String(req.body?.email || "").trim().toLowerCase();
+        if (!email) {
+            return res.status(400).json({ success: false, message: "Email is required" });
+        }
+
+        // Throttle email pe, user mile ya na mile → koi leak nahi
+        const { allowed, retryAfterSeconds } = forgotThrottle.hit(email);
+        if (!allowed) {
+            res.set("Retry-After", String(retryAfterSeconds));
+            return res.status(429).json({
+                success: false,
+                message: `Too many requests, try again in ${retryAfterSeconds} seconds`,
+            });
+        }
+
+        const user = await users.findByEmail(email);
+        if (user && user.isActive !== false) {
+            const link = await createResetLink(user);
+            // Email ka wait NAHI → warna registered email ka response slow (timing leak),
+            // aur SMTP down hone pe 500 → dono se pata chal jaata ki account hai
+            sendPasswordResetEmail(user.email, link).catch((error) => {
+                console.error("❌ Password reset email failed:", error.message);
+            });
+        }
+
+        res.json(SAME_RESPONSE);
+    });
+
+    // Email ka link yahan aata hai → sirf check, token use NAHI hota
+    router.get("/reset-password", async (req, res) => {
+        const user = await findUserByToken(req.query.token);
+        if (!user) return invalidToken(res);
+
+        res.json({
+            success: true,
+            message: "Reset link is valid — send POST /auth/reset-password { token, password } to choose a new password",
+            expiresAt: user.passwordReset.expiresAt,
+        });
+    });
+
+    router.post("/reset-password", async (req, res) => {
+        const { token, password } = req.body || {};
+
+        const user = await findUserByToken(token);
+        if (!user) return invalidToken(res);
+
+        // Policy fail → token abhi bhi valid, user dusra password try kare
+        const { ok, errors } = await passwordPolicy.check(password, { user });
+        if (!ok) return weakPassword(res, errors);
+
+        // Single use → token turant hatao, naya hash save karo
+        await users.update(user.id, { ...(await passwordUpdate(user, password)), passwordReset: null });
+
+        const revoked = sessions ? await sessions.revokeAll(user.id, "password reset") : 0;
+
+        res.json({
+            success: true,
+            message: "Password has been reset, please login with your new password",
+            sessionsRevoked: revoked,
+        });
+    });
+
+    if (isAuthenticated) {
+        router.post("/change-password", isAuthenticated, async (req, res) => {
+            const { currentPassword, newPassword } = req.body || {};
+            const user = await users.findById(req.userId);
+
+            if (!user.passwordHash) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Your account has no password yet, use forgot-password to set one",
+                });
+            }
+
+            const { allowed, retryAfterSeconds } = changeThrottle.hit(user.id);
+            if (!allowed) {
+                res.set("Retry-After", String(retryAfterSeconds));
+                return res.status(429).json({
+                    success: false,
+                    message: `Too many attempts, try again in ${retryAfterSeconds} seconds`,
+                });
+            }
+
+            if (!(await passwordHasher.verify(currentPassword, user.passwordHash))) {
+                return res.status(401).json({ success: false, message: "Current password is incorrect" });
+            }
+
+            const { ok, errors } = await passwordPolicy.check(newPassword, { user });
+            if (!ok) return weakPassword(res, errors);
+
+            await users.update(user.id, await passwordUpdate(user, newPassword));
+
+            // Baaki devices logout, ye wala chalta rahe
+            let revoked = 0;
+            for (const session of sessions ? await sessions.listForUser(user.id) : []) {
+                if (session.id !== req.sessionId && await sessions.revoke(session.id, "password changed")) revoked++;
+            }
+
+            res.json({ success: true, message: "Password changed", otherSessionsRevoked: revoked });
+        });
+    }
+
+    return { router, createResetLink };
+};
+
+module.exports = { createPasswordReset };
@@ -0,0 +1,83 @@
+// =====================================================================
+//  Auth/permissions.js — WHICH ROLE CAN DO WHAT (RBAC)
+// =====================================================================
+//
+//  Permission format → "resource:action:scope"
+//    "users:update:any" → KISI bhi user ko update kar sakta hai
+//    "users:update:own" → sirf APNA account update kar sakta hai
+//
+//  Wildcards:
+//    "*"          → sab kuch (super admin)
+//    "posts:*"    → posts pe koi bhi action, koi bhi scope
+//
+//  Routes mein role check mat karo ("admin" hai kya?), PERMISSION
+//  check karo ("users:delete" hai kya?). Kal naya role aaya → sirf
+//  yahan ek line, routes touch karne ki zarurat nahi.
+//
+// =====================================================================
+
+const ROLE_PERMISSIONS = {
+    user: [
+        "profile:*:own",
+        "users:read:own",
+        "users:update:own",
+        "posts:read:any",
+        "posts:create:any",
+        "posts:update:own",
+        "posts:delete:own",
+        "feed:read:any",
+    ],
+    moderator: [
+        "profile:*:own",
+        "users:read:any",
+        "users:update:own",
+        "posts:*",
+        "feed:read:any",
+    ],
+    admin: ["*"],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// "posts:*" matches "posts:update:any" → "*" as the LAST part covers everything after it
+const matches = (granted, required) => {
+    const g = granted.split(":");
+    const r = required.split(":");
+
+    for (let i = 0; i < r.length; i++) {
+        if (g[i] === "*" && i === g.length - 1) return true;
+        if (g[i] !== "*" && g[i] !== r[i]) return false;
+    }
+    return g.length === r.length;
+};
+
+const permissionsForRoles = (roles = []) => [...new Set(roles.flatMap((role) => ROLE_PERMISSIONS[role] || []))];
+
+// =====================================================================
+//  hasPermission(roles, "users:update", { isOwner })
+// =====================================================================
+//  Scope na diya ho → ":any" chahiye, YA ":own" + resource ka owner ho
+//  ":own" maanga    → ":any" bhi chalega (any = own + baaki sab)
+//  ":any" maanga    → sirf ":any"
+//
+const hasPermission = (roles, permission, { isOwner = false } = {}) => {
+    const [resource, action, scope] = permission.split(":");
+
+    const scopes = scope === "any" || !isOwner ? ["any"] : ["any", "own"];
+
+    const granted = permissionsForRoles(roles);
+    return scopes.some((s) => granted.some((g) => matches(g, `${resource}:${action}:${s}`)));
+};
+
+// =====================================================================
+//  scopesAllow(["posts:read", "feed:*"], "posts:read") → API key scopes
+// =====================================================================
+//  API key ke scopes = "resource:action" (scope own/any user ke roles se)
+//  → Key kabhi user se ZYADA nahi kar sakti: roles AUR scopes dono chahiye
+//
+const scopesAllow = (scopes = [], permission) => {
+    const [resource, action] = permission.split(":");
+    return scopes.some((s) => matches(s, `${resource}:${action}`));
+};
+
+module.exports = { ROLE_PERMISSIONS, ROLES, permissionsForRoles, hasPermission, scopesAllow };
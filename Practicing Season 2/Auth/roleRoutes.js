@@ -0,0 +1,91 @@
+// =====================================================================
+//  Auth/roleRoutes.js — ADMIN APIs TO MANAGE ROLES
+// =====================================================================
+//
+//  app.use("/api/admin/roles", createRoleAdminRouter({ users, isAuthenticated }));
+//
+//  GET    /                         → saare roles + unki permissions
+//  GET    /users/:id                → ek user ke roles + effective permissions
+//  PUT    /users/:id   { roles }    → roles replace karo
+//  POST   /users/:id   { role }     → ek role add karo
+//  DELETE /users/:id/:role          → ek role hatao
+//
+//  Poora router "roles:assign" permission se protected hai (admin).
+//
+// =====================================================================
+
+const express = require("express");
+const { ROLE_PERMISSIONS, ROLES, permissionsForRoles } = require("./permissions");
+const { requirePermission, sendForbidden } = require("./middleware");
+
+const createRoleAdminRouter = ({ users, isAuthenticated }) => {
+    const router = express.Router();
+
+    router.use(isAuthenticated, requirePermission("roles:assign"));
+
+    const describe = (user) => ({
+        id: user.id,
+        email: user.email,
+        roles: user.roles,
+        permissions: permissionsForRoles(user.roles),
+    });
+
+    // Roles validate karo + admin khud ka admin role na hata de (lock-out!)
+    const saveRoles = async (req, res, roles) => {
+        const unknown = roles.filter((role) => !ROLES.includes(role));
+        if (roles.length === 0 || unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: unknown.length > 0
+                    ? `Unknown role: ${unknown.join(", ")} (allowed: ${ROLES.join(", ")})`
+                    : "A user needs at least one role",
+            });
+        }
+
+        if (req.params.id === String(req.userId) && !roles.includes("admin")) {
+            return sendForbidden(res, "You cannot remove your own admin role");
+        }
+
+        const user = await users.update(req.params.id, { roles: [...new Set(roles)] }, { actor: req.userId });
+        if (!user) return res.status(404).json({ success: false, message: "User not found" });
+
+        res.json({ success: true, data: describe(user) });
+    };
+
+    const loadUser = async (req, res) => {
+        const user = await users.findById(req.params.id);
+        if (!user) res.status(404).json({ success: false, message: "User not found" });
+        return user;
+    };
+
+    router.get("/", (req, res) => {
+        res.json({ success: true, data: ROLE_PERMISSIONS });
+    });
+
+    router.get("/users/:id", async (req, res) => {
+        const user = await loadUser(req, res);
+        if (user) res.json({ success: true, data: describe(user) });
+    });
+
+    router.put("/users/:id", async (req, res) => {
+        const { roles } = req.body || {};
+        if (!Array.isArray(roles)) {
+            return res.status(400).json({ success: false, message: "roles must be an array" });
+        }
+        await saveRoles(req, res, roles);
+    });
+
+    router.post("/users/:id", async (req, res) => {
+        const user = await loadUser(req, res);
+        if (user) await saveRoles(req, res, [...user.roles, req.body?.role]);
+    });
+
+    router.delete("/users/:id/:role", async (req, res) => {
+        const user = await loadUser(req, res);
+        if (user) await saveRoles(req, res, user.roles.filter((role) => role !== req.params.role));
+    });
+
+    return router;
+};
+
+module.exports = { createRoleAdminRouter };
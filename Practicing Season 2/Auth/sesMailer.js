@@ -0,0 +1,67 @@
+// =====================================================================
+//  Auth/sesMailer.js — ACTION-LINK EMAILS VIA AMAZON SES
+// =====================================================================
+//
+//  Auth/mailer.js ka "ses" transport. Season 3 Episode04 jaisa hi code,
+//  par is package ke andar → koi server start nahi, koi DB connect nahi,
+//  dusre folder ka require nahi.
+//
+//  Config (.env): AWS_REGION=ap-south-1
+//                 AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY (ya EC2 IAM role)
+//                 SES_FROM_EMAIL=no-reply@yourdomain.com  (SES mein verified)
+//
+//  📌 Link mein token hota hai → link hi password jaisa hai, log mat karo!
+//
+// =====================================================================
+
+let sesClient = null;
+
+// npm install @aws-sdk/client-ses → pehli email pe hi load (console transport ko zaroorat nahi)
+const getClient = () => {
+    if (!sesClient) {
+        const { SESClient } = require("@aws-sdk/client-ses");
+        // Credentials nahi diye → SDK khud env / IAM role se le leta hai
+        sesClient = new SESClient({ region: process.env.AWS_REGION || "ap-south-1" });
+    }
+    return sesClient;
+};
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+// Button + plain link (kuch email apps buttons nahi dikhate); link nahi → sirf message
+const sendLinkEmail = async (to, subject, { heading, message, buttonText, link, footer }) => {
+    if (!process.env.SES_FROM_EMAIL) throw new Error("SES_FROM_EMAIL is not set");
+
+    const htmlBody = `
+    <div style="font-family: Arial; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <h2 style="color: #333;">${escapeHtml(heading)}</h2>
+      <p style="font-size: 14px; color: #666;">${escapeHtml(message)}</p>
+      ${link ? `
+      <a href="${escapeHtml(link)}"
+         style="display: inline-block; background: #667eea; color: white;
+                padding: 12px 30px; text-decoration: none; border-radius: 5px;
+                margin-top: 15px;">
+        ${escapeHtml(buttonText)}
+      </a>
+      <p style="font-size: 12px; color: #999; margin-top: 30px;">
+        Button not working? Open this link: ${escapeHtml(link)}
+      </p>` : ""}
+      ${footer ? `<p style="font-size: 12px; color: #999;">${escapeHtml(footer)}</p>` : ""}
+    </div>
+  `;
+
+    const { SendEmailCommand } = require("@aws-sdk/client-ses");
+    return getClient().send(new SendEmailCommand({
+        Source: process.env.SES_FROM_EMAIL,
+        Destination: { ToAddresses: [to] },
+        Message: {
+            Subject: { Data: subject, Charset: "UTF-8" },
+            Body: {
+                Html: { Data: htmlBody, Charset: "UTF-8" },
+                Text: { Data: `${heading}\n\n${message}${link ? `\n\n${link}` : ""}${footer ? `\n\n${footer}` : ""}`, Charset: "UTF-8" },
+            },
+        },
+    }));
+};
+
+module.exports = { sendLinkEmail };
@@ -0,0 +1,177 @@
+// =====================================================================
+//  Auth/sessions.js — REFRESH TOKENS, ROTATION & REVOCATION
+// =====================================================================
+//
+//  Problem: ek 7-day JWT chori ho gaya → 7 din tak valid, logout se bhi
+//  kuch nahi hota (server kuch store hi nahi karta).
+//
+//  Solution: do tokens
+//  → Access token  = JWT, 15 min, har request pe ({ _id, sid })
+//  → Refresh token = random string, 30 din, SIRF naya access token
+//                    lene ke liye (POST /auth/refresh)
+//
+//  Har login = ek SESSION (server pe store). Access token mein session
+//  ki id (sid) hoti hai → session revoke kiya = token turant dead.
+//
+//  📌 Rotation: har refresh pe NAYA refresh token milta hai, purana
+//     bekaar ho jaata hai.
+//  📌 Reuse detection: purana (already rotated) refresh token dobara
+//     aaya → matlab kisi ne chura ke use kiya → poora session revoke,
+//     attacker aur asli user dono logout.
+//
+//  📌 Har session pe device (user-agent), IP, createdAt, lastSeenAt →
+//     "Kahan kahan logged in hoon?" (GET /auth/sessions)
+//
+//  Refresh token format: "<sessionId>.<secret>"
+//  Store mein secret ka SHA-256 hash hi rakhte hain (password jaisa) —
+//  DB leak ho jaaye to bhi tokens use nahi ho sakte.
+//
+// =====================================================================
+
+const crypto = require("crypto");
+
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Random 256-bit secret → bcrypt ki zaroorat nahi, SHA-256 kaafi hai
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+const sameHash = (a, b) => crypto.timingSafeEqual(Buffer.from(a, "hex"), Buffer.from(b, "hex"));
+
+// "Mozilla/5.0 (Windows NT 10.0; ...) Chrome/130..." → "Chrome on Windows"
+// Perfect parsing nahi, bas user pehchan sake ki kaunsa device hai
+const BROWSERS = [["Edg/", "Edge"], ["OPR/", "Opera"], ["Chrome/", "Chrome"], ["Firefox/", "Firefox"], ["Safari/", "Safari"], ["PostmanRuntime", "Postman"], ["curl/", "curl"]];
+const SYSTEMS = [["Android", "Android"], ["iPhone", "iOS"], ["iPad", "iOS"], ["Windows", "Windows"], ["Mac OS X", "macOS"], ["Linux", "Linux"]];
+
+const describeDevice = (userAgent = "") => {
+    const browser = BROWSERS.find(([token]) => userAgent.includes(token));
+    const system = SYSTEMS.find(([token]) => userAgent.includes(token));
+    if (!browser && !system) return "Unknown device";
+    return [browser?.[1], system?.[1]].filter(Boolean).join(" on ");
+};
+
+// Response mein refreshHash kabhi nahi!
+const toPublicSession = (session, currentSessionId) => {
+    if (!session) return null;
+    const { refreshHash, ...safe } = session;
+    return { ...safe, current: session.id === currentSessionId };
+};
+
+const createSessionStore = ({ refreshTtlMs = REFRESH_TOKEN_TTL_MS } = {}) => {
+    const sessions = new Map(); // sessionId → session
+
+    // Naya secret banao, uska hash session pe rakho, token return karo
+    const issueRefreshToken = (session) => {
+        const secret = crypto.randomBytes(32).toString("base64url");
+        session.refreshHash = hashSecret(secret);
+        session.expiresAt = new Date(Date.now() + refreshTtlMs);
+        return `${session.id}.${secret}`;
+    };
+
+    const revokeSession = (session, reason) => {
+        if (!session.revokedAt) {
+            session.revokedAt = new Date();
+            session.revokedReason = reason;
+        }
+    };
+
+    return {
+        // Login / signup pe → { session, refreshToken }
+        // meta = { userAgent, ip }
+        async create(userId, meta = {}) {
+            const now = new Date();
+            const session = {
+                id: crypto.randomUUID(),
+                userId,
+                ...meta,
+                device: describeDevice(meta.userAgent),
+                createdAt: now,
+                lastSeenAt: now,
+                revokedAt: null,
+            };
+            const refreshToken = issueRefreshToken(session);
+            sessions.set(session.id, session);
+            return { session, refreshToken };
+        },
+
+        // POST /auth/refresh → { session, refreshToken } ya { error }
+        // error: "INVALID" | "EXPIRED" | "REVOKED" | "REUSED"
+        async rotate(refreshToken) {
+            const [sessionId, secret] = String(refreshToken || "").split(".");
+            const session = sessions.get(sessionId);
+            if (!session || !secret) return { error: "INVALID" };
+
+            if (session.revokedAt) return { error: "REVOKED" };
+
+            // Session sahi, par secret current wala nahi → purana token reuse hua!
+            if (!sameHash(hashSecret(secret), session.refreshHash)) {
+                revokeSession(session, "refresh token reuse");
+                return { error: "REUSED" };
+            }
+
+            if (session.expiresAt <= new Date()) {
+                revokeSession(session, "expired");
+                return { error: "EXPIRED" };
+            }
+
+            session.lastSeenAt = new Date();
+            return { session, refreshToken: issueRefreshToken(session) };
+        },
+
+        // authMiddleware → har request pe "last seen" update (IP bhi badal sakta hai)
+        async touch(sessionId, { ip } = {}) {
+            const session = sessions.get(sessionId);
+            if (!session) return;
+            session.lastSeenAt = new Date();
+            if (ip) session.ip = ip;
+        },
+
+        // authMiddleware → access token ka session abhi bhi zinda hai?
+        async isActive(sessionId) {
+            const session = sessions.get(sessionId);
+            return Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+        },
+
+        async findById(sessionId) {
+            return sessions.get(sessionId) || null;
+        },
+
+        // Logout → refresh token kis session ka hai? (access token expire ho chuka ho tab bhi)
+        // Sirf CURRENT secret chalega → session id jaan lene se kisi ka logout nahi
+        async findByRefreshToken(refreshToken) {
+            const [sessionId, secret] = String(refreshToken || "").split(".");
+            const session = sessions.get(sessionId);
+            if (!session || !secret || !sameHash(hashSecret(secret), session.refreshHash)) return null;
+            return session;
+        },
+
+        // Logout → sirf ye session
+        async revoke(sessionId, reason = "logout") {
+            const session = sessions.get(sessionId);
+            if (!session) return false;
+            revokeSession(session, reason);
+            return true;
+        },
+
+        // Logout from all devices → user ke saare sessions, count return
+        async revokeAll(userId, reason = "logout-all") {
+            let count = 0;
+            for (const session of sessions.values()) {
+                if (session.userId === userId && !session.revokedAt) {
+                    revokeSession(session, reason);
+                    count++;
+                }
+            }
+            return count;
+        },
+
+        // Sirf active sessions, latest activity pehle
+        async listForUser(userId) {
+            const now = new Date();
+            return [...sessions.values()]
+                .filter((s) => s.userId === userId && !s.revokedAt && s.expiresAt > now)
+                .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+        },
+    };
+};
+
+module.exports = { createSessionStore, toPublicSession, describeDevice, REFRESH_TOKEN_TTL_MS };
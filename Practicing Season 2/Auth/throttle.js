@@ -0,0 +1,44 @@
+// =====================================================================
+//  Auth/throttle.js — "ITNI JALDI DOBARA NAHI" (in-memory rate limit)
+// =====================================================================
+//
+//  const limiter = createThrottle({ windowMs: 60 * 60 * 1000, max: 5, minIntervalMs: 60 * 1000 });
+//  const { allowed, retryAfterSeconds } = limiter.hit(email);
+//
+//  → windowMs + max     = window mein zyada se zyada kitni baar
+//  → minIntervalMs      = do hits ke beech kam se kam kitna gap
+//
+//  Use: resend email, OTP bhejna, login attempts...
+//  📌 In-memory → server restart pe reset, multiple servers pe Redis use karo
+//
+// =====================================================================
+
+const createThrottle = ({ windowMs, max, minIntervalMs = 0 }) => {
+    const hits = new Map(); // key → [timestamps]
+
+    return {
+        hit(key) {
+            const now = Date.now();
+            const recent = (hits.get(key) || []).filter((t) => now - t < windowMs);
+
+            const waitForInterval = recent.length > 0 ? recent[recent.length - 1] + minIntervalMs - now : 0;
+            const waitForWindow = recent.length >= max ? recent[0] + windowMs - now : 0;
+            const waitMs = Math.max(waitForInterval, waitForWindow);
+
+            if (waitMs > 0) {
+                hits.set(key, recent);
+                return { allowed: false, retryAfterSeconds: Math.ceil(waitMs / 1000) };
+            }
+
+            recent.push(now);
+            hits.set(key, recent);
+            return { allowed: true, retryAfterSeconds: 0 };
+        },
+
+        reset(key) {
+            hits.delete(key);
+        },
+    };
+};
+
+module.exports = { createThrottle };
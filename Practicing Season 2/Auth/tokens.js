@@ -0,0 +1,68 @@
+// =====================================================================
+//  Auth/tokens.js — SIGN & VERIFY JWTs
+// =====================================================================
+//
+//  Token ke payload mein SIRF user ki ID rakhte hain ({ _id }).
+//  Roles token mein NAHI daalte — har request pe DB se fresh roles aate
+//  hain, taaki admin role hatane pe turant effect ho (token expire hone
+//  ka wait nahi).
+//
+// =====================================================================
+
+const { loadKeyRing } = require("./keys");
+
+// Signing keys config se aati hain (JWT_KEYS_FILE / JWT_KEYS / JWT_SECRET) → keys.js
+const keyRing = loadKeyRing();
+
+// claims → extra payload, e.g. { sid } = session id (Auth/sessions.js)
+const createToken = (userId, expiresIn = "7d", claims = {}) => {
+    return keyRing.sign({ ...claims, _id: userId }, { expiresIn });
+};
+
+// Invalid / expired / tampered / unknown kid → null
+// Purpose wala token (e.g. email verify link) login token ki jagah NAHI chalega
+const verifyToken = (token) => {
+    try {
+        const decoded = keyRing.verify(token);
+        return decoded.purpose ? null : decoded;
+    } catch (error) {
+        return null;
+    }
+};
+
+// =====================================================================
+//  PURPOSE TOKENS — ek kaam ke liye signed link (e.g. "verify-email")
+// =====================================================================
+//  Same keys, par payload mein { purpose } → verify-email wala token
+//  password reset pe nahi chalega, aur login pe bhi nahi.
+
+const createPurposeToken = (userId, purpose, expiresIn, claims = {}) => {
+    return keyRing.sign({ ...claims, _id: userId, purpose }, { expiresIn });
+};
+
+const verifyPurposeToken = (token, purpose) => {
+    try {
+        const decoded = keyRing.verify(token);
+        return decoded.purpose === purpose ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// GET /.well-known/jwks.json → public keys, taaki dusri services verify kar sakein
+const jwksHandler = (req, res) => {
+    res.set("Cache-Control", "public, max-age=300");
+    res.json(keyRing.jwks());
+};
+
+// Cookie (browser) ya "Authorization: Bearer <token>" (Postman, mobile apps)
+const getTokenFromRequest = (req) => {
+    if (req.cookies && req.cookies.token) return req.cookies.token;
+
+    const [scheme, token] = (req.headers.authorization || "").split(" ");
+    return scheme === "Bearer" && token ? token : null;
+};
+
+module.exports = {
+    keyRing, createToken, verifyToken, createPurposeToken, verifyPurposeToken, getTokenFromRequest, jwksHandler,
+};
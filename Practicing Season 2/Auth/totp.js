@@ -0,0 +1,93 @@
+// =====================================================================
+//  Auth/totp.js — TOTP (RFC 6238) — Google Authenticator wale 6 digits
+// =====================================================================
+//
+//  🤔 Kaise kaam karta hai?
+//  → Server aur phone ke paas SAME secret (QR code scan karke)
+//  → Har 30 second: code = HMAC-SHA1(secret, time / 30) → 6 digits
+//  → Dono apna apna calculate karte hain → match = sahi banda
+//  → Internet ki zaroorat nahi, SMS nahi, email nahi
+//
+//  📌 Secret base32 mein hota hai (authenticator apps yahi samajhte hain)
+//  📌 Phone ki ghadi thodi aage/peeche ho sakti hai → ±1 step (30s) allow
+//  📌 Ek code ek hi baar → last used step yaad rakho (replay block)
+//
+// =====================================================================
+
+const crypto = require("crypto");
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// ---- Base32 (RFC 4648) ----
+const ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+    let bits = "";
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+    let output = "";
+    for (let i = 0; i < bits.length; i += 5) {
+        output += ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (text) => {
+    let bits = "";
+    for (const char of text.replace(/[\s=-]/g, "").toUpperCase()) {
+        const index = ALPHABET.indexOf(char);
+        if (index === -1) throw new Error("Invalid base32 character");
+        bits += index.toString(2).padStart(5, "0");
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+};
+
+// 160-bit random secret (RFC 4226 recommendation)
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// ---- HOTP (RFC 4226) → TOTP = HOTP(secret, time step) ----
+const hotp = (key, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac("sha1", key).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f; // "dynamic truncation"
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+const generateTotp = (secret, now = Date.now()) => hotp(base32Decode(secret), currentStep(now));
+
+// Sahi code → uska time step (save karo as lastUsedStep), warna null
+// afterStep → isse pehle/barabar wale steps reject (same code dobara nahi)
+const verifyTotp = (secret, code, { window = 1, afterStep = -1, now = Date.now() } = {}) => {
+    if (!/^\d{6}$/.test(String(code))) return null;
+
+    const key = base32Decode(secret);
+    const step = currentStep(now);
+
+    for (let s = step - window; s <= step + window; s++) {
+        if (s <= afterStep) continue;
+        if (crypto.timingSafeEqual(Buffer.from(hotp(key, s)), Buffer.from(String(code)))) return s;
+    }
+    return null;
+};
+
+// Authenticator app ke liye link → QR code banao ya manually secret daalo
+// otpauth://totp/NamasteNode:ujjwal@test.com?secret=...&issuer=NamasteNode
+const otpauthUri = ({ issuer, account, secret }) => {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+    // encodeURIComponent (space → %20), URLSearchParams wala "+" kuch apps nahi samajhte
+    const params = { secret, issuer, algorithm: "SHA1", digits: DIGITS, period: STEP_SECONDS };
+    const query = Object.entries(params).map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join("&");
+    return `otpauth://totp/${label}?${query}`;
+};
+
+module.exports = { generateTotpSecret, generateTotp, verifyTotp, otpauthUri, base32Encode, base32Decode };
@@ -0,0 +1,199 @@
+// =====================================================================
+//  Auth/twoFactor.js — 2FA (TOTP) ENROLMENT + TWO-STEP LOGIN
+// =====================================================================
+//
+//  const twoFactor = createTwoFactor({ users, isAuthenticated, guard });
+//  guard (optional) = Auth/loginGuard.js → galat codes ACCOUNT pe gine jaate hain
+//  app.use("/auth", twoFactor.router);
+//
+//  ENROLMENT (logged-in user):
+//  POST /auth/2fa/setup              → { secret, otpauthUrl } (QR code banao)
+//  POST /auth/2fa/confirm  { code }  → 2FA ON + 10 recovery codes (SIRF EK BAAR dikhenge!)
+//  POST /auth/2fa/disable  { code }  → 2FA OFF (TOTP ya recovery code chahiye)
+//
+//  LOGIN:
+//  1. POST /login (email + password sahi) → 2FA on hai?
+//     → { twoFactorRequired: true, challengeToken }  — cookie NAHI!
+//  2. POST /login/2fa { challengeToken, code | recoveryCode }
+//     → twoFactor.completeChallenge(body, { ip }) → user → ab cookie/JWT do
+//
+//  📌 Challenge = 5 min, max 5 galat codes, ek baar use
+//  📌 Par password jaanne wala naye challenges banata rahega → isliye galat
+//     codes guard mein bhi (per account + IP) → backoff + lockout, /2fa/disable pe bhi
+//  📌 Recovery codes → phone kho gaya to; sirf HASH save, har code ek baar
+//
+// =====================================================================
+
+const crypto = require("crypto");
+const express = require("express");
+const { generateTotpSecret, verifyTotp, otpauthUri, base32Encode } = require("./totp");
+
+const ISSUER = process.env.TOTP_ISSUER || "NamasteNode";
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+// "K7QX-2MBD-94TR" → 12 base32 chars = 60 random bits, dashes sirf padhne ke liye
+const generateRecoveryCode = () => base32Encode(crypto.randomBytes(8)).slice(0, 12).match(/.{4}/g).join("-");
+
+const normalizeRecoveryCode = (code) => String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+const isTwoFactorEnabled = (user) => Boolean(user?.twoFactor?.enabled);
+
+const createTwoFactor = ({ users, isAuthenticated, guard }) => {
+    const challenges = new Map(); // challengeToken hash → { userId, expiresAt, attempts }
+
+    // TOTP ya recovery code check karo → { twoFactor (updated) } ya null
+    // Sahi code → replay/reuse rokne ke liye updated state return
+    const checkSecondFactor = (twoFactor, { code, recoveryCode }) => {
+        if (code) {
+            const step = verifyTotp(twoFactor.secret, code, { afterStep: twoFactor.lastUsedStep ?? -1 });
+            return step === null ? null : { ...twoFactor, lastUsedStep: step };
+        }
+
+        if (recoveryCode) {
+            const hash = sha256(normalizeRecoveryCode(recoveryCode));
+            if (!twoFactor.recoveryCodes.includes(hash)) return null;
+            // Har recovery code ek hi baar
+            return { ...twoFactor, recoveryCodes: twoFactor.recoveryCodes.filter((h) => h !== hash) };
+        }
+
+        return null;
+    };
+
+    // ---- LOGIN STEP 1: password sahi tha → challenge banao ----
+    const createChallenge = (user) => {
+        // Purane expired challenges saaf karo (memory na bhare)
+        for (const [key, challenge] of challenges) {
+            if (challenge.expiresAt <= Date.now()) challenges.delete(key);
+        }
+
+        const challengeToken = crypto.randomBytes(32).toString("base64url");
+        challenges.set(sha256(challengeToken), {
+            userId: user.id,
+            expiresAt: Date.now() + CHALLENGE_TTL_MS,
+            attempts: 0,
+        });
+        return { challengeToken, expiresInSeconds: CHALLENGE_TTL_MS / 1000 };
+    };
+
+    // ---- LOGIN STEP 2: code check → { user } ya { error } ----
+    // error: "INVALID_CHALLENGE" | "INVALID_CODE" (+ attemptsLeft) | "LOCKED" (+ retryAfterSeconds)
+    const completeChallenge = async ({ challengeToken, code, recoveryCode }, { ip } = {}) => {
+        const key = sha256(String(challengeToken || ""));
+        const challenge = challenges.get(key);
+
+        if (!challenge || challenge.expiresAt <= Date.now()) {
+            challenges.delete(key);
+            return { error: "INVALID_CHALLENGE" };
+        }
+
+        const user = await users.findById(challenge.userId);
+
+        // Account (ya IP) pe bahut galat codes → abhi check bhi nahi
+        const blocked = guard && user && guard.check(user.email, ip);
+        if (blocked) return { error: "LOCKED", retryAfterSeconds: blocked.retryAfterSeconds };
+
+        const updated = isTwoFactorEnabled(user) && checkSecondFactor(user.twoFactor, { code, recoveryCode });
+
+        if (!updated) {
+            if (guard && user) await guard.recordFailure(user.email, ip);
+            challenge.attempts++;
+            // Limit poori → challenge khatam, dobara password se shuru
+            if (challenge.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+                challenges.delete(key);
+                return { error: "INVALID_CHALLENGE" };
+            }
+            return { error: "INVALID_CODE", attemptsLeft: MAX_CHALLENGE_ATTEMPTS - challenge.attempts };
+        }
+
+        challenges.delete(key); // Ek challenge = ek login
+        guard?.recordSuccess(user.email); // Dono factors sahi → ab jaake counter reset
+        await users.update(user.id, { twoFactor: updated });
+        return { user, usedRecoveryCode: Boolean(recoveryCode && !code) };
+    };
+
+    // =================================================================
+    //  ENROLMENT ROUTES
+    // =================================================================
+
+    const router = express.Router();
+    router.use("/2fa", isAuthenticated);
+
+    const invalidCode = (res) => res.status(400).json({ success: false, message: "Invalid authentication code" });
+
+    router.post("/2fa/setup", async (req, res) => {
+        const user = await users.findById(req.userId);
+        if (isTwoFactorEnabled(user)) {
+            return res.status(409).json({ success: false, message: "Two-factor authentication is already enabled" });
+        }
+
+        // Pending secret → confirm hone tak login pe asar nahi
+        const secret = generateTotpSecret();
+        await users.update(user.id, { twoFactor: { enabled: false, pendingSecret: secret } });
+
+        res.json({
+            success: true,
+            message: "Scan the QR code in your authenticator app, then confirm with a code",
+            data: { secret, otpauthUrl: otpauthUri({ issuer: ISSUER, account: user.email, secret }) },
+        });
+    });
+
+    router.post("/2fa/confirm", async (req, res) => {
+        const user = await users.findById(req.userId);
+        const pendingSecret = user.twoFactor?.pendingSecret;
+        if (!pendingSecret) {
+            return res.status(400).json({ success: false, message: "Start setup first (POST /auth/2fa/setup)" });
+        }
+
+        const step = verifyTotp(pendingSecret, req.body?.code);
+        if (step === null) return invalidCode(res);
+
+        const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+        await users.update(user.id, {
+            twoFactor: {
+                enabled: true,
+                secret: pendingSecret,
+                lastUsedStep: step,
+                recoveryCodes: recoveryCodes.map((c) => sha256(normalizeRecoveryCode(c))),
+                enabledAt: new Date(),
+            },
+        });
+
+        res.json({
+            success: true,
+            message: "Two-factor authentication enabled. Save these recovery codes — they will not be shown again!",
+            data: { recoveryCodes },
+        });
+    });
+
+    router.post("/2fa/disable", async (req, res) => {
+        const user = await users.findById(req.userId);
+        if (!isTwoFactorEnabled(user)) {
+            return res.status(400).json({ success: false, message: "Two-factor authentication is not enabled" });
+        }
+
+        // Chori ki hui session se codes guess karke 2FA off na ho → guard
+        const blocked = guard?.check(user.email, req.ip);
+        if (blocked) {
+            res.set("Retry-After", String(blocked.retryAfterSeconds));
+            return res.status(429).json({ success: false, message: "Too many invalid codes, please try again later" });
+        }
+
+        // Code chahiye (sirf session kaafi nahi)
+        if (!checkSecondFactor(user.twoFactor, req.body || {})) {
+            await guard?.recordFailure(user.email, req.ip);
+            return invalidCode(res);
+        }
+
+        guard?.recordSuccess(user.email);
+        await users.update(user.id, { twoFactor: null });
+        res.json({ success: true, message: "Two-factor authentication disabled" });
+    });
+
+    return { router, createChallenge, completeChallenge };
+};
+
+module.exports = { createTwoFactor, isTwoFactorEnabled };
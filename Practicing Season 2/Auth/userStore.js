@@ -0,0 +1,70 @@
+// =====================================================================
+//  Auth/userStore.js — USERS WITH ROLES (in-memory)
+// =====================================================================
+//
+//  Auth middleware ko "real users" chahiye — token mein sirf user ki ID
+//  hoti hai, baaki sab (roles, isActive) yahan se aata hai.
+//
+//  📌 Same async methods as a Mongoose model would give you:
+//     findById / findByEmail / findByIdentity / create / update
+//  → Kal ko MongoDB pe shift karo, middleware ko farak nahi padega.
+//
+// =====================================================================
+
+const crypto = require("crypto");
+
+// Password hash, reset token ka hash, 2FA secret → kabhi bhi response mein nahi!
+const toPublicUser = (user) => {
+    if (!user) return null;
+    const { passwordHash, passwordHistory, passwordReset, twoFactor, ...safe } = user;
+    return { ...safe, twoFactorEnabled: Boolean(twoFactor?.enabled) };
+};
+
+const createUserStore = (initialUsers = []) => {
+    const users = initialUsers.map((u) => ({ roles: ["user"], isActive: true, ...u }));
+
+    return {
+        async findById(id) {
+            return users.find((u) => u.id === id) || null;
+        },
+
+        async findByEmail(email) {
+            const normalized = String(email || "").trim().toLowerCase();
+            return users.find((u) => u.email === normalized) || null;
+        },
+
+        // "Login with provider" → (provider, subject) wala user (Auth/oidc.js)
+        async findByIdentity(provider, subject) {
+            const matches = (identity) => identity.provider === provider && identity.subject === subject;
+            return users.find((u) => (u.identities || []).some(matches)) || null;
+        },
+
+        async create({ name, email, passwordHash, roles = ["user"], ...rest }) {
+            const user = {
+                ...rest,
+                id: crypto.randomUUID(),
+                name,
+                email: String(email).trim().toLowerCase(),
+                passwordHash,
+                roles,
+                isActive: true,
+                createdAt: new Date(),
+            };
+            users.push(user);
+            return user;
+        },
+
+        async update(id, changes) {
+            const user = users.find((u) => u.id === id);
+            if (!user) return null;
+            Object.assign(user, changes, { id }); // id kabhi change nahi hogi
+            return user;
+        },
+
+        async list() {
+            return [...users];
+        },
+    };
+};
+
+module.exports = { createUserStore, toPublicUser };
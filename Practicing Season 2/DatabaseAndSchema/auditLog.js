@@ -0,0 +1,266 @@
+// =====================================================================
+//  auditLog.js — AUDIT LOG MODEL + MONGOOSE PLUGIN
+// =====================================================================
+//
+//  🤔 Audit log kya hai?
+//  ----------------------
+//  Ek diary jisme har change likha jaata hai:
+//  → KAUN ne change kiya (actor)
+//  → KAB kiya (at)
+//  → KYA badla — har field ka pehle aur baad ka value (before/after)
+//
+//  Support team ka sawaal: "Is user ka email kisne change kiya?"
+//  → AuditLog.find({ documentId: userId, "changes.field": "email" })
+//
+//  📌 Plugin = reusable middleware bundle for a schema
+//     userSchema.plugin(auditPlugin) → User ke saare create / update /
+//     delete apne aap AuditLog collection mein record ho jaate hain.
+//
+// =====================================================================
+
+const mongoose = require("mongoose");
+const express = require("express");
+const { requirePermission } = require("../Auth/middleware");
+
+// =====================================================================
+//  AuditLog SCHEMA & MODEL
+// =====================================================================
+
+const auditLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ["create", "update", "delete"],
+        required: true,
+    },
+    modelName: { type: String, required: true },         // "User"
+    documentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    actor: { type: String, default: "system" },          // user id / email / "system"
+    changes: [{
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+    }],
+    at: { type: Date, default: Date.now },
+});
+
+// History of one document, newest first  → GET /users/:id/history
+auditLogSchema.index({ documentId: 1, at: -1 });
+// Everything one person changed          → GET /audit?actor=...
+auditLogSchema.index({ actor: 1, at: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+// =====================================================================
+//  DIFF HELPER — field-level before/after
+// =====================================================================
+
+// Mongoose/bookkeeping fields → no one cares about these in a diff
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+
+// NEVER copy these values into the audit log (only "it changed")
+// Hash, reset token hash, 2FA secret / recovery codes, purane hashes
+// + schema ka har "select: false" field apne aap (plugin neeche)
+const SECRET_FIELDS = ["password", "passwordHistory", "passwordReset", "twoFactor"];
+
+// ObjectIds / Dates compare correctly once turned into JSON
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const diff = (before, after, secretFields = SECRET_FIELDS) => {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    return [...fields]
+        .filter((field) => !IGNORED_FIELDS.includes(field))
+        .filter((field) => !isEqual(before?.[field], after?.[field]))
+        .map((field) => secretFields.includes(field)
+            ? { field, before: "[redacted]", after: "[redacted]" }
+            : { field, before: before?.[field], after: after?.[field] });
+};
+
+// =====================================================================
+//  THE PLUGIN
+// =====================================================================
+//
+//  Actor kaise bataye?
+//  → Document pe:  user.$locals.actor = req.userId; await user.save();
+//  → Query pe:     User.findByIdAndUpdate(id, data, { new: true, actor: req.userId })
+//                  (custom query options middleware mein this.getOptions() se milte hain)
+//
+// =====================================================================
+
+const auditPlugin = (schema, options = {}) => {
+    // select: false = secret → redact; aur query hooks unhe "+field" se padhein
+    // taaki "twoFactor changed" bhi record ho (value nahi)
+    const hiddenFields = Object.keys(schema.paths)
+        .filter((path) => schema.paths[path].options?.select === false)
+        .map((path) => path.split(".")[0]);
+    const secretFields = [...new Set([...SECRET_FIELDS, ...hiddenFields])];
+    const selectHidden = [...new Set(hiddenFields)].map((field) => `+${field}`).join(" ");
+
+    const record = async (modelName, action, before, after, actor) => {
+        const changes = diff(before, after, secretFields);
+        if (action === "update" && changes.length === 0) return; // Kuch badla hi nahi
+
+        await AuditLog.create({
+            action,
+            modelName,
+            documentId: (after || before)._id,
+            actor: actor ? String(actor) : options.defaultActor || "system",
+            changes,
+        });
+    };
+
+    // ---- Documents: remember how the doc looked when it was loaded ----
+    schema.post("init", function () {
+        this.$locals.auditBefore = this.toObject({ depopulate: true });
+    });
+
+    // ---- doc.save() → create OR update ----
+    schema.pre("save", function () {
+        this.$locals.auditWasNew = this.isNew;
+    });
+
+    schema.post("save", async function (doc) {
+        const before = doc.$locals.auditWasNew ? null : doc.$locals.auditBefore;
+        const after = doc.toObject({ depopulate: true });
+
+        await record(doc.constructor.modelName, before ? "update" : "create", before, after, doc.$locals.actor);
+        doc.$locals.auditBefore = after; // Next save diffs against THIS version
+    });
+
+    // Query se pehle: jo document badlega uska snapshot lo, phir query ko
+    // usi _id tak seemit karo (filter + _id) → update / delete WAHI document
+    // chhuye jiska snapshot hai, koi aur match karne wala nahi
+    const snapshotTarget = async function () {
+        const { sort } = this.getOptions();
+        this._auditBefore = await this.model.findOne(this.getFilter(), null, { sort }).select(selectHidden).lean();
+        if (this._auditBefore) this.where({ _id: this._auditBefore._id });
+    };
+
+    // ---- findOneAndUpdate / findByIdAndUpdate / updateOne ----
+    schema.pre(["findOneAndUpdate", "updateOne"], snapshotTarget);
+
+    schema.post(["findOneAndUpdate", "updateOne"], async function () {
+        if (!this._auditBefore) return; // Nothing matched → nothing changed
+
+        const after = await this.model.findById(this._auditBefore._id).select(selectHidden).lean();
+        await record(this.model.modelName, "update", this._auditBefore, after, this.getOptions().actor);
+    });
+
+    // ---- findOneAndDelete / findByIdAndDelete / Model.deleteOne ----
+    schema.pre(["findOneAndDelete", "deleteOne"], { query: true, document: false }, snapshotTarget);
+
+    schema.post(["findOneAndDelete", "deleteOne"], { query: true, document: false }, async function () {
+        if (!this._auditBefore) return;
+        await record(this.model.modelName, "delete", this._auditBefore, null, this.getOptions().actor);
+    });
+
+    // ---- doc.deleteOne() ----
+    schema.post("deleteOne", { document: true, query: false }, async function (doc) {
+        await record(doc.constructor.modelName, "delete", doc.toObject({ depopulate: true }), null, doc.$locals.actor);
+    });
+};
+
+// =====================================================================
+//  ROUTES — app.use("/api", createAuditRouter({ isAuthenticated }))
+// =====================================================================
+//
+//  GET /users/:id/history → ek user ki saari changes, newest first
+//                           (users:read → apni history, admin / moderator kisi ki bhi)
+//  GET /audit             → sabki changes (audit:read → admin)
+//
+//  Filters: ?actor= &action= &field=email &from=2026-01-01 &to=2026-02-01
+//           &page= &limit=   → { success, data, pagination } (Episode14 jaisa)
+//  "Is user ka email kisne badla?" → GET /api/users/:id/history?field=email
+//
+// =====================================================================
+
+const ACTIONS = auditLogSchema.path("action").enumValues;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// req.query → { filter (MongoDB), page, limit, errors }
+const parseAuditQuery = (query) => {
+    const errors = [];
+    const filter = {};
+    const fail = (field, rule, message) => errors.push({ field, rule, message });
+
+    // ?actor[$ne]=x → object aata hai → sirf strings chalenge (NoSQL injection nahi)
+    for (const [key, raw] of Object.entries(query)) {
+        if (typeof raw !== "string") fail(key, "type", `${key} must be given once, as text`);
+    }
+    if (errors.length > 0) return { filter, errors };
+
+    const { actor, action, field, from, to, page = "1", limit = String(DEFAULT_LIMIT) } = query;
+
+    if (actor) filter.actor = actor;
+    if (field) filter["changes.field"] = field;
+    if (action) {
+        if (!ACTIONS.includes(action)) fail("action", "enum", `action must be one of: ${ACTIONS.join(", ")}`);
+        filter.action = action;
+    }
+
+    for (const [key, raw, operator] of [["from", from, "$gte"], ["to", to, "$lte"]]) {
+        if (raw === undefined) continue;
+        const date = new Date(raw);
+        if (Number.isNaN(date.getTime())) fail(key, "type", `${key} must be a date (e.g. 2026-01-31)`);
+        else filter.at = { ...filter.at, [operator]: date };
+    }
+
+    const pageNumber = Number(page);
+    const limitNumber = Number(limit);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) fail("page", "type", "page must be a positive integer");
+    if (!Number.isInteger(limitNumber) || limitNumber < 1) fail("limit", "type", "limit must be a positive integer");
+    else if (limitNumber > MAX_LIMIT) fail("limit", "max", `limit cannot exceed ${MAX_LIMIT}`);
+
+    return { filter, page: pageNumber, limit: limitNumber, errors };
+};
+
+// Filter + page → response (dono routes ka same envelope)
+const sendAuditPage = async (req, res, fixedFilter = {}) => {
+    const { filter, page, limit, errors } = parseAuditQuery(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: "Invalid query", errors });
+    }
+
+    const query = { ...filter, ...fixedFilter };
+    const [data, total] = await Promise.all([
+        AuditLog.find(query).sort({ at: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+        AuditLog.countDocuments(query),
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+        success: true,
+        data,
+        pagination: { currentPage: page, totalPages, total, limit, hasNextPage: page < totalPages, hasPrevPage: page > 1 },
+    });
+};
+
+const createAuditRouter = ({ isAuthenticated }) => {
+    const router = express.Router();
+
+    router.get(
+        "/users/:id/history",
+        isAuthenticated,
+        requirePermission("users:read", { owner: (req) => req.params.id }),
+        async (req, res) => {
+            if (!mongoose.isValidObjectId(req.params.id)) {
+                return res.status(400).json({ success: false, message: "Invalid user id" });
+            }
+            // Deleted user ki history bhi milti hai (AuditLog mein rehti hai)
+            await sendAuditPage(req, res, { modelName: "User", documentId: req.params.id });
+        },
+    );
+
+    router.get("/audit", isAuthenticated, requirePermission("audit:read"), (req, res) => sendAuditPage(req, res));
+
+    return router;
+};
+
+module.exports = { AuditLog, auditPlugin, createAuditRouter, diff, parseAuditQuery };
+
+// =====================================================================
+//  📌 updateMany / deleteMany are NOT audited by this plugin
+//     (they can touch thousands of docs) → loop + save() if you need it.
+// =====================================================================
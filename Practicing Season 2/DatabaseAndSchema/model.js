@@ -27,6 +27,11 @@
 
 const mongoose = require("mongoose");
 const userSchema = require("./schema"); // Import the Schema we created
+const { auditPlugin } = require("./auditLog");
+
+// Plugin BEFORE mongoose.model() → har create / update / delete ka
+// record AuditLog collection mein (kaun, kab, kya badla) → see auditLog.js
+userSchema.plugin(auditPlugin);
 
 // =====================================================================
 //  Creating the Model
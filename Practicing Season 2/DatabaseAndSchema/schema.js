@@ -24,6 +24,10 @@
 
 const mongoose = require("mongoose");
 
+// firstName, email, password, age & roles rules live in userRules.js so that the
+// crud/ API can validate requests with the EXACT same rules
+const userRules = require("./userRules");
+
 // =====================================================================
 //  USER SCHEMA — Blueprint for a "User" document
 // =====================================================================
@@ -35,13 +39,7 @@ const userSchema = new mongoose.Schema(
         // required: true → this field MUST be provided, cannot be empty
         // minLength/maxLength → controls how short/long the name can be
         // trim: true → removes spaces from start and end ("  Ujjwal  " → "Ujjwal")
-        firstName: {
-            type: String,
-            required: [true, "First name is required"], // Custom error message
-            minLength: [2, "First name must be at least 2 characters"],
-            maxLength: [50, "First name cannot exceed 50 characters"],
-            trim: true,
-        },
+        firstName: userRules.firstName,
 
         // ---- lastName ----
         // Not required → optional field
@@ -55,34 +53,30 @@ const userSchema = new mongoose.Schema(
         // unique: true → No two users can have the same email
         // lowercase: true → "UJJWAL@Gmail.COM" → "ujjwal@gmail.com"
         // match → Regex validation to ensure valid email format
+        // (unique is Mongoose-only, so it is added here on top of the shared rules)
         email: {
-            type: String,
-            required: [true, "Email is required"],
+            ...userRules.email,
             unique: true, // Creates a unique INDEX in MongoDB
-            lowercase: true,
-            trim: true,
-            match: [
-                /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/,
-                "Please enter a valid email",
-            ],
         },
 
         // ---- password ----
         // In production, you would HASH this before saving (using bcrypt)
         // Never store plain-text passwords!
+        // "Login with Google" (identities) wale user ka password hota hi nahi
+        // → sirf naye document pe check; update pe nahi (OIDC link password hatata hai)
         password: {
-            type: String,
-            required: [true, "Password is required"],
-            minLength: [8, "Password must be at least 8 characters"],
+            ...userRules.password,
+            required: [
+                function () {
+                    return this instanceof mongoose.Document && !(this.identities?.length > 0);
+                },
+                "Password is required",
+            ],
         },
 
         // ---- age ----
         // min/max → numeric range validation
-        age: {
-            type: Number,
-            min: [13, "Must be at least 13 years old"],
-            max: [120, "Age seems invalid"],
-        },
+        age: userRules.age,
 
         // ---- gender ----
         // enum → Only these EXACT values are allowed, nothing else
@@ -119,12 +113,62 @@ const userSchema = new mongoose.Schema(
             default: "https://via.placeholder.com/150",
         },
 
+        // ---- roles ----
+        // Array of role names → ["user"], ["user", "moderator"], ["admin"]
+        // Kaun kya kar sakta hai → Auth/permissions.js (RBAC)
+        roles: userRules.roles,
+
         // ---- isActive ----
         // Boolean → true or false only
         isActive: {
             type: Boolean,
             default: true,
         },
+
+        // =================================================================
+        //  AUTH FIELDS (Practicing Season 2/Auth/*) — mongooseUserStore.js
+        // =================================================================
+        // select: false → User.find() mein ye secrets KABHI nahi aate;
+        // sirf user store "+field" se maangta hai
+
+        // ---- emailVerified ---- (Auth/emailVerification.js)
+        emailVerified: { type: Boolean, default: false },
+        emailVerifiedAt: Date,
+
+        // ---- passwordChangedAt / passwordHistory ---- (Auth/passwordPolicy.js)
+        // History = purane password HASHES → last N dobara nahi
+        passwordChangedAt: Date,
+        passwordHistory: { type: [String], select: false },
+
+        // ---- passwordReset ---- (Auth/passwordReset.js)
+        // Sirf token ka SHA-256 hash, token khud kabhi nahi
+        passwordReset: {
+            type: new mongoose.Schema({ tokenHash: String, expiresAt: Date }, { _id: false }),
+            default: null,
+            select: false,
+        },
+
+        // ---- twoFactor ---- (Auth/twoFactor.js)
+        // TOTP secret + recovery code hashes → password jitna hi secret
+        twoFactor: {
+            type: new mongoose.Schema({
+                enabled: Boolean,
+                secret: String,
+                pendingSecret: String,
+                lastUsedStep: Number,
+                recoveryCodes: [String],
+                enabledAt: Date,
+            }, { _id: false }),
+            default: null,
+            select: false,
+        },
+
+        // ---- identities ---- (Auth/oidc.js)
+        // "Login with Google / GitHub" → (provider, subject) se user pehchano
+        identities: {
+            type: [new mongoose.Schema({ provider: String, subject: String, linkedAt: Date }, { _id: false })],
+            default: [],
+        },
     },
     {
         // =====================================================================
@@ -139,6 +183,14 @@ const userSchema = new mongoose.Schema(
     }
 );
 
+// "Login with provider" → findByIdentity(provider, subject) ka index
+// unique → ek provider account do users se link nahi ho sakta
+// partial → bina identities wale users index mein nahi (warna sab khaali pe takraate)
+userSchema.index(
+    { "identities.provider": 1, "identities.subject": 1 },
+    { unique: true, partialFilterExpression: { "identities.subject": { $exists: true } } },
+);
+
 // Export the schema so model.js can use it
 module.exports = userSchema;
 
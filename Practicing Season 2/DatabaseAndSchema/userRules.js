@@ -0,0 +1,73 @@
+// =====================================================================
+//  userRules.js — SHARED VALIDATION RULES FOR USER FIELDS
+// =====================================================================
+//
+//  🤔 Why a separate file?
+//  ------------------------
+//  Rules schema.js se alag → Mongoose ke bina bhi padh / reuse kar sako
+//  → schema.js (Mongoose) → MongoDB mein save karte time check
+//
+//  📌 crud/ alag package hai (apna package.json) → wo is file ko require
+//     NAHI karta, crud/userSchema.js mein firstName / email / age ki copy
+//     hai. Yahan rule badlo → wahan bhi badlo, warna dono alag check karenge 🐛
+//     (crud/test/userSchema.test.js dono ko compare karta hai → drift pe fail)
+//
+//  📌 This file is PLAIN JavaScript — no mongoose import.
+//     The format is exactly what mongoose.Schema understands:
+//     { type, required, minLength, maxLength, min, max, match, ... }
+//     Custom messages use the [value, "message"] array form.
+//
+// =====================================================================
+
+const { ROLES } = require("../Auth/permissions");
+
+// ---- firstName ----
+const firstName = {
+    type: String,
+    required: [true, "First name is required"],
+    minLength: [2, "First name must be at least 2 characters"],
+    maxLength: [50, "First name cannot exceed 50 characters"],
+    trim: true,
+};
+
+// ---- email ----
+const email = {
+    type: String,
+    required: [true, "Email is required"],
+    lowercase: true,
+    trim: true,
+    match: [
+        /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/,
+        "Please enter a valid email",
+    ],
+};
+
+// ---- password ----
+// Plain password ka basic rule (hash hone se PEHLE check hota hai)
+// → Poori policy (classes, breached list, history) → Auth/passwordPolicy.js
+const password = {
+    type: String,
+    required: [true, "Password is required"],
+    minLength: [8, "Password must be at least 8 characters"],
+};
+
+// ---- age ----
+const age = {
+    type: Number,
+    min: [13, "Must be at least 13 years old"],
+    max: [120, "Age seems invalid"],
+};
+
+// ---- roles ----
+// RBAC roles → allowed values come from Auth/permissions.js
+// so a role can't exist here without permissions defined there
+const roles = {
+    type: [String],
+    enum: {
+        values: ROLES,
+        message: "{VALUE} is not a valid role",
+    },
+    default: ["user"],
+};
+
+module.exports = { firstName, email, password, age, roles };
@@ -14,6 +14,7 @@
 // =====================================================================
 
 const express = require("express");
+const { createUserStore, createAuth, createToken, requireRole, requirePermission, passwordHasher } = require("./Auth");
 const app = express();
 
 app.use(express.json());
@@ -34,31 +35,41 @@ app.use((req, res, next) => {
 //  2. ROUTE-LEVEL MIDDLEWARE (Sirf specific route pe chalega)
 // =====================================================================
 
-// Auth check middleware
-const isAuthenticated = (req, res, next) => {
-    const token = req.headers["authorization"];
-    if (!token) {
-        return res.status(401).json({ message: "Please login first!" });
-    }
-    // Token valid hai → aage jaao
-    req.user = { name: "Ujjwal", role: "admin" }; // Fake user for demo
-    next();
-};
+// Real users with stored roles → Auth/userStore.js
+const users = createUserStore();
 
-// Admin check middleware
-const isAdmin = (req, res, next) => {
-    if (req.user && req.user.role === "admin") {
-        next(); // Admin hai → allow
-    } else {
-        res.status(403).json({ message: "Admin access required!" });
+// Auth check middleware → Auth/middleware.js
+// → Token (Authorization: Bearer <token>) ka signature verify karta hai
+// → Token ki ID se user DB se laata hai (roles ke saath)
+// → Fake / expired token ya deleted user → 401
+const { isAuthenticated, verifyCredentials } = createAuth({ users });
+
+// Admin check middleware → ab ek GENERAL guard hai:
+// requireRole("admin")              → role check
+// requirePermission("users:read")   → permission check (Auth/permissions.js)
+// Dono 403 dete hain agar allowed nahi hai
+const isAdmin = requireRole("admin");
+
+// Token lene ke liye login karo
+app.post("/login", async (req, res) => {
+    const user = await verifyCredentials(req.body.email, req.body.password);
+    if (!user) {
+        return res.status(401).json({ message: "Invalid email or password" });
     }
-};
+    res.json({ success: true, token: createToken(user.id) });
+});
 
 // Multiple middlewares on one route: isAuthenticated → isAdmin → handler
 app.get("/admin/dashboard", isAuthenticated, isAdmin, (req, res) => {
     res.json({ message: `Welcome Admin ${req.user.name}!` });
 });
 
+// Permission-based: admin ke saath moderator bhi allowed (dono ke paas "users:read" hai)
+app.get("/admin/users", isAuthenticated, requirePermission("users:read"), async (req, res) => {
+    const allUsers = await users.list();
+    res.json({ count: allUsers.length });
+});
+
 // =====================================================================
 //  3. MIDDLEWARE EXECUTION ORDER
 // =====================================================================
@@ -124,7 +135,17 @@ app.use((err, req, res, next) => {
 //
 // =====================================================================
 
-app.listen(3000, () => console.log("🚀 Server running on port 3000"));
+// Demo users (password: "password123") → ek admin, ek normal user
+const seedUsers = async () => {
+    // Login jaisa hi hasher (Auth/passwordHasher.js) → seed hash pe rehash nahi
+    const passwordHash = await passwordHasher.hash("password123");
+    await users.create({ name: "Ujjwal", email: "ujjwal@test.com", passwordHash, roles: ["admin"] });
+    await users.create({ name: "Priya", email: "priya@test.com", passwordHash, roles: ["user"] });
+};
+
+seedUsers().then(() => {
+    app.listen(3000, () => console.log("🚀 Server running on port 3000"));
+});
 
 // =====================================================================
 //  🧠 KEY POINTS:
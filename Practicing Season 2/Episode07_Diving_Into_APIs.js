@@ -18,8 +18,11 @@
 // =====================================================================
 
 const express = require("express");
+const { applyJsonPatch, applyMergePatch, assertFieldsObject } = require("./Patch/patch");
 const app = express();
-app.use(express.json());
+
+// "application/*+json" → json-patch+json aur merge-patch+json bodies bhi parse honge
+app.use(express.json({ type: ["application/json", "application/*+json"] }));
 
 // =====================================================================
 //  Fake Database (In-memory)
@@ -107,18 +110,55 @@ app.post("/users", (req, res) => {
 // =====================================================================
 //  PATCH /users/:id — Update user (partial)
 // =====================================================================
+//
+//  Object.assign se field REMOVE nahi ho sakti, array ka ek element
+//  edit nahi ho sakta, aur "sirf tab badlo jab..." wala check nahi hota.
+//  Isliye 2 standard formats bhi support karte hain:
+//
+//  Content-Type: application/merge-patch+json  (RFC 7396)
+//  → { "age": 23, "lastName": null }   ← null = field hata do
+//
+//  Content-Type: application/json-patch+json   (RFC 6902)
+//  → [{ "op": "test", "path": "/age", "value": 22 },
+//     { "op": "replace", "path": "/age", "value": 23 }]
+//  → ops: add, remove, replace, move, copy, test
+//
+//  Koi bhi operation fail → 422 + kaunsa operation fail hua
 
 app.patch("/users/:id", (req, res) => {
-    const user = users.find((u) => u.id === Number(req.params.id));
+    const index = users.findIndex((u) => u.id === Number(req.params.id));
 
-    if (!user) {
+    if (index === -1) {
         return res.status(404).json({ success: false, message: "User not found" });
     }
 
-    // Sirf wo fields update karo jo body mein aayi hain
-    Object.assign(user, req.body);
+    const user = users[index];
+
+    try {
+        let updated;
+
+        if (req.is("application/json-patch+json")) {
+            updated = applyJsonPatch(user, req.body, { protectedPaths: ["/id"] });
+        } else if (req.is("application/merge-patch+json")) {
+            updated = applyMergePatch(user, req.body); // Object nahi → 400
+        } else {
+            // Plain JSON → purana tareeka: sirf wo fields update karo jo body mein aayi hain
+            assertFieldsObject(req.body);
+            updated = { ...user, ...req.body };
+        }
+
+        // id kabhi change nahi honi chahiye
+        updated.id = user.id;
+        users[index] = updated;
 
-    res.json({ success: true, message: "User updated", data: user });
+        res.json({ success: true, message: "User updated", data: updated });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({
+            success: false,
+            message: err.message,
+            ...err.details, // → { operation: { index, op, path } }
+        });
+    }
 });
 
 // =====================================================================
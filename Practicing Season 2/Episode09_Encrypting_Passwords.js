@@ -20,26 +20,26 @@
 //
 // =====================================================================
 
-// npm install bcrypt
+// npm install bcrypt (argon2 bhi, agar PASSWORD_HASHER=argon2id)
 
-const bcrypt = require("bcrypt");
+// bcrypt / scrypt / argon2id → ek hi interface (Auth/passwordHasher.js)
+const { passwordHasher } = require("./Auth/passwordHasher");
 
 // =====================================================================
 //  1. HASHING A PASSWORD (Signup ke time)
 // =====================================================================
 
 const hashPassword = async (plainPassword) => {
-    // saltRounds = How many times the hash is processed
-    // Higher = More secure but SLOWER
-    // 10 is the sweet spot (recommended)
-    const saltRounds = 10;
-
-    // bcrypt.hash() takes the plain password and salt rounds
-    const hashedPassword = await bcrypt.hash(plainPassword, saltRounds);
+    // Cost (bcrypt saltRounds / scrypt N / argon2 memory) hardcode NAHI:
+    // → Higher = More secure but SLOWER
+    // → passwordHasher current policy use karta hai (default bcrypt, 12 rounds)
+    // → Cost badhani hai? .env badlo — purane users login pe upgrade ho jaayenge
+    const hashedPassword = await passwordHasher.hash(plainPassword);
 
     console.log("Plain Password:", plainPassword);
     console.log("Hashed Password:", hashedPassword);
-    // Output: "$2b$10$X7zG3h..." (60 characters, always different!)
+    // Output: "$2b$12$X7zG3h..." (60 characters, always different!)
+    //            ↑   ↑ cost → hash khud batata hai kaise bana tha
 
     return hashedPassword;
 };
@@ -49,9 +49,9 @@ const hashPassword = async (plainPassword) => {
 // =====================================================================
 
 const comparePassword = async (plainPassword, hashedPassword) => {
-    // bcrypt.compare() → compares plain text with hash
+    // verify() → hash ke prefix se algorithm pehchaanta hai ($2b$ / $scrypt$ / $argon2id$)
     // Returns true if they match, false if not
-    const isMatch = await bcrypt.compare(plainPassword, hashedPassword);
+    const isMatch = await passwordHasher.verify(plainPassword, hashedPassword);
 
     console.log("Password Match:", isMatch); // true or false
     return isMatch;
@@ -62,11 +62,31 @@ const comparePassword = async (plainPassword, hashedPassword) => {
 // =====================================================================
 
 const express = require("express");
+const { createUserStore } = require("./Auth/userStore");
+const { createEmailVerification } = require("./Auth/emailVerification");
+const { createPasswordReset } = require("./Auth/passwordReset");
+const { passwordPolicy } = require("./Auth/passwordPolicy");
+const { createLoginGuard } = require("./Auth/loginGuard");
 const app = express();
 app.use(express.json());
 
-// Fake DB
-const usersDB = [];
+// Fake DB (in-memory, Auth/userStore.js)
+const usersDB = createUserStore();
+
+// Naye accounts unverified → email mein verify link (Episode 10 mein detail)
+// GET /auth/verify-email?token=...  |  POST /auth/resend-verification
+const verification = createEmailVerification({ users: usersDB });
+app.use("/auth", verification.router);
+
+// Password bhool gaye? → email mein one-time reset link
+// POST /auth/forgot-password { email }  |  POST /auth/reset-password { token, password }
+// Naya password bhi passwordHasher.hash() hota hai — neeche wala signup jaisa hi
+const passwordReset = createPasswordReset({ users: usersDB });
+app.use("/auth", passwordReset.router);
+
+// Unlimited password guesses band → backoff + lockout (Episode 10 mein detail)
+// Lock hone pe email mein reset link bhi
+const loginGuard = createLoginGuard({ users: usersDB, resetLink: passwordReset.createResetLink });
 
 // ---- SIGNUP ----
 app.post("/signup", async (req, res) => {
@@ -74,22 +94,35 @@ app.post("/signup", async (req, res) => {
         const { name, email, password } = req.body;
 
         // Check if user already exists
-        const existingUser = usersDB.find((u) => u.email === email);
+        const existingUser = await usersDB.findByEmail(email);
         if (existingUser) {
             return res.status(400).json({ message: "Email already registered!" });
         }
 
+        // Weak / leaked password → hash karne se pehle hi mana
+        // (length, A-z + 0-9, "password" jaise words, breached list — Auth/passwordPolicy.js)
+        const { ok, errors } = await passwordPolicy.check(password, { email, name });
+        if (!ok) {
+            return res.status(400).json({ message: "Password does not meet the password policy", errors });
+        }
+
         // HASH the password before saving
-        const hashedPassword = await bcrypt.hash(password, 10);
+        const hashedPassword = await hashPassword(password);
 
         // Save user with HASHED password (NOT plain text!)
-        const newUser = {
-            id: usersDB.length + 1,
+        const newUser = await usersDB.create({
             name,
             email,
-            password: hashedPassword, // ← Hashed, not plain!
-        };
-        usersDB.push(newUser);
+            passwordHash: hashedPassword, // ← Hashed, not plain!
+            emailVerified: false,         // ← Email verify hone tak false
+        });
+
+        // Email fail hua to bhi user ban chuka hai → 500 nahi, bas log karo
+        // (user /auth/resend-verification se naya link le sakta hai)
+        const emailSent = await verification.sendVerificationEmail(newUser).then(() => true, (error) => {
+            console.error("❌ Verification email failed:", error.message);
+            return false;
+        });
 
         console.log("✅ User created:", {
             name,
@@ -99,7 +132,9 @@ app.post("/signup", async (req, res) => {
 
         res.status(201).json({
             success: true,
-            message: "Signup successful!",
+            message: emailSent
+                ? "Signup successful! Please check your email to verify your account."
+                : "Signup successful, but we could not send the verification email. Please request a new link.",
             // NEVER send password back in response!
         });
     } catch (error) {
@@ -112,25 +147,42 @@ app.post("/login", async (req, res) => {
     try {
         const { email, password } = req.body;
 
+        // Bahut saare galat attempts (is email ya is IP se) → thoda ruko
+        const blocked = loginGuard.check(email, req.ip);
+        if (blocked) {
+            res.set("Retry-After", String(blocked.retryAfterSeconds));
+            return res.status(429).json({ message: "Too many login attempts, please try again later" });
+        }
+
         // Find user by email
-        const user = usersDB.find((u) => u.email === email);
+        const user = await usersDB.findByEmail(email);
         if (!user) {
+            await loginGuard.recordFailure(email, req.ip);
             return res.status(401).json({ message: "Invalid email or password" });
         }
         // ☝️ Don't say "email not found" — it tells hackers which emails exist!
 
         // COMPARE plain password with stored hash
-        const isMatch = await bcrypt.compare(password, user.password);
+        const { ok: isMatch, upgradedHash } = await passwordHasher.verifyAndUpgrade(password, user.passwordHash);
         if (!isMatch) {
+            await loginGuard.recordFailure(email, req.ip);
             return res.status(401).json({ message: "Invalid email or password" });
         }
 
+        // Purana / kamzor hash (e.g. bcrypt 10, policy ab 12) → chupchaap naya hash
+        if (upgradedHash) await usersDB.update(user.id, { passwordHash: upgradedHash });
+
+        loginGuard.recordSuccess(email);
+
+        // 2FA (authenticator app code) → password ke baad second step
+        // → Episode 10 mein: /login → challenge, /login/2fa → token
+
         console.log("✅ Login successful for:", user.name);
 
         res.json({
             success: true,
             message: "Login successful!",
-            user: { id: user.id, name: user.name, email: user.email },
+            user: { id: user.id, name: user.name, email: user.email, emailVerified: user.emailVerified },
             // NEVER include password in response!
         });
     } catch (error) {
@@ -148,7 +200,7 @@ app.listen(3000, () => console.log("🚀 Server on port 3000"));
 //    // Sirf tab hash karo jab password change hua ho
 //    if (!this.isModified("password")) return next();
 //
-//    this.password = await bcrypt.hash(this.password, 10);
+//    this.password = await passwordHasher.hash(this.password);
 //    next();
 //  });
 //
@@ -163,17 +215,20 @@ app.listen(3000, () => console.log("🚀 Server on port 3000"));
 // =====================================================================
 //
 //  1. NEVER store plain text passwords
-//  2. bcrypt.hash(password, 10) → Hash karo signup pe
-//  3. bcrypt.compare(plain, hash) → Compare karo login pe
+//  2. passwordHasher.hash(password) → Hash karo signup pe (bcrypt / scrypt / argon2id)
+//  3. passwordHasher.verify(plain, hash) → Compare karo login pe
 //  4. Salt = Random data added to password before hashing
 //     → Same "password123" gives DIFFERENT hash each time
 //     → Prevents rainbow table attacks
-//  5. saltRounds = 10 is recommended (good security + speed)
+//  5. Cost config se, code mein nahi (bcrypt default ab 12 rounds)
 //     → 10 = ~10 hashes/sec
 //     → 12 = ~3 hashes/sec (slower but more secure)
+//     → Hash mein algorithm + cost likha hota hai → login pe auto-upgrade
 //  6. Login error message should be VAGUE:
 //     → ✅ "Invalid email or password"
 //     → ❌ "Email not found" (tells hackers valid emails)
 //  7. Use pre("save") hook in Mongoose to auto-hash
+//  8. Forgot password → same response for every email (no leaks),
+//     reset token bhi password jaisa: sirf HASH store karo, ek baar use
 //
 // =====================================================================
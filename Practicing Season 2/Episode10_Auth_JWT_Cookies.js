@@ -24,16 +24,36 @@
 
 // npm install jsonwebtoken cookie-parser bcrypt
 
+const crypto = require("crypto");
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const cookieParser = require("cookie-parser");
-const bcrypt = require("bcrypt");
+const { createSessionStore, toPublicSession, REFRESH_TOKEN_TTL_MS } = require("./Auth/sessions");
+const { keyRing, jwksHandler } = require("./Auth/tokens");
+const { createUserStore, toPublicUser } = require("./Auth/userStore");
+const { createEmailVerification } = require("./Auth/emailVerification");
+const { createPasswordReset } = require("./Auth/passwordReset");
+const { createTwoFactor, isTwoFactorEnabled } = require("./Auth/twoFactor");
+const { createLoginGuard, createLoginLockoutRouter } = require("./Auth/loginGuard");
+const { createOidcRouter, loadOidcProviders } = require("./Auth/oidc");
+const { appUrl } = require("./Auth/mailer");
+const { createApiKeyStore, createApiKeyRouter, getApiKeyFromRequest } = require("./Auth/apiKeys");
+const { requirePermission, requireSession } = require("./Auth/middleware");
+const { cookieOptions } = require("./Auth/cookies");
+const { csrfProtection, csrfTokenHandler } = require("./Auth/csrf");
+const { passwordPolicy } = require("./Auth/passwordPolicy");
+const { passwordHasher } = require("./Auth/passwordHasher");
 
 const app = express();
 app.use(express.json());
 app.use(cookieParser()); // Cookie parse karne ke liye
+app.use(csrfProtection); // Cookie se login → POST/PATCH/DELETE pe CSRF token chahiye (section 12)
 
-const JWT_SECRET = "my-super-secret-key-never-share"; // .env mein rakhna!
+// Secret code mein NAHI → keys config se aati hain (Auth/keys.js)
+// JWT_KEYS_FILE=./keys.json  ya  JWT_SECRET=... (.env mein)
+
+// Access token chhota rakho → chori hua to bhi 15 min mein bekaar
+const ACCESS_TOKEN_TTL = "15m";
+const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000;
 
 // =====================================================================
 //  1. JWT — JSON Web Token
@@ -44,7 +64,8 @@ const JWT_SECRET = "my-super-secret-key-never-share"; // .env mein rakhna!
 //  Format: xxxxx.yyyyy.zzzzz
 //          Header.Payload.Signature
 //
-//  Header  = Algorithm (HS256) + Token type (JWT)
+//  Header  = Algorithm (HS256 / RS256 / EdDSA) + Token type (JWT)
+//            + kid = kaunsi key se sign hua (key rotation ke liye)
 //  Payload = User data (id, name, role) — NOT passwords!
 //  Signature = Verification that token wasn't tampered with
 //
@@ -58,12 +79,11 @@ const JWT_SECRET = "my-super-secret-key-never-share"; // .env mein rakhna!
 //  2. CREATE TOKEN (Login ke baad)
 // =====================================================================
 
-const createToken = (userId) => {
-    // jwt.sign(payload, secret, options)
-    const token = jwt.sign(
-        { _id: userId },      // Payload — user ki ID
-        JWT_SECRET,           // Secret key — sirf server jaanta hai
-        { expiresIn: "7d" }   // Token 7 din baad expire hoga
+const createToken = (userId, sessionId) => {
+    // keyRing.sign(payload, options) → ACTIVE key se sign, header mein uska kid
+    const token = keyRing.sign(
+        { _id: userId, sid: sessionId },  // Payload — user ki ID + session ki ID
+        { expiresIn: ACCESS_TOKEN_TTL }   // Token 15 min baad expire hoga
     );
     return token;
 };
@@ -74,22 +94,87 @@ const createToken = (userId) => {
 
 const verifyToken = (token) => {
     try {
-        // jwt.verify checks: Is token valid? Is it expired? Is signature correct?
-        const decoded = jwt.verify(token, JWT_SECRET);
-        return decoded; // Returns: { _id: "user123", iat: ..., exp: ... }
+        // Checks: Is token valid? Is it expired? Is signature correct?
+        // kid header → wahi key → purani (rotated) keys ke tokens bhi chalenge
+        const decoded = keyRing.verify(token);
+        if (decoded.purpose) return null; // Email verify link wala token → login token nahi hai
+        return decoded; // Returns: { _id: "user123", sid: "...", iat: ..., exp: ... }
     } catch (error) {
         return null; // Invalid or expired token
     }
 };
 
 // =====================================================================
-//  4. AUTH MIDDLEWARE — Protect Routes
+//  4. SESSIONS & REFRESH TOKENS (Auth/sessions.js)
+// =====================================================================
+//
+//  🤔 Sirf 15 min ka token → user har 15 min login kare?
+//  → NAHI. Login pe ek REFRESH TOKEN bhi milta hai (30 din)
+//  → Access token expire → POST /auth/refresh → naya access token
+//
+//  Har login = server pe ek session → logout = session revoke
+//  → Us session ke saare access tokens turant reject (authMiddleware)
+//
+
+const sessions = createSessionStore();
+
+// Scripts / CI ke liye API keys (Auth/apiKeys.js) → section 11
+const apiKeys = createApiKeyStore();
+
+// Dono cookies ke attributes EK jagah → signup, login, 2FA, OIDC, refresh
+// sab isi se (Auth/cookies.js: httpOnly, secure in production, sameSite "lax")
+const TOKEN_COOKIE = cookieOptions();
+const REFRESH_COOKIE = cookieOptions({
+    sameSite: "strict", // Sirf humari site se hi refresh ho
+    path: "/auth",      // Sirf /auth/* pe jaaye, har request pe nahi
+});
+
+// Login / signup / refresh → dono cookies set karo
+const setAuthCookies = (res, userId, sessionId, refreshToken) => {
+    res.cookie("token", createToken(userId, sessionId), { ...TOKEN_COOKIE, maxAge: ACCESS_TOKEN_TTL_MS });
+    res.cookie("refreshToken", refreshToken, { ...REFRESH_COOKIE, maxAge: REFRESH_TOKEN_TTL_MS });
+};
+
+// Clear bhi SAME attributes se → warna browser purani cookie rakhe rehta hai
+const clearAuthCookies = (res) => {
+    res.clearCookie("token", TOKEN_COOKIE);
+    res.clearCookie("refreshToken", REFRESH_COOKIE);
+};
+
+// Naya session + cookies
+const startSession = async (req, res, userId) => {
+    const { session, refreshToken } = await sessions.create(userId, {
+        userAgent: req.get("User-Agent"),
+        ip: req.ip,
+    });
+    setAuthCookies(res, userId, session.id, refreshToken);
+};
+
+// =====================================================================
+//  5. AUTH MIDDLEWARE — Protect Routes
 // =====================================================================
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
     // Token can come from:
     // 1. Cookies (browser automatically sends cookies)
     // 2. Authorization header (mobile apps, Postman)
+    // 3. "Authorization: ApiKey nnk_..." (scripts, CI) → neeche alag raasta
+
+    const rawApiKey = getApiKeyFromRequest(req);
+    if (rawApiKey) {
+        const result = await apiKeys.authenticate(rawApiKey, { ip: req.ip });
+        // Disabled account ki keys bhi band
+        const user = result.apiKey && await users.findById(result.apiKey.userId);
+        if (!user || user.isActive === false) {
+            return res.status(401).json({ message: "Invalid, expired or revoked API key!" });
+        }
+
+        // Session nahi hai → req.apiKey se requirePermission scopes bhi check karega
+        req.user = toPublicUser(user);
+        req.userId = user.id;
+        req.apiKey = { id: result.apiKey.id, scopes: result.apiKey.scopes };
+        return next();
+    }
 
     const token = req.cookies.token || req.headers.authorization?.split(" ")[1];
     // "Bearer eyJhbGci..." → split(" ") → ["Bearer", "eyJhbGci..."] → [1]
@@ -103,13 +188,30 @@ const authMiddleware = (req, res, next) => {
         return res.status(401).json({ message: "Invalid or expired token!" });
     }
 
+    // Signature sahi hai, par session abhi bhi zinda hai? (logout / logout-all)
+    if (!(await sessions.isActive(decoded.sid))) {
+        return res.status(401).json({ message: "Session has been revoked, please login again!" });
+    }
+
+    // "Last seen" update → GET /auth/sessions mein dikhega
+    await sessions.touch(decoded.sid, { ip: req.ip });
+
+    // User abhi bhi exist karta hai? Active hai? (roles wagairah bhi chahiye → requireRole)
+    // Admin ne disable kiya → purana token / cookie turant bekaar
+    const user = await users.findById(decoded._id);
+    if (!user || user.isActive === false) {
+        return res.status(401).json({ message: "Invalid or expired token!" });
+    }
+
     // Token valid hai → user info attach karo
+    req.user = toPublicUser(user);
     req.userId = decoded._id;
+    req.sessionId = decoded.sid;
     next();
 };
 
 // =====================================================================
-//  5. COOKIES — Token ko browser mein store karna
+//  6. COOKIES — Token ko browser mein store karna
 // =====================================================================
 //
 //  🤔 Why Cookies?
@@ -118,74 +220,332 @@ const authMiddleware = (req, res, next) => {
 //  → Browser automatically har request ke saath cookie bhejta hai
 //
 
-// Fake DB
-const users = [];
+// Fake DB (in-memory, Auth/userStore.js)
+const users = createUserStore();
+
+// =====================================================================
+//  7. EMAIL VERIFICATION (Auth/emailVerification.js)
+// =====================================================================
+//
+//  Signup → emailVerified: false → email mein link (24h valid)
+//  → Link click → GET /auth/verify-email?token=... → verified ✅
+//  → Tab tak /profile jaise routes → 403 EMAIL_NOT_VERIFIED
+//  → Link nahi mila? POST /auth/resend-verification { email }
+//
+
+const verification = createEmailVerification({ users });
+app.use("/auth", verification.router);
+
+// Forgot / reset password → reset ke baad SAARE sessions revoke
+// Change password (login ke baad) → baaki devices logout
+const passwordReset = createPasswordReset({ users, sessions, isAuthenticated: [authMiddleware, requireSession] });
+app.use("/auth", passwordReset.router);
+
+// =====================================================================
+//  8. TWO-FACTOR AUTH — TOTP (Auth/twoFactor.js)
+// =====================================================================
+//
+//  Password chori ho gaya? Phir bhi login nahi → phone ka 6-digit code chahiye
+//  → POST /auth/2fa/setup → QR scan → POST /auth/2fa/confirm { code }
+//  → Ab /login sirf "challenge" deta hai, cookie /login/2fa ke BAAD milegi
+//
+
+// Galat codes bhi brute-force hain → loginGuard (section 9) mein gino
+// Lockout email mein seedha one-time reset link
+const loginGuard = createLoginGuard({ users, resetLink: passwordReset.createResetLink });
+
+// API key se 2FA on/off nahi → requireSession
+const twoFactor = createTwoFactor({ users, isAuthenticated: [authMiddleware, requireSession], guard: loginGuard });
+app.use("/auth", twoFactor.router);
+
+// =====================================================================
+//  9. BRUTE-FORCE PROTECTION (Auth/loginGuard.js)
+// =====================================================================
+//
+//  Galat password → email + IP dono ka count
+//  → 3 free attempts, phir 1s, 2s, 4s... wait (exponential backoff)
+//  → 10 fails → 15 min lock + user ko email
+//  → Admin unlock: POST /admin/login-lockouts/unlock { email }
+//
+
+// (loginGuard upar ban chuka hai → 2FA ke galat codes bhi isi mein gine jaate hain)
+app.use("/admin/login-lockouts", createLoginLockoutRouter({ guard: loginGuard, isAuthenticated: authMiddleware }));
+
+// =====================================================================
+//  10. LOGIN WITH AN IDENTITY PROVIDER — OIDC (Auth/oidc.js)
+// =====================================================================
+//
+//  Password yaad nahi rakhna → "Login with Google" (ya koi bhi OIDC provider)
+//  → GET /auth/oidc/google → provider pe login → /auth/oidc/google/callback
+//  → Same verified email wala user pehle se hai → usi se link
+//  → Aakhir mein wahi startSession → wahi JWT cookie jo /login deta hai
+//
+//  Providers .env se: OIDC_PROVIDERS='{"google":{"issuer":"...","clientId":"...","clientSecret":"..."}}'
+//  Local test → Auth/mockOidcProvider.js
+//
+
+const oidcProviders = loadOidcProviders((name) => appUrl(`/auth/oidc/${name}/callback`));
+
+app.use("/auth", createOidcRouter({
+    providers: oidcProviders,
+    users,
+    sessions, // Unverified account link hua → pehle ke sessions / API keys revoke
+    apiKeys,
+    onLogin: async (req, res, user) => {
+        // 2FA on hai → provider login bhi sirf pehla step
+        if (isTwoFactorEnabled(user)) {
+            const { challengeToken, expiresInSeconds } = twoFactor.createChallenge(user);
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                message: "Enter the code from your authenticator app",
+                challengeToken,
+                expiresInSeconds,
+            });
+        }
+
+        await startSession(req, res, user.id);
+        res.json({
+            success: true,
+            message: "Login successful!",
+            user: { id: user.id, name: user.name, email: user.email, emailVerified: user.emailVerified },
+        });
+    },
+}));
+
+// =====================================================================
+//  11. API KEYS FOR SCRIPTS / CI (Auth/apiKeys.js)
+// =====================================================================
+//
+//  Cookie scrape karne ki zaroorat nahi:
+//  → POST /auth/api-keys { name: "ci", scopes: ["profile:read"], expiresInDays: 30 }
+//  → Response mein key EK BAAR → curl -H "Authorization: ApiKey nnk_..." /profile
+//  → GET /auth/api-keys (last used dekho), DELETE /auth/api-keys/:id (revoke)
+//
+//  📌 API key sirf requirePermission wale routes ke liye — sessions, 2FA,
+//     API keys khud → requireSession (sirf asli login)
+//
+
+app.use("/auth", createApiKeyRouter({ apiKeys, isAuthenticated: authMiddleware }));
+
+// =====================================================================
+//  12. CSRF PROTECTION (Auth/csrf.js)
+// =====================================================================
+//
+//  Cookie browser KHUD bhejta hai → evil.com ka form bhi humari
+//  POST /auth/logout-all tere naam se chala sakta hai
+//  → Frontend: GET /auth/csrf → { csrfToken } (csrfToken cookie bhi)
+//  → Har POST/PATCH/DELETE: header X-CSRF-Token: <csrfToken>
+//  → Bearer / ApiKey header wali requests exempt (cookie use hi nahi)
+//
+
+app.get("/auth/csrf", csrfTokenHandler);
 
 // ---- SIGNUP ----
 app.post("/signup", async (req, res) => {
     const { name, email, password } = req.body;
 
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const user = { id: Date.now().toString(), name, email, password: hashedPassword };
-    users.push(user);
+    if (await users.findByEmail(email)) {
+        return res.status(400).json({ message: "Email already registered!" });
+    }
+
+    // Strength + breached list + naam/email (Auth/passwordPolicy.js)
+    const { ok, errors } = await passwordPolicy.check(password, { email, name });
+    if (!ok) {
+        return res.status(400).json({ message: "Password does not meet the password policy", errors });
+    }
 
-    // Create token
-    const token = createToken(user.id);
+    const passwordHash = await passwordHasher.hash(password);
+    const user = await users.create({ name, email, passwordHash, emailVerified: false });
 
-    // Set token in cookie
-    res.cookie("token", token, {
-        httpOnly: true,   // JS se access nahi kar sakta (XSS protection)
-        secure: false,    // true in production (HTTPS only)
-        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days in milliseconds
-        sameSite: "lax",  // CSRF protection
+    // Verification link bhejo — email fail hua to bhi account ban chuka hai,
+    // 500 mat do, user /auth/resend-verification se naya link le sakta hai
+    const emailSent = await verification.sendVerificationEmail(user).then(() => true, (error) => {
+        console.error("❌ Verification email failed:", error.message);
+        return false;
     });
 
+    // Create session → access token + refresh token cookies
+    await startSession(req, res, user.id);
+
     res.status(201).json({
         success: true,
-        message: "Signup successful!",
-        user: { id: user.id, name, email },
+        message: emailSent
+            ? "Signup successful! Please check your email to verify your account."
+            : "Signup successful, but we could not send the verification email. Please request a new link.",
+        user: { id: user.id, name: user.name, email: user.email, emailVerified: false },
     });
 });
 
 // ---- LOGIN ----
+// Email nahi mili (ya OIDC user, password hi nahi) → phir bhi ek hash verify
+// karo, warna response ~100ms jaldi aata aur timing se pata chal jaata ki
+// email registered hai ya nahi
+let dummyHash;
+const getDummyHash = () => (dummyHash ||= passwordHasher.hash(crypto.randomBytes(16).toString("hex")));
+
 app.post("/login", async (req, res) => {
     const { email, password } = req.body;
 
-    const user = users.find((u) => u.email === email);
-    if (!user) {
-        return res.status(401).json({ message: "Invalid credentials" });
+    // Bahut saare galat attempts → abhi password check bhi nahi karenge
+    // Warna ye attempt PEHLE hi gin liya (parallel requests limit se bach na sakein)
+    const { blocked, attempt } = loginGuard.begin(email, req.ip);
+    if (blocked) {
+        res.set("Retry-After", String(blocked.retryAfterSeconds));
+        return res.status(429).json({
+            message: "Too many login attempts, please try again later",
+            retryAfterSeconds: blocked.retryAfterSeconds,
+        });
     }
 
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
+    const user = await users.findByEmail(email);
+    const { ok, upgradedHash } = await passwordHasher.verifyAndUpgrade(password, user?.passwordHash || (await getDummyHash()));
+    if (!user || !ok) {
+        attempt.fail();
         return res.status(401).json({ message: "Invalid credentials" });
     }
 
-    // Create token & set cookie
-    const token = createToken(user.id);
-    res.cookie("token", token, {
-        httpOnly: true,
-        maxAge: 7 * 24 * 60 * 60 * 1000,
-    });
+    // Password sahi → ye attempt fail nahi gina jaayega
+    attempt.release();
+
+    // Hash purani cost / algorithm ka → abhi password haath mein hai, naya hash save
+    if (upgradedHash) await users.update(user.id, { passwordHash: upgradedHash });
+
+    // 2FA on hai → abhi cookie NAHI, pehle code maango
+    // (guard reset bhi NAHI → sirf password se counter saaf ho jaata to
+    //  password jaanne wala codes guess karta rehta)
+    if (isTwoFactorEnabled(user)) {
+        const { challengeToken, expiresInSeconds } = twoFactor.createChallenge(user);
+        return res.json({
+            success: true,
+            twoFactorRequired: true,
+            message: "Enter the code from your authenticator app",
+            challengeToken,
+            expiresInSeconds,
+        });
+    }
+
+    loginGuard.recordSuccess(email);
+
+    // Create session & set cookies
+    await startSession(req, res, user.id);
 
     res.json({
         success: true,
         message: "Login successful!",
-        user: { id: user.id, name: user.name, email: user.email },
+        user: { id: user.id, name: user.name, email: user.email, emailVerified: user.emailVerified },
     });
 });
 
+// ---- LOGIN STEP 2 (2FA) ----
+// { challengeToken, code } ya { challengeToken, recoveryCode }
+app.post("/login/2fa", async (req, res) => {
+    const result = await twoFactor.completeChallenge(req.body || {}, { ip: req.ip });
+
+    if (result.error === "LOCKED") {
+        res.set("Retry-After", String(result.retryAfterSeconds));
+        return res.status(429).json({
+            message: "Too many invalid codes, please try again later",
+            retryAfterSeconds: result.retryAfterSeconds,
+        });
+    }
+    if (result.error === "INVALID_CHALLENGE") {
+        return res.status(401).json({ message: "Login attempt expired or invalid, please login again" });
+    }
+    if (result.error) {
+        return res.status(401).json({ message: "Invalid authentication code", attemptsLeft: result.attemptsLeft });
+    }
+
+    // Dono steps pass → ab session + cookies
+    const { user } = result;
+    await startSession(req, res, user.id);
+
+    res.json({
+        success: true,
+        message: result.usedRecoveryCode
+            ? "Login successful! You used a recovery code — it will not work again."
+            : "Login successful!",
+        user: { id: user.id, name: user.name, email: user.email, emailVerified: user.emailVerified },
+    });
+});
+
+// ---- REFRESH ----
+// Access token expire ho gaya → refresh token se naya lo
+// Refresh token bhi ROTATE hota hai (naya milta hai, purana dead)
+app.post("/auth/refresh", async (req, res) => {
+    const result = await sessions.rotate(req.cookies.refreshToken);
+
+    if (result.error) {
+        clearAuthCookies(res);
+        const message = result.error === "REUSED"
+            ? "Refresh token was already used — session revoked, please login again!"
+            : "Invalid or expired refresh token, please login again!";
+        return res.status(401).json({ message });
+    }
+
+    const { session, refreshToken } = result;
+    setAuthCookies(res, session.userId, session.id, refreshToken);
+    res.json({ success: true, message: "Token refreshed!" });
+});
+
 // ---- LOGOUT ----
-app.post("/logout", (req, res) => {
-    // Cookie ko expire kar do
-    res.cookie("token", "", { maxAge: 0 });
-    // OR: res.clearCookie("token");
+// Cookie clear karna kaafi nahi — session bhi revoke karo,
+// warna chori hua token expire hone tak chalta rahega
+// Session refresh token se dhundo → 15 min baad access token expire ho
+// chuka ho, tab bhi logout kaam kare. Refresh cookie sirf /auth/* pe
+// jaati hai → browser /auth/logout use kare (/logout purane clients ke liye)
+app.post(["/auth/logout", "/logout"], async (req, res) => {
+    const session = await sessions.findByRefreshToken(req.cookies.refreshToken);
+    const decoded = verifyToken(req.cookies.token || req.headers.authorization?.split(" ")[1]);
+    const sessionId = session?.id || decoded?.sid;
+    if (sessionId) await sessions.revoke(sessionId);
+
+    clearAuthCookies(res);
     res.json({ success: true, message: "Logged out!" });
 });
 
+// ---- LOGOUT FROM ALL DEVICES ----
+// Password chori hua? → user ke SAARE sessions revoke
+app.post("/auth/logout-all", authMiddleware, requireSession, async (req, res) => {
+    const count = await sessions.revokeAll(req.userId);
+
+    clearAuthCookies(res);
+    res.json({ success: true, message: `Logged out from ${count} session(s)!` });
+});
+
+// ---- ACTIVE SESSIONS ----
+// "Kahan kahan logged in hoon?" → device, IP, createdAt, lastSeenAt
+// current: true → yahi wala device/browser
+app.get("/auth/sessions", authMiddleware, requireSession, async (req, res) => {
+    const list = await sessions.listForUser(req.userId);
+    res.json({
+        success: true,
+        data: list.map((session) => toPublicSession(session, req.sessionId)),
+    });
+});
+
+// Kisi aur device se remotely logout (e.g. phone kho gaya)
+app.delete("/auth/sessions/:id", authMiddleware, requireSession, async (req, res) => {
+    const session = await sessions.findById(req.params.id);
+
+    // Dusre user ka session → 404 (exist karta hai ye bhi mat batao)
+    if (!session || session.userId !== req.userId || session.revokedAt) {
+        return res.status(404).json({ message: "Session not found" });
+    }
+
+    await sessions.revoke(session.id, "revoked by user");
+
+    // Apna hi current session revoke kiya → cookies bhi hatao
+    if (session.id === req.sessionId) clearAuthCookies(res);
+
+    res.json({ success: true, message: "Session revoked!" });
+});
+
 // ---- PROTECTED ROUTE ----
-app.get("/profile", authMiddleware, (req, res) => {
-    const user = users.find((u) => u.id === req.userId);
+// Login + verified email dono chahiye
+// API key se bhi chalega — par key pe "profile:read" scope hona chahiye
+app.get("/profile", authMiddleware, verification.requireVerifiedEmail, requirePermission("profile:read", { owner: (req) => req.userId }), async (req, res) => {
+    const user = await users.findById(req.userId);
     res.json({
         success: true,
         message: "This is a protected route!",
@@ -193,22 +553,54 @@ app.get("/profile", authMiddleware, (req, res) => {
     });
 });
 
-app.listen(3000, () => console.log("🚀 Auth server on port 3000"));
+// ---- JWKS ----
+// RS256 / EdDSA public keys → dusri services humare tokens verify kar sakti hain
+app.get("/.well-known/jwks.json", jwksHandler);
+
+// Demo admin (password: "password123") → /admin/login-lockouts ke liye
+const seedAdmin = async () => {
+    const passwordHash = await passwordHasher.hash("password123");
+    await users.create({ name: "Ujjwal", email: "ujjwal@test.com", passwordHash, roles: ["admin"], emailVerified: true });
+};
+
+seedAdmin().then(() => {
+    app.listen(3000, () => {
+        console.log("🚀 Auth server on port 3000");
+        const names = Object.keys(oidcProviders);
+        if (names.length > 0) console.log(`🪪 OIDC login: ${names.map((name) => `/auth/oidc/${name}`).join(", ")}`);
+    });
+});
 
 // =====================================================================
 //  🧠 KEY POINTS:
 // =====================================================================
 //
 //  1. JWT = Stateless authentication (server kuch store nahi karta)
+//     → Par revoke karna ho to sessions store karne padte hain
 //  2. Token has 3 parts: Header.Payload.Signature
 //  3. NEVER put passwords in JWT payload
+//     → Aur secret/keys kabhi code mein nahi — config se, kid ke saath
 //  4. Cookie with httpOnly = Safest way to store token in browser
-//  5. Token expiry lagao (7d, 24h) — Forever valid token = security risk
-//  6. Logout = Cookie ko expire/clear karo
-//  7. Cookie flags:
+//  5. Token expiry lagao — Forever valid token = security risk
+//     → Access token chhota (15m), refresh token lamba (30d)
+//  6. Logout = Cookie clear karo + session REVOKE karo (server side)
+//  7. Refresh token rotate karo → purana dobara aaya = chori → session revoke
+//  8. Cookie flags (ek hi helper se — Auth/cookies.js):
 //     → httpOnly: JS access block
-//     → secure: Only send over HTTPS
-//     → sameSite: CSRF attack protection
+//     → secure: Only send over HTTPS (production)
+//     → sameSite: CSRF attack protection (par akela kaafi nahi → CSRF token)
 //     → maxAge: Expiry time in milliseconds
+//     → path: Cookie sirf is path pe bhejo (refreshToken → /auth)
+//  9. Signup ke baad email verify karao → signed, expiring link
+//  10. 2FA on → /login sirf challenge deta hai, JWT cookie /login/2fa ke baad
+//  11. Login attempts limit karo (backoff + lockout), par error message
+//      hamesha same: "Invalid credentials"
+//  12. "Login with provider" (OIDC) → state + nonce + PKCE check karo,
+//      sirf VERIFIED email se existing account link karo
+//  13. Scripts ke liye scoped API keys → sirf hash store, ek baar dikhao,
+//      expiry + revoke; key kabhi user se zyada nahi kar sakti
+//  14. Cookie se auth = CSRF ka khatra → har unsafe request pe CSRF token
+//  15. Password policy: strength + breached list + history → signup,
+//      reset aur change-password teeno pe SAME rules
 //
 // =====================================================================
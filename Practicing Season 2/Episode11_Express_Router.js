@@ -31,6 +31,12 @@
 // =====================================================================
 
 const express = require("express");
+const { createUserStore, createAuth, createToken, requireRole, requirePermission, passwordHasher } = require("./Auth");
+
+// ---- middleware/auth.js ----
+// Real users + guards from Auth/ (see Episode05 for how they work)
+const users = createUserStore();
+const { isAuthenticated, verifyCredentials } = createAuth({ users });
 
 // =====================================================================
 //  STEP 1: Create a Router (normally in a separate file)
@@ -39,6 +45,9 @@ const express = require("express");
 // ---- routes/users.js ----
 const userRouter = express.Router();
 
+// Router-level middleware → is router ke SAARE routes pe chalega
+userRouter.use(isAuthenticated);
+
 // All routes here are RELATIVE — "/users" prefix will be added in app.js
 // So "/" here = "/users/" in the actual URL
 
@@ -62,7 +71,8 @@ userRouter.patch("/:id", (req, res) => {
     res.json({ message: `Update user ${req.params.id}` });
 });
 
-userRouter.delete("/:id", (req, res) => {
+// Route-level guard → sirf jiske paas "users:delete" permission hai (admin)
+userRouter.delete("/:id", requirePermission("users:delete"), (req, res) => {
     // Actual URL: DELETE /users/:id
     res.json({ message: `Delete user ${req.params.id}` });
 });
@@ -74,7 +84,7 @@ postRouter.get("/", (req, res) => {
     res.json({ message: "Get all posts" });
 });
 
-postRouter.post("/", (req, res) => {
+postRouter.post("/", isAuthenticated, requirePermission("posts:create"), (req, res) => {
     res.json({ message: "Create new post" });
 });
 
@@ -89,8 +99,23 @@ authRouter.post("/signup", (req, res) => {
     res.json({ message: "Signup route" });
 });
 
-authRouter.post("/login", (req, res) => {
-    res.json({ message: "Login route" });
+authRouter.post("/login", async (req, res) => {
+    const user = await verifyCredentials(req.body.email, req.body.password);
+    if (!user) {
+        return res.status(401).json({ message: "Invalid email or password" });
+    }
+    res.json({ message: "Login route", token: createToken(user.id) });
+});
+
+// ---- routes/admin.js ----
+const adminRouter = express.Router();
+
+// Poora router admin-only → ek line mein
+adminRouter.use(isAuthenticated, requireRole("admin"));
+
+adminRouter.get("/stats", async (req, res) => {
+    const allUsers = await users.list();
+    res.json({ message: "Admin stats", totalUsers: allUsers.length });
 });
 
 authRouter.post("/logout", (req, res) => {
@@ -109,6 +134,7 @@ app.use(express.json());
 app.use("/users", userRouter);   // /users + router paths
 app.use("/posts", postRouter);   // /posts + router paths
 app.use("/auth", authRouter);    // /auth + router paths
+app.use("/admin", adminRouter);  // /admin + router paths (admin-only)
 
 // Now the routes become:
 // GET    /users/       → Get all users
@@ -126,10 +152,17 @@ app.use("/auth", authRouter);    // /auth + router paths
 // =====================================================================
 
 // Middleware sirf user routes pe chalega
-// userRouter.use(authMiddleware);  ← Sab user routes protected
+// userRouter.use(isAuthenticated);  ← Sab user routes protected (STEP 1 mein kiya hai)
 
 // Ya specific route pe:
-// userRouter.get("/profile", authMiddleware, (req, res) => {...});
+// userRouter.get("/profile", isAuthenticated, (req, res) => {...});
+
+// Ya role / permission ke saath:
+// adminRouter.use(isAuthenticated, requireRole("admin"));
+// userRouter.delete("/:id", requirePermission("users:delete"), ...);
+//
+// 📌 Guards req.path pe depend nahi karte, isliye router kisi bhi
+//    prefix pe mount karo ("/admin", "/api/v1/admin") — same kaam karenge.
 
 // =====================================================================
 //  API ROUTE SUMMARY
@@ -145,11 +178,22 @@ app.get("/", (req, res) => {
                 "POST /users", "PATCH /users/:id", "DELETE /users/:id",
             ],
             posts: ["GET /posts", "POST /posts", "GET /posts/:id"],
+            admin: ["GET /admin/stats"],
         },
     });
 });
 
-app.listen(3000, () => console.log("🚀 Server on port 3000"));
+// Demo users (password: "password123")
+const seedUsers = async () => {
+    // Login jaisa hi hasher (Auth/passwordHasher.js) → seed hash pe rehash nahi
+    const passwordHash = await passwordHasher.hash("password123");
+    await users.create({ name: "Ujjwal", email: "ujjwal@test.com", passwordHash, roles: ["admin"] });
+    await users.create({ name: "Priya", email: "priya@test.com", passwordHash, roles: ["user"] });
+};
+
+seedUsers().then(() => {
+    app.listen(3000, () => console.log("🚀 Server on port 3000"));
+});
 
 // =====================================================================
 //  🧠 KEY POINTS:
@@ -14,6 +14,11 @@
 
 const mongoose = require("mongoose");
 const express = require("express");
+const userRules = require("./DatabaseAndSchema/userRules");
+const { auditPlugin, createAuditRouter } = require("./DatabaseAndSchema/auditLog");
+const {
+    createAuth, createMongooseUserStore, createRoleAdminRouter, requirePermission,
+} = require("./Auth");
 const app = express();
 app.use(express.json());
 
@@ -25,6 +30,7 @@ app.use(express.json());
 const userSchema = new mongoose.Schema({
     name: { type: String, required: true },
     email: { type: String, required: true, unique: true },
+    roles: userRules.roles, // ["user"] by default → RBAC (Auth/permissions.js)
 });
 
 // Post Schema — has reference to User
@@ -51,9 +57,16 @@ const postSchema = new mongoose.Schema({
     }],
 }, { timestamps: true });
 
+// Har user create / update / delete → AuditLog (kaun, kab, kya badla)
+userSchema.plugin(auditPlugin);
+
 const User = mongoose.model("User", userSchema);
 const Post = mongoose.model("Post", postSchema);
 
+// Auth wahi User collection use karta hai
+const users = createMongooseUserStore(User);
+const { isAuthenticated } = createAuth({ users });
+
 // =====================================================================
 //  2. CREATING DATA WITH REFERENCES
 // =====================================================================
@@ -126,8 +139,9 @@ app.get("/api/posts/:id", async (req, res) => {
 //  → PATCH /api/users/:id
 //
 //  Step 3: KON access karega? (Auth)
-//  → Sirf logged-in user → authMiddleware lagao
-//  → Sirf apna profile → check req.userId === req.params.id
+//  → Sirf logged-in user → isAuthenticated lagao
+//  → "users:update" permission → user ke paas ":own", admin ke paas ":any"
+//  → Own = apna profile → owner: (req) => req.params.id
 //
 //  Step 4: KYA accept karenge? (Validation)
 //  → Allowed fields: name, bio, age (NOT email, password)
@@ -147,7 +161,11 @@ app.get("/api/posts/:id", async (req, res) => {
 // Example: Profile Edit API
 const ALLOWED_EDITS = ["name", "age", "bio", "gender"];
 
-app.patch("/api/users/:id", async (req, res) => {
+// users:update:own → sirf apna profile | users:update:any → kisi ka bhi
+// Denied → 403 { success: false, error: "FORBIDDEN", ... }
+const canEditUser = requirePermission("users:update", { owner: (req) => req.params.id });
+
+app.patch("/api/users/:id", isAuthenticated, canEditUser, async (req, res) => {
     try {
         // Step 1: Validate fields
         const updates = Object.keys(req.body);
@@ -160,6 +178,7 @@ app.patch("/api/users/:id", async (req, res) => {
         const user = await User.findByIdAndUpdate(req.params.id, req.body, {
             new: true,            // Return updated document
             runValidators: true,  // Schema validators chalao
+            actor: req.userId,    // Audit log mein "kisne badla"
         });
 
         if (!user) return res.status(404).json({ message: "User not found" });
@@ -171,6 +190,24 @@ app.patch("/api/users/:id", async (req, res) => {
     }
 });
 
+// =====================================================================
+//  4. ADMIN — ROLES ASSIGN KARO
+// =====================================================================
+//  GET    /api/admin/roles                   → roles + permissions
+//  PUT    /api/admin/roles/users/:id         → { "roles": ["moderator"] }
+//  POST   /api/admin/roles/users/:id         → { "role": "moderator" }
+//  DELETE /api/admin/roles/users/:id/:role   → role hatao
+
+app.use("/api/admin/roles", createRoleAdminRouter({ users, isAuthenticated }));
+
+// =====================================================================
+//  5. AUDIT — KISNE KYA BADLA
+// =====================================================================
+//  GET /api/users/:id/history?field=email → ek user ki changes
+//  GET /api/audit?actor=...&action=update → sabki (admin)
+
+app.use("/api", createAuditRouter({ isAuthenticated }));
+
 app.listen(3000, () => console.log("🚀 Server on port 3000"));
 
 // =====================================================================
@@ -183,6 +220,7 @@ app.listen(3000, () => console.log("🚀 Server on port 3000"));
 //  4. Nested populate = populate("comments.user", "name")
 //  5. API likhne ka thought process:
 //     Route → Auth → Validate → DB Operation → Response
+//     Auth = logged-in? + permission (own vs any)?
 //  6. ALWAYS whitelist allowed update fields
 //  7. runValidators: true → Update mein bhi schema check hoga
 //  8. new: true → Updated document return karo (not old one)
@@ -53,9 +53,12 @@ app.get("/api/feed", async (req, res) => {
         res.json({
             success: true,
             data: posts,
+            // Same envelope as GET /users in crud/ → one pagination helper on the frontend
             pagination: {
                 currentPage: page,
                 totalPages,
+                total: totalPosts,
+                limit,
                 totalPosts,
                 hasNextPage: page < totalPages,
                 hasPrevPage: page > 1,
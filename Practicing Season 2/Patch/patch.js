@@ -0,0 +1,252 @@
+// =====================================================================
+//  Patch/patch.js — JSON PATCH (RFC 6902) + JSON MERGE PATCH (RFC 7396)
+// =====================================================================
+//
+//  Content-Type: application/json-patch+json  → RFC 6902 (JSON Patch)
+//    [{ "op": "replace", "path": "/age", "value": 23 },
+//     { "op": "remove",  "path": "/email" },
+//     { "op": "test",    "path": "/name", "value": "Ujjwal" }]
+//
+//  Content-Type: application/merge-patch+json → RFC 7396 (JSON Merge Patch)
+//    { "age": 23, "email": null }   ← null = field hata do
+//
+//  📌 Dono document ki COPY pe kaam karte hain → kuch bhi fail → original
+//     jaisa tha waisa (patch = all-or-nothing). Fail → 422 error, details
+//     mein kaunsa operation fail hua.
+//  📌 crud/patch.js jaisa hi code — har package apni copy rakhta hai
+//     (ek folder dusre folder ki files require nahi karta). Code dono mein
+//     SAME rehna chahiye → dono ka test/patch.test.js same cases chalata hai
+//
+// =====================================================================
+
+// err.statusCode → route handler seedha wahi status bhej de
+const httpError = (statusCode, message, extra = {}) => {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    Object.assign(err, extra);
+    return err;
+};
+
+const clone = (value) => structuredClone(value);
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Keys that would reach Object.prototype if assigned → never allowed
+const FORBIDDEN_KEYS = ["__proto__", "constructor", "prototype"];
+
+const deepEqual = (a, b) => {
+    if (a === b) return true;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every((key) => deepEqual(a[key], b[key]));
+};
+
+// =====================================================================
+//  JSON POINTER (RFC 6901)
+//  "/skills/0" → ["skills", "0"]   ("~1" = "/", "~0" = "~")
+// =====================================================================
+
+const parsePointer = (pointer) => {
+    if (pointer === "") return [];
+    if (typeof pointer !== "string" || !pointer.startsWith("/")) {
+        throw new Error(`"${pointer}" is not a valid JSON pointer`);
+    }
+
+    return pointer.slice(1).split("/").map((token) => {
+        const key = token.replace(/~1/g, "/").replace(/~0/g, "~");
+        if (FORBIDDEN_KEYS.includes(key)) throw new Error(`"${key}" cannot be used in a path`);
+        return key;
+    });
+};
+
+const ARRAY_INDEX = /^(0|[1-9][0-9]*)$/;
+
+const hasKey = (container, key) => {
+    if (Array.isArray(container)) return ARRAY_INDEX.test(key) && Number(key) < container.length;
+    return isPlainObject(container) && Object.prototype.hasOwnProperty.call(container, key);
+};
+
+// Walk to the parent of the last token → { parent, key }
+const resolveParent = (doc, tokens) => {
+    let parent = doc;
+
+    for (const token of tokens.slice(0, -1)) {
+        if (!hasKey(parent, token)) throw new Error(`path segment "${token}" does not exist`);
+        parent = parent[token];
+    }
+
+    if (parent === null || typeof parent !== "object") {
+        throw new Error("parent of the target is not an object or array");
+    }
+
+    return { parent, key: tokens[tokens.length - 1] };
+};
+
+const getValue = (doc, tokens) => {
+    let value = doc;
+    for (const token of tokens) {
+        if (!hasKey(value, token)) throw new Error(`path "/${tokens.join("/")}" does not exist`);
+        value = value[token];
+    }
+    return value;
+};
+
+// Each helper returns the (possibly new) root document
+const addValue = (doc, tokens, value) => {
+    if (tokens.length === 0) return value; // "" → replace the whole document
+
+    const { parent, key } = resolveParent(doc, tokens);
+
+    if (Array.isArray(parent)) {
+        const index = key === "-" ? parent.length : Number(key);
+        if (key !== "-" && (!ARRAY_INDEX.test(key) || index > parent.length)) {
+            throw new Error(`array index "${key}" is out of bounds`);
+        }
+        parent.splice(index, 0, value);
+    } else {
+        parent[key] = value;
+    }
+
+    return doc;
+};
+
+const removeValue = (doc, tokens) => {
+    if (tokens.length === 0) throw new Error("cannot remove the whole document");
+
+    const { parent, key } = resolveParent(doc, tokens);
+    if (!hasKey(parent, key)) throw new Error(`path "/${tokens.join("/")}" does not exist`);
+
+    if (Array.isArray(parent)) parent.splice(Number(key), 1);
+    else delete parent[key];
+
+    return doc;
+};
+
+const OPERATIONS = {
+    add: (doc, op) => addValue(doc, parsePointer(op.path), clone(op.value)),
+
+    remove: (doc, op) => removeValue(doc, parsePointer(op.path)),
+
+    replace: (doc, op) => {
+        const tokens = parsePointer(op.path);
+        if (tokens.length === 0) return clone(op.value);
+
+        const { parent, key } = resolveParent(doc, tokens);
+        if (!hasKey(parent, key)) throw new Error(`path "${op.path}" does not exist`);
+
+        parent[key] = clone(op.value);
+        return doc;
+    },
+
+    move: (doc, op) => {
+        const from = parsePointer(op.from);
+        const to = parsePointer(op.path);
+        if (op.path.startsWith(`${op.from}/`)) throw new Error("cannot move a value into one of its own children");
+
+        const value = getValue(doc, from);
+        return addValue(removeValue(doc, from), to, value);
+    },
+
+    copy: (doc, op) => addValue(doc, parsePointer(op.path), clone(getValue(doc, parsePointer(op.from)))),
+
+    test: (doc, op) => {
+        if (!deepEqual(getValue(doc, parsePointer(op.path)), op.value)) {
+            throw new Error(`test failed: value at "${op.path}" is not ${JSON.stringify(op.value)}`);
+        }
+        return doc;
+    },
+};
+
+// Basic shape check for one operation → error message or null
+const checkOperation = (op) => {
+    if (!isPlainObject(op)) return "operation must be an object";
+    if (!OPERATIONS[op.op]) return `unknown op "${op.op}" (allowed: ${Object.keys(OPERATIONS).join(", ")})`;
+    if (typeof op.path !== "string") return "path is required";
+    if (["move", "copy"].includes(op.op) && typeof op.from !== "string") return "from is required";
+    if (["add", "replace", "test"].includes(op.op) && !("value" in op)) return "value is required";
+    return null;
+};
+
+const operationError = (index, op, reason) => httpError(
+    422,
+    `Patch operation ${index} (${isPlainObject(op) ? op.op : "?"} ${isPlainObject(op) ? op.path : ""}) failed: ${reason}`,
+    { details: { operation: { index, ...(isPlainObject(op) ? op : {}) } } },
+);
+
+// =====================================================================
+//  applyJsonPatch(doc, operations, { protectedPaths })
+//  protectedPaths = top-level fields no op may change (e.g. "/id")
+// =====================================================================
+
+const applyJsonPatch = (doc, operations, { protectedPaths = [] } = {}) => {
+    if (!Array.isArray(operations)) {
+        throw httpError(422, "A JSON Patch body must be an array of operations");
+    }
+
+    let result = clone(doc);
+
+    operations.forEach((op, index) => {
+        const problem = checkOperation(op);
+        if (problem) throw operationError(index, op, problem);
+
+        // test only reads, so it may look at protected fields
+        const touched = op.op === "move" ? [op.path, op.from] : op.op === "test" ? [] : [op.path];
+        const blocked = touched.find((path) => path === "" || protectedPaths.some((p) => path === p || path.startsWith(`${p}/`)));
+        if (blocked !== undefined) {
+            throw operationError(index, op, `"${blocked || "/"}" cannot be changed`);
+        }
+
+        try {
+            result = OPERATIONS[op.op](result, op);
+        } catch (err) {
+            throw operationError(index, op, err.message);
+        }
+    });
+
+    return result;
+};
+
+// =====================================================================
+//  assertFieldsObject(body)
+//  Merge patch / plain JSON body = update karne wale fields ka object.
+//  RFC 7396 mein "5", [..], null → poora document replace → user ke liye
+//  ye kabhi sahi nahi → 400
+// =====================================================================
+
+const assertFieldsObject = (body) => {
+    if (!isPlainObject(body)) {
+        throw httpError(400, "Request body must be a JSON object of fields to update");
+    }
+};
+
+// =====================================================================
+//  applyMergePatch(target, patch) → RFC 7396
+//  patch top level pe object hi hona chahiye (assertFieldsObject)
+// =====================================================================
+
+const mergeValue = (target, patch) => {
+    if (!isPlainObject(patch)) return clone(patch);
+
+    const result = isPlainObject(target) ? { ...target } : {};
+
+    for (const [key, value] of Object.entries(patch)) {
+        if (FORBIDDEN_KEYS.includes(key)) {
+            throw httpError(422, `Merge patch failed: "${key}" cannot be used as a field name`);
+        }
+
+        if (value === null) delete result[key];
+        else result[key] = mergeValue(result[key], value);
+    }
+
+    return result;
+};
+
+const applyMergePatch = (target, patch) => {
+    assertFieldsObject(patch);
+    return mergeValue(target, patch);
+};
+
+module.exports = { applyJsonPatch, applyMergePatch, assertFieldsObject };
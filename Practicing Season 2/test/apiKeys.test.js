@@ -0,0 +1,77 @@
+// =====================================================================
+//  test/apiKeys.test.js — key lifecycle + scopes on top of roles
+// =====================================================================
+
+process.env.JWT_SECRET ||= "test-secret";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createApiKeyStore, toPublicApiKey } = require("../Auth/apiKeys");
+const { scopesAllow } = require("../Auth/permissions");
+const { requirePermission } = require("../Auth/middleware");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const inDays = (days) => new Date(Date.now() + days * DAY_MS);
+
+// Middleware ko chalao → status (next() hua to 200)
+const run = async (middleware, req) => {
+    let status = 200;
+    const res = { status(code) { status = code; return this; }, json() { return this; } };
+    await middleware(req, res, () => {});
+    return status;
+};
+
+test("scopes: exact, resource wildcard and full wildcard", () => {
+    assert.equal(scopesAllow(["posts:read"], "posts:read"), true);
+    assert.equal(scopesAllow(["posts:read"], "posts:create"), false);
+    assert.equal(scopesAllow(["posts:*"], "posts:delete:own"), true);
+    assert.equal(scopesAllow(["posts:*"], "users:read"), false);
+    assert.equal(scopesAllow(["*"], "users:delete:any"), true);
+    assert.equal(scopesAllow([], "posts:read"), false);
+});
+
+test("a key authenticates until it is revoked or expires", async () => {
+    const apiKeys = createApiKeyStore();
+    const { apiKey, key } = await apiKeys.create("user-1", { name: "ci", scopes: ["posts:read"], expiresAt: inDays(30) });
+
+    assert.equal((await apiKeys.authenticate(key, { ip: "10.0.0.1" })).apiKey.id, apiKey.id);
+    assert.equal(apiKey.lastUsedIp, "10.0.0.1");
+    assert.equal(toPublicApiKey(apiKey).keyHash, undefined);
+
+    // Sahi id, galat secret
+    assert.deepEqual(await apiKeys.authenticate(key.replace(/.$/, (c) => (c === "a" ? "b" : "a"))), { error: "INVALID" });
+
+    // Kisi aur ki key revoke nahi hoti
+    assert.equal(await apiKeys.revoke("user-2", apiKey.id), false);
+    assert.equal(await apiKeys.revoke("user-1", apiKey.id), true);
+    assert.deepEqual(await apiKeys.authenticate(key), { error: "REVOKED" });
+
+    const { key: old } = await apiKeys.create("user-1", { name: "old", scopes: ["*"], expiresAt: inDays(-1) });
+    assert.deepEqual(await apiKeys.authenticate(old), { error: "EXPIRED" });
+});
+
+test("revokeAll only touches one user's keys", async () => {
+    const apiKeys = createApiKeyStore();
+    await apiKeys.create("user-1", { name: "a", scopes: ["*"], expiresAt: inDays(1) });
+    await apiKeys.create("user-1", { name: "b", scopes: ["*"], expiresAt: inDays(1) });
+    const { key } = await apiKeys.create("user-2", { name: "c", scopes: ["*"], expiresAt: inDays(1) });
+
+    assert.equal(await apiKeys.revokeAll("user-1"), 2);
+    assert.deepEqual(await apiKeys.listForUser("user-1"), []);
+    assert.ok((await apiKeys.authenticate(key)).apiKey);
+});
+
+test("requirePermission needs the role AND the key scope", async () => {
+    const admin = { roles: ["admin"] };
+    const user = { roles: ["user"] };
+
+    // Bina key → sirf roles
+    assert.equal(await run(requirePermission("users:delete"), { user: admin }), 200);
+
+    // Admin ki key, par scope chhota → 403
+    assert.equal(await run(requirePermission("users:delete"), { user: admin, apiKey: { scopes: ["posts:read"] } }), 403);
+    assert.equal(await run(requirePermission("users:delete"), { user: admin, apiKey: { scopes: ["users:*"] } }), 200);
+
+    // "*" scope bhi user ke roles se zyada nahi deta
+    assert.equal(await run(requirePermission("users:delete"), { user, apiKey: { scopes: ["*"] } }), 403);
+});
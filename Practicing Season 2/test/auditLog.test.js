@@ -0,0 +1,59 @@
+// =====================================================================
+//  test/auditLog.test.js — field diff, redaction, /audit query parsing
+// =====================================================================
+
+process.env.JWT_SECRET ||= "test-secret";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { diff, parseAuditQuery } = require("../DatabaseAndSchema/auditLog");
+
+test("diff lists only changed fields, skipping bookkeeping", () => {
+    const before = { _id: "1", __v: 0, firstName: "Ujjwal", email: "u@test.com", updatedAt: 1 };
+    const after = { _id: "1", __v: 1, firstName: "Ujjwal", email: "new@test.com", age: 22, updatedAt: 2 };
+
+    assert.deepEqual(diff(before, after), [
+        { field: "email", before: "u@test.com", after: "new@test.com" },
+        { field: "age", before: undefined, after: 22 },
+    ]);
+});
+
+test("secret fields are recorded as changed, never with their value", () => {
+    const changes = diff(
+        { password: "$2b$10$old", twoFactor: { secret: "A" } },
+        { password: "$2b$10$new", twoFactor: { secret: "B" } },
+    );
+
+    assert.deepEqual(changes, [
+        { field: "password", before: "[redacted]", after: "[redacted]" },
+        { field: "twoFactor", before: "[redacted]", after: "[redacted]" },
+    ]);
+});
+
+test("create and delete diff against nothing", () => {
+    assert.deepEqual(diff(null, { firstName: "Ujjwal" }), [{ field: "firstName", before: undefined, after: "Ujjwal" }]);
+    assert.deepEqual(diff({ firstName: "Ujjwal" }, null), [{ field: "firstName", before: "Ujjwal", after: undefined }]);
+});
+
+test("audit query → MongoDB filter + page", () => {
+    const { filter, page, limit, errors } = parseAuditQuery({
+        actor: "admin@test.com", action: "update", field: "email", from: "2026-01-01", to: "2026-02-01", page: "2", limit: "20",
+    });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(filter, {
+        actor: "admin@test.com",
+        action: "update",
+        "changes.field": "email",
+        at: { $gte: new Date("2026-01-01"), $lte: new Date("2026-02-01") },
+    });
+    assert.equal(page, 2);
+    assert.equal(limit, 20);
+});
+
+test("bad audit queries are rejected, operator objects included", () => {
+    const fields = (query) => parseAuditQuery(query).errors.map((e) => `${e.field}:${e.rule}`);
+
+    assert.deepEqual(fields({ action: "hack", from: "yesterday", page: "0", limit: "500" }), ["action:enum", "from:type", "page:type", "limit:max"]);
+    assert.deepEqual(fields({ actor: { $ne: "x" } }), ["actor:type"]);
+});
@@ -0,0 +1,64 @@
+// =====================================================================
+//  test/csrf.test.js — signed double-submit cookie
+// =====================================================================
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { csrfProtection, csrfTokenHandler, generateCsrfToken, CSRF_COOKIE } = require("../Auth/csrf");
+
+// Nakli req/res → middleware ka status (next() hua to 200)
+const fakeRes = () => ({
+    statusCode: 200,
+    cookies: {},
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    cookie(name, value) { this.cookies[name] = value; return this; },
+});
+
+const post = ({ cookie, header, body, authorization } = {}) => {
+    const headers = { "x-csrf-token": header, authorization };
+    const req = { method: "POST", cookies: cookie ? { [CSRF_COOKIE]: cookie } : {}, headers, body, get: (name) => headers[name.toLowerCase()] };
+    const res = fakeRes();
+    csrfProtection(req, res, () => {});
+    return res.statusCode;
+};
+
+test("GET /auth/csrf sets the cookie and returns the same token", () => {
+    const res = fakeRes();
+    csrfTokenHandler({ cookies: {} }, res);
+
+    assert.ok(res.body.csrfToken);
+    assert.equal(res.cookies[CSRF_COOKIE], res.body.csrfToken);
+
+    // Valid cookie pehle se → wahi token, naya cookie nahi
+    const again = fakeRes();
+    csrfTokenHandler({ cookies: { [CSRF_COOKIE]: res.body.csrfToken } }, again);
+    assert.equal(again.body.csrfToken, res.body.csrfToken);
+    assert.deepEqual(again.cookies, {});
+});
+
+test("unsafe requests need the header to match the cookie", () => {
+    const token = generateCsrfToken();
+
+    assert.equal(post(), 403);
+    assert.equal(post({ cookie: token }), 403);
+    assert.equal(post({ cookie: token, header: generateCsrfToken() }), 403);
+    assert.equal(post({ cookie: token, header: token }), 200);
+    assert.equal(post({ cookie: token, body: { _csrf: token } }), 200);
+});
+
+test("a token the server did not sign is rejected even when both match", () => {
+    assert.equal(post({ cookie: "aaa.bbb", header: "aaa.bbb" }), 403);
+});
+
+test("safe methods and Authorization header requests are exempt", () => {
+    const res = fakeRes();
+    let called = false;
+    csrfProtection({ method: "GET", cookies: {}, headers: {}, get: () => undefined }, res, () => { called = true; });
+    assert.equal(called, true);
+
+    assert.equal(post({ authorization: "Bearer eyJhbGciOi" }), 200);
+    assert.equal(post({ authorization: "ApiKey nnk_abc.def" }), 200);
+    assert.equal(post({ authorization: "Basic dXNlcjpwYXNz" }), 403);
+});
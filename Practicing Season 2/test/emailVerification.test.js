@@ -0,0 +1,78 @@
+// =====================================================================
+//  test/emailVerification.test.js — verify link, resend, failing mailer
+// =====================================================================
+
+process.env.JWT_SECRET ||= "test-secret";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createEmailVerification } = require("../Auth/emailVerification");
+const { createUserStore } = require("../Auth/userStore");
+const { createPurposeToken } = require("../Auth/tokens");
+const { startApp, captureLinks, flush, postJson } = require("./helpers");
+
+const setup = async (t, users) => {
+    const verification = createEmailVerification({ users });
+    const url = await startApp(t, (app) => app.use("/auth", verification.router));
+    return { verification, url: `${url}/auth` };
+};
+
+const resend = (url, email) => postJson(`${url}/resend-verification`, { email });
+
+test("the emailed link verifies the account once, and only for that email", async (t) => {
+    const links = captureLinks(t);
+    const users = createUserStore();
+    const user = await users.create({ name: "Ujjwal", email: "u@test.com", emailVerified: false });
+    const { verification, url } = await setup(t, users);
+
+    await verification.sendVerificationEmail(user);
+    const link = new URL(links[0]);
+
+    assert.equal((await fetch(`${url}/verify-email${link.search}`)).status, 200);
+    assert.equal((await users.findById(user.id)).emailVerified, true);
+    assert.equal((await fetch(`${url}/verify-email${link.search}`)).status, 200); // dobara click → bas OK
+
+    // Email badal gayi → purana link bekaar; doosre purpose ka token bhi nahi chalega
+    const oldEmail = createPurposeToken(user.id, "verify-email", "1h", { email: "old@test.com" });
+    const reset = createPurposeToken(user.id, "reset-password", "1h", { email: "u@test.com" });
+    assert.equal((await fetch(`${url}/verify-email?token=${oldEmail}`)).status, 400);
+    assert.equal((await fetch(`${url}/verify-email?token=${reset}`)).status, 400);
+});
+
+test("resend answers the same for unknown, verified and unverified emails", async (t) => {
+    const links = captureLinks(t);
+    const users = createUserStore();
+    await users.create({ name: "Ujjwal", email: "new@test.com", emailVerified: false });
+    await users.create({ name: "Asha", email: "done@test.com", emailVerified: true });
+    const { url } = await setup(t, users);
+
+    const bodies = [];
+    for (const email of ["new@test.com", "done@test.com", "nobody@test.com"]) {
+        const res = await resend(url, email);
+        assert.equal(res.status, 200);
+        bodies.push(await res.json());
+    }
+
+    assert.equal(new Set(bodies.map((b) => b.message)).size, 1);
+    await flush();
+    assert.equal(links.length, 1);
+
+    // Same email turant dobara → 429
+    assert.equal((await resend(url, "new@test.com")).status, 429);
+});
+
+test("a failing mailer is logged, resend still answers 200", async (t) => {
+    // Console transport ko fail karao → SES down jaisa
+    t.mock.method(console, "log", () => {
+        throw new Error("SES is down");
+    });
+    const errors = t.mock.method(console, "error", () => {});
+
+    const users = createUserStore();
+    await users.create({ name: "Ujjwal", email: "u@test.com", emailVerified: false });
+    const { url } = await setup(t, users);
+
+    assert.equal((await resend(url, "u@test.com")).status, 200);
+    await flush();
+    assert.match(errors.mock.calls[0].arguments.join(" "), /Verification email failed: SES is down/);
+});
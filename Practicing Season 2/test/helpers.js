@@ -0,0 +1,38 @@
+// =====================================================================
+//  test/helpers.js — chhota express app + console "inbox" for route tests
+// =====================================================================
+
+const express = require("express");
+
+// mount(app) → routes lagao; app random port pe, test khatam → band
+const startApp = async (t, mount) => {
+    const app = express();
+    app.use(express.json());
+    mount(app);
+
+    const server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    t.after(() => server.close());
+    return `http://127.0.0.1:${server.address().port}`;
+};
+
+// Console transport (Auth/mailer.js) ke links pakdo → "inbox"
+const captureLinks = (t) => {
+    const links = [];
+    t.mock.method(console, "log", (text) => {
+        const link = String(text).match(/https?:\/\/\S+/);
+        if (link) links.push(link[0]);
+    });
+    return links;
+};
+
+// Background mein bheja email (.catch wala) → ek tick baad pahuchta hai
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+const postJson = (url, body, headers = {}) => fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+});
+
+module.exports = { startApp, captureLinks, flush, postJson };
@@ -0,0 +1,60 @@
+// =====================================================================
+//  test/keys.test.js — key ring: kid, rotation, algorithms, JWKS
+// =====================================================================
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { createKeyRing, loadKeyRing } = require("../Auth/keys");
+
+const OLD = { kid: "2025-01", alg: "HS256", secret: "old-secret" };
+const NEW = { kid: "2026-01", alg: "HS256", secret: "new-secret" };
+
+test("rotation: new tokens use the active kid, old tokens still verify", () => {
+    const before = createKeyRing({ keys: [OLD] });
+    const oldToken = before.sign({ _id: "user-1" }, { expiresIn: "15m" });
+
+    const after = createKeyRing({ keys: [OLD, NEW], activeKid: "2026-01" });
+    const newToken = after.sign({ _id: "user-1" }, { expiresIn: "15m" });
+
+    assert.equal(jwt.decode(newToken, { complete: true }).header.kid, "2026-01");
+    assert.equal(after.verify(oldToken)._id, "user-1");
+
+    // Purani key hata di → uske tokens khatam
+    assert.throws(() => createKeyRing({ keys: [NEW] }).verify(oldToken), /unknown kid/);
+});
+
+test("tokens without a known kid, with a swapped alg or expired are rejected", () => {
+    const ring = createKeyRing({ keys: [OLD] });
+
+    assert.throws(() => ring.verify(jwt.sign({ _id: "x" }, "old-secret")), /unknown kid/);
+    assert.throws(() => ring.verify(jwt.sign({ _id: "x" }, "old-secret", { algorithm: "HS512", keyid: "2025-01" })), /algorithm mismatch/);
+    assert.throws(() => ring.verify(ring.sign({ _id: "x" }, { expiresIn: -1 })), /expired/);
+});
+
+test("EdDSA keys sign and verify, and only public keys are published", () => {
+    const { privateKey } = crypto.generateKeyPairSync("ed25519");
+    const pem = privateKey.export({ type: "pkcs8", format: "pem" });
+    const ring = createKeyRing({ keys: [{ kid: "ed", alg: "EdDSA", privateKey: pem }, OLD], activeKid: "ed" });
+
+    assert.equal(ring.verify(ring.sign({ _id: "user-1" }, { expiresIn: "1h" }))._id, "user-1");
+
+    const { keys } = ring.jwks();
+    assert.deepEqual(keys.map((k) => [k.kid, k.alg, k.kty]), [["ed", "EdDSA", "OKP"]]);
+    assert.equal(keys[0].d, undefined);
+});
+
+test("bad config fails at startup", () => {
+    assert.throws(() => createKeyRing({ keys: [{ alg: "HS256", secret: "x" }] }), /needs a kid/);
+    assert.throws(() => createKeyRing({ keys: [OLD, OLD] }), /Duplicate/);
+    assert.throws(() => createKeyRing({ keys: [OLD], activeKid: "missing" }), /not found/);
+    assert.throws(() => createKeyRing({ keys: [{ kid: "x", alg: "none" }] }), /Unsupported/);
+});
+
+test("loadKeyRing reads JWT_KEYS with JWT_ACTIVE_KID, or falls back to JWT_SECRET", () => {
+    const ring = loadKeyRing({ JWT_KEYS: JSON.stringify({ keys: [OLD, NEW] }), JWT_ACTIVE_KID: "2026-01" });
+    assert.equal(ring.activeKid, "2026-01");
+
+    assert.equal(loadKeyRing({ JWT_SECRET: "s" }).activeKid, "default");
+});
@@ -0,0 +1,166 @@
+// =====================================================================
+//  test/loginGuard.test.js — backoff, lockout, reset, parallel logins, 2FA codes
+// =====================================================================
+
+process.env.JWT_SECRET ||= "test-secret";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createUserStore } = require("../Auth/userStore");
+const { createLoginGuard } = require("../Auth/loginGuard");
+const { createTwoFactor } = require("../Auth/twoFactor");
+const { generateTotpSecret, generateTotp } = require("../Auth/totp");
+
+// Date.now() apne haath mein → 15 min ka lock bina wait ke
+const useClock = (t) => {
+    let now = Date.UTC(2026, 0, 1);
+    t.mock.method(Date, "now", () => now);
+    const log = t.mock.method(console, "log", () => {}); // Lockout email console pe
+    const lockoutEmails = () => log.mock.calls.filter((call) => String(call.arguments[0]).includes("temporarily locked")).length;
+    return { advance: (ms) => { now += ms; }, lockoutEmails };
+};
+
+// Blocked ho to wait karo, phir galat password
+const failTimes = async (guard, clock, times, email = "bob@test.com", ip = "10.0.0.1") => {
+    for (let i = 0; i < times; i++) {
+        const blocked = guard.check(email, ip);
+        if (blocked) clock.advance(blocked.retryAfterSeconds * 1000);
+        await guard.recordFailure(email, ip);
+    }
+};
+
+// /login jaisa: blocked ho to wait, phir begin() → settle(attempt)
+const loginTimes = async (guard, clock, times, settle, email = "bob@test.com", ip = "10.0.0.1") => {
+    for (let i = 0; i < times; i++) {
+        const blocked = guard.check(email, ip);
+        if (blocked) clock.advance(blocked.retryAfterSeconds * 1000);
+        settle(guard.begin(email, ip).attempt);
+    }
+};
+
+test("3 free attempts, then exponential backoff", async (t) => {
+    const clock = useClock(t);
+    const guard = createLoginGuard({ users: createUserStore() });
+
+    await failTimes(guard, clock, 3);
+    assert.equal(guard.check("bob@test.com", "10.0.0.1"), null);
+
+    await failTimes(guard, clock, 1);
+    assert.equal(guard.check("bob@test.com", "10.0.0.1").retryAfterSeconds, 1);
+
+    await failTimes(guard, clock, 1);
+    assert.equal(guard.check("bob@test.com", "10.0.0.1").retryAfterSeconds, 2);
+
+    await failTimes(guard, clock, 1);
+    assert.equal(guard.check("bob@test.com", "10.0.0.1").retryAfterSeconds, 4);
+});
+
+test("10 failures lock the account for 15 minutes from any IP", async (t) => {
+    const clock = useClock(t);
+    const users = createUserStore();
+    await users.create({ email: "bob@test.com", passwordHash: "x" });
+    const guard = createLoginGuard({ users });
+
+    await failTimes(guard, clock, 10);
+
+    assert.equal(guard.status("bob@test.com").locked, true);
+    assert.equal(guard.check("BOB@test.com", "192.168.1.1").retryAfterSeconds, 15 * 60);
+
+    clock.advance(15 * 60 * 1000);
+    assert.equal(guard.check("bob@test.com", "192.168.1.1"), null);
+});
+
+test("parallel logins are counted before the password check", async (t) => {
+    useClock(t);
+    const guard = createLoginGuard({ users: createUserStore() });
+
+    // 20 requests ek saath, koi bhi abhi tak fail nahi hua
+    const started = Array.from({ length: 20 }, () => guard.begin("bob@test.com", "10.0.0.1"));
+    const allowed = started.filter((s) => s.attempt);
+
+    // 3 free + 4th (jo backoff lagata hai) → baaki sab 429
+    assert.equal(allowed.length, 4);
+    assert.ok(started[19].blocked.retryAfterSeconds > 0);
+
+    allowed.forEach((s) => s.attempt.fail());
+    assert.equal(guard.status("bob@test.com").failures, 4);
+});
+
+test("a correct password gives its attempt back, the IP is not punished", async (t) => {
+    const clock = useClock(t);
+    const guard = createLoginGuard({ users: createUserStore() });
+
+    // Office ka shared IP → 100 sahi logins, koi backoff nahi
+    for (let i = 0; i < 100; i++) {
+        const { blocked, attempt } = guard.begin(`user${i}@test.com`, "10.0.0.1");
+        assert.equal(blocked, null);
+        attempt.release();
+    }
+    assert.equal(guard.check("someone@test.com", "10.0.0.1"), null);
+
+    // 9 galat, phir sahi password (2FA baaki) → lock nahi, 9 fails rehte hain
+    await loginTimes(guard, clock, 9, (attempt) => attempt.fail());
+    await loginTimes(guard, clock, 1, (attempt) => attempt.release());
+
+    assert.equal(guard.status("bob@test.com").locked, false);
+    assert.equal(guard.status("bob@test.com").failures, 9);
+});
+
+test("lockout emails go out in the background, once per hour per account", async (t) => {
+    const clock = useClock(t);
+    const users = createUserStore();
+    await users.create({ email: "bob@test.com", passwordHash: "x" });
+    const guard = createLoginGuard({ users });
+
+    await loginTimes(guard, clock, 10, (attempt) => attempt.fail());
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(clock.lockoutEmails(), 1);
+
+    // Lock khatam, phir se 10 → same ghante mein dobara email nahi
+    clock.advance(15 * 60 * 1000);
+    await failTimes(guard, clock, 10);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(guard.status("bob@test.com").locked, true);
+    assert.equal(clock.lockoutEmails(), 1);
+
+    // Unknown email → lock hota hai, par email nahi
+    await failTimes(guard, clock, 10, "nobody@test.com");
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(clock.lockoutEmails(), 1);
+});
+
+test("success resets the account counter but not the IP counter", async (t) => {
+    const clock = useClock(t);
+    const guard = createLoginGuard({ users: createUserStore() });
+
+    // Ek IP se bahut saare accounts pe → IP ka count
+    for (let i = 0; i < 20; i++) await failTimes(guard, clock, 1, `user${i}@test.com`);
+    guard.recordSuccess("user0@test.com");
+
+    assert.equal(guard.status("user0@test.com").failures, 0);
+    assert.ok(guard.check("someone-else@test.com", "10.0.0.1"), "IP backoff should survive a login");
+});
+
+test("wrong 2FA codes count against the account across challenges", async (t) => {
+    const clock = useClock(t);
+    const users = createUserStore();
+    const secret = generateTotpSecret();
+    const user = await users.create({ email: "bob@test.com", passwordHash: "x", twoFactor: { enabled: true, secret, recoveryCodes: [] } });
+    const guard = createLoginGuard({ users });
+    const twoFactor = createTwoFactor({ users, guard, isAuthenticated: (req, res, next) => next() });
+
+    // Har baar naya challenge (password pata hai) → phir bhi guard rokega
+    let result;
+    for (let i = 0; i < 5; i++) {
+        const { challengeToken } = twoFactor.createChallenge(user);
+        result = await twoFactor.completeChallenge({ challengeToken, code: "000000" }, { ip: "10.0.0.1" });
+    }
+    assert.equal(result.error, "LOCKED");
+
+    // Wait ke baad sahi code → login + counter reset
+    clock.advance(result.retryAfterSeconds * 1000);
+    const { challengeToken } = twoFactor.createChallenge(user);
+    const ok = await twoFactor.completeChallenge({ challengeToken, code: generateTotp(secret, Date.now()) }, { ip: "10.0.0.1" });
+    assert.equal(ok.user.id, user.id);
+    assert.equal(guard.status("bob@test.com").failures, 0);
+});
@@ -0,0 +1,77 @@
+// =====================================================================
+//  test/middleware.test.js — isAuthenticated, verifyCredentials, requireRole
+// =====================================================================
+
+process.env.JWT_SECRET ||= "test-secret";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createAuth, requireRole } = require("../Auth/middleware");
+const { createUserStore } = require("../Auth/userStore");
+const { createToken } = require("../Auth/tokens");
+const { passwordHasher } = require("../Auth/passwordHasher");
+
+// Middleware ko chalao → status (next() hua to 200)
+const run = async (middleware, req) => {
+    let status = 200;
+    const res = { status(code) { status = code; return this; }, json() { return this; } };
+    await middleware(req, res, () => {});
+    return status;
+};
+
+const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+const setup = async () => {
+    const users = createUserStore();
+    const user = await users.create({ name: "Ujjwal", email: "U@Test.com", passwordHash: await passwordHasher.hash("Secret#123") });
+    return { users, user, auth: createAuth({ users }) };
+};
+
+test("no token, bad token or expired token → 401", async () => {
+    const { user, auth } = await setup();
+
+    assert.equal(await run(auth.isAuthenticated, { headers: {} }), 401);
+    assert.equal(await run(auth.isAuthenticated, bearer("not-a-jwt")), 401);
+    assert.equal(await run(auth.isAuthenticated, bearer(createToken(user.id, "-1s"))), 401);
+});
+
+test("a valid token loads the user from the store, without secrets", async () => {
+    const { user, auth } = await setup();
+    const req = bearer(createToken(user.id));
+
+    assert.equal(await run(auth.isAuthenticated, req), 200);
+    assert.equal(req.userId, user.id);
+    assert.deepEqual(req.user.roles, ["user"]);
+    assert.equal(req.user.passwordHash, undefined);
+
+    // Cookie bhi chalegi
+    assert.equal(await run(auth.isAuthenticated, { headers: {}, cookies: { token: createToken(user.id) } }), 200);
+});
+
+test("a deleted or deactivated user's token stops working", async () => {
+    const { users, user, auth } = await setup();
+    const token = createToken(user.id);
+
+    await users.update(user.id, { isActive: false });
+    assert.equal(await run(auth.isAuthenticated, bearer(token)), 401);
+
+    assert.equal(await run(auth.isAuthenticated, bearer(createToken("missing-user"))), 401);
+});
+
+test("verifyCredentials checks email (case-insensitive) and password", async () => {
+    const { user, auth } = await setup();
+
+    assert.equal((await auth.verifyCredentials("u@test.com", "Secret#123")).id, user.id);
+    assert.equal(await auth.verifyCredentials("u@test.com", "wrong"), null);
+    assert.equal(await auth.verifyCredentials("nobody@test.com", "Secret#123"), null);
+    assert.equal(await auth.verifyCredentials("u@test.com", { $ne: "" }), null);
+});
+
+test("requireRole: 401 without a user, 403 with the wrong role", async () => {
+    const isAdmin = requireRole("admin");
+
+    assert.equal(await run(isAdmin, {}), 401);
+    assert.equal(await run(isAdmin, { user: { roles: ["user"] } }), 403);
+    assert.equal(await run(isAdmin, { user: { roles: ["user", "admin"] } }), 200);
+    assert.equal(await run(requireRole("admin", "moderator"), { user: { roles: ["moderator"] } }), 200);
+});
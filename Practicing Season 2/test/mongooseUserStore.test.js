@@ -0,0 +1,70 @@
+// =====================================================================
+//  test/mongooseUserStore.test.js — Mongoose fields ↔ store shape
+// =====================================================================
+//
+//  MongoDB ke bina: Model ki jagah chhota sa fake jo bas wahi
+//  methods deta hai jo store use karta hai, schema asli Mongoose ka.
+//
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { createMongooseUserStore } = require("../Auth/mongooseUserStore");
+
+// Query jaisa: .select().lean() chain, phir await
+const query = (result) => ({ select() { return this; }, lean() { return this; }, then: (resolve) => resolve(result) });
+
+const fakeModel = (definition) => {
+    const calls = [];
+    const Model = {
+        schema: new mongoose.Schema(definition),
+        async create(data) {
+            calls.push(data);
+            return { toObject: () => ({ _id: new mongoose.Types.ObjectId(), __v: 0, ...data }) };
+        },
+        findOne(filter) {
+            calls.push(filter);
+            return query(null);
+        },
+        findByIdAndUpdate(id, changes) {
+            calls.push(changes);
+            return query({ _id: id, ...changes });
+        },
+    };
+    return { Model, calls };
+};
+
+test("schema with firstName/lastName → name is split and joined", async () => {
+    const { Model, calls } = fakeModel({ firstName: String, lastName: String, email: String, password: String });
+    const users = createMongooseUserStore(Model);
+
+    const user = await users.create({ name: "Ujjwal Kumar", email: "u@test.com", passwordHash: "$2b$hash" });
+    assert.deepEqual(calls[0], { firstName: "Ujjwal", lastName: "Kumar", email: "u@test.com", password: "$2b$hash" });
+    assert.equal(user.name, "Ujjwal Kumar");
+    assert.equal(user.passwordHash, "$2b$hash");
+    assert.equal(user.password, undefined);
+
+    await users.update(user.id, { name: "Asha", passwordHash: null });
+    assert.deepEqual(calls[1], { firstName: "Asha", $unset: { lastName: 1, password: 1 } });
+});
+
+test("schema with only name (Episode 13) → name stays name", async () => {
+    const { Model, calls } = fakeModel({ name: String, email: String });
+    const users = createMongooseUserStore(Model);
+
+    const user = await users.create({ name: "Ujjwal Kumar", email: "u@test.com" });
+    assert.deepEqual(calls[0], { name: "Ujjwal Kumar", email: "u@test.com" });
+    assert.equal(user.name, "Ujjwal Kumar");
+    assert.equal(user.firstName, undefined);
+
+    await users.update(user.id, { name: "Asha" });
+    assert.deepEqual(calls[1], { name: "Asha" });
+});
+
+test("findByIdentity matches provider and subject on the same identity", async () => {
+    const { Model, calls } = fakeModel({ name: String, identities: [{ provider: String, subject: String }] });
+    const users = createMongooseUserStore(Model);
+
+    assert.equal(await users.findByIdentity("google", "1234"), null);
+    assert.deepEqual(calls[0], { identities: { $elemMatch: { provider: "google", subject: "1234" } } });
+});
@@ -0,0 +1,132 @@
+// =====================================================================
+//  test/oidc.test.js — code flow against the mock IdP: PKCE + nonce, login router
+// =====================================================================
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const cookieParser = require("cookie-parser");
+const { createOidcClient, createOidcRouter } = require("../Auth/oidc");
+const { createMockOidcProvider } = require("../Auth/mockOidcProvider");
+const { createUserStore } = require("../Auth/userStore");
+const { startApp } = require("./helpers");
+
+const REDIRECT_URI = "http://localhost:3000/auth/oidc/mock/callback";
+
+// Mock IdP random port pe → issuer = uska asli URL
+const startProvider = async () => {
+    const server = http.createServer();
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const issuer = `http://127.0.0.1:${server.address().port}`;
+    server.on("request", createMockOidcProvider({ issuer }));
+    return { server, issuer };
+};
+
+// Browser ki jagah: authorize URL kholo → redirect se code nikalo
+const authorize = async (url, hint = {}) => {
+    const target = new URL(url);
+    for (const [key, value] of Object.entries(hint)) target.searchParams.set(key, value);
+    const response = await fetch(target, { redirect: "manual" });
+    return new URL(response.headers.get("location")).searchParams;
+};
+
+test("authorization code flow with PKCE and nonce", async (t) => {
+    const { server, issuer } = await startProvider();
+    t.after(() => server.close());
+
+    const client = createOidcClient({ issuer, clientId: "namaste-node", clientSecret: "mock-secret", redirectUri: REDIRECT_URI });
+
+    await t.test("valid verifier + nonce → verified claims", async () => {
+        const request = await client.createAuthorizationRequest();
+        const params = await authorize(request.url, { login_hint: "Asha@Test.com" });
+
+        assert.equal(params.get("state"), request.state);
+
+        const claims = await client.exchangeCode({ code: params.get("code"), codeVerifier: request.codeVerifier, nonce: request.nonce });
+        assert.equal(claims.email, "asha@test.com");
+        assert.equal(claims.email_verified, true);
+        assert.equal(claims.nonce, request.nonce);
+        assert.equal(claims.iss, issuer);
+    });
+
+    await t.test("authorization URL carries an S256 challenge, never the verifier", async () => {
+        const request = await client.createAuthorizationRequest();
+        const url = new URL(request.url);
+
+        assert.equal(url.searchParams.get("code_challenge_method"), "S256");
+        assert.ok(url.searchParams.get("code_challenge"));
+        assert.ok(!request.url.includes(request.codeVerifier));
+    });
+
+    await t.test("wrong code verifier → provider refuses the code", async () => {
+        const request = await client.createAuthorizationRequest();
+        const params = await authorize(request.url);
+
+        await assert.rejects(
+            client.exchangeCode({ code: params.get("code"), codeVerifier: "stolen-code-without-verifier", nonce: request.nonce }),
+            /PKCE verification failed/,
+        );
+    });
+
+    await t.test("id_token for another login (nonce mismatch) is rejected", async () => {
+        const request = await client.createAuthorizationRequest();
+        const params = await authorize(request.url);
+
+        await assert.rejects(
+            client.exchangeCode({ code: params.get("code"), codeVerifier: request.codeVerifier, nonce: "some-other-login" }),
+            /nonce mismatch/,
+        );
+    });
+
+    await t.test("a code works only once", async () => {
+        const request = await client.createAuthorizationRequest();
+        const params = await authorize(request.url);
+        const exchange = () => client.exchangeCode({ code: params.get("code"), codeVerifier: request.codeVerifier, nonce: request.nonce });
+
+        await exchange();
+        await assert.rejects(exchange(), /invalid_grant|Invalid or expired code/);
+    });
+});
+
+// Poora browser flow: /auth/oidc/mock → IdP → callback (state cookie ke saath)
+const loginThroughRouter = async (url, hint) => {
+    const start = await fetch(`${url}/auth/oidc/mock`, { redirect: "manual" });
+    const cookie = start.headers.get("set-cookie").split(";")[0];
+    const params = await authorize(start.headers.get("location"), { login_hint: hint });
+
+    const callback = await fetch(`${url}/auth/oidc/mock/callback?${params}`, { headers: { cookie } });
+    return { status: callback.status, body: await callback.json() };
+};
+
+test("login router: identity lookup, linking by verified email, unknown providers", async (t) => {
+    const { server, issuer } = await startProvider();
+    t.after(() => server.close());
+
+    const users = createUserStore();
+    const existing = await users.create({ name: "Asha", email: "asha@test.com", passwordHash: "x", emailVerified: true });
+    const url = await startApp(t, (app) => {
+        app.use(cookieParser());
+        app.use("/auth", createOidcRouter({
+            providers: { mock: createOidcClient({ issuer, clientId: "namaste-node", clientSecret: "mock-secret", redirectUri: "http://localhost/unused" }) },
+            users,
+            onLogin: (req, res, user) => res.json({ userId: user.id }),
+        }));
+    });
+
+    // Pehli baar → verified email se existing account link
+    const first = await loginThroughRouter(url, "asha@test.com");
+    assert.equal(first.body.userId, existing.id);
+
+    const [identity] = (await users.findById(existing.id)).identities;
+    assert.equal((await users.findByIdentity("mock", identity.subject)).id, existing.id);
+    assert.equal(await users.findByIdentity("other", identity.subject), null);
+
+    // Dobara → identity se hi mil gaya, naya user nahi
+    const second = await loginThroughRouter(url, "asha@test.com");
+    assert.equal(second.body.userId, existing.id);
+    assert.equal((await users.list()).length, 1);
+
+    for (const name of ["nope", "constructor", "__proto__", "hasOwnProperty"]) {
+        assert.equal((await fetch(`${url}/auth/oidc/${name}`, { redirect: "manual" })).status, 404, name);
+    }
+});
@@ -0,0 +1,58 @@
+// =====================================================================
+//  test/passwordHasher.test.js — self-describing hashes, upgrade on login
+// =====================================================================
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createPasswordHasher, algorithmOf } = require("../Auth/passwordHasher");
+
+// Chhoti costs → test jaldi chale (policy waisi hi, bas numbers kam)
+const bcrypt4 = createPasswordHasher({ algorithm: "bcrypt", params: { rounds: 4 } });
+const bcrypt5 = createPasswordHasher({ algorithm: "bcrypt", params: { rounds: 5 } });
+const scrypt = createPasswordHasher({ algorithm: "scrypt", params: { ln: 10 } });
+const argon = createPasswordHasher({ algorithm: "argon2id", params: { m: 1024, t: 1 } });
+
+test("every algorithm hashes, names itself in the hash and verifies", async () => {
+    for (const [hasher, name] of [[bcrypt4, "bcrypt"], [scrypt, "scrypt"], [argon, "argon2id"]]) {
+        const hash = await hasher.hash("Tr0mbone-Galaxy");
+        assert.equal(algorithmOf(hash), name);
+        assert.equal(await hasher.verify("Tr0mbone-Galaxy", hash), true);
+        assert.equal(await hasher.verify("wrong", hash), false);
+    }
+});
+
+test("any hasher verifies hashes made by the others", async () => {
+    const old = await bcrypt4.hash("Tr0mbone-Galaxy");
+    assert.equal(await argon.verify("Tr0mbone-Galaxy", old), true);
+    assert.equal(await bcrypt4.verify("Tr0mbone-Galaxy", await scrypt.hash("Tr0mbone-Galaxy")), true);
+});
+
+test("weaker hashes are upgraded on login, stronger ones are left alone", async () => {
+    const old = await bcrypt4.hash("Tr0mbone-Galaxy");
+
+    const upgraded = await bcrypt5.verifyAndUpgrade("Tr0mbone-Galaxy", old);
+    assert.equal(upgraded.ok, true);
+    assert.equal(bcrypt5.needsRehash(upgraded.upgradedHash), false);
+
+    assert.equal(algorithmOf((await scrypt.verifyAndUpgrade("Tr0mbone-Galaxy", old)).upgradedHash), "scrypt");
+    assert.equal(bcrypt4.needsRehash(await argon.hash("x")), false);
+
+    // Galat password → kuch save nahi
+    assert.deepEqual(await scrypt.verifyAndUpgrade("wrong", old), { ok: false, upgradedHash: null });
+});
+
+test("migrateFrom rehashes even a stronger algorithm", async () => {
+    const migrate = createPasswordHasher({ algorithm: "scrypt", params: { ln: 10 }, migrateFrom: ["argon2id"] });
+    assert.equal(migrate.needsRehash(await argon.hash("x")), true);
+
+    assert.throws(() => createPasswordHasher({ algorithm: "md5" }), /Unknown password hasher/);
+    assert.throws(() => createPasswordHasher({ migrateFrom: ["sha1"] }), /Unknown password hasher/);
+});
+
+test("unknown or missing hashes never verify and never throw", async () => {
+    for (const stored of [null, undefined, "", "plain-text", "$1$md5$hash", 42]) {
+        assert.equal(await bcrypt4.verify("x", stored), false);
+        assert.equal(bcrypt4.needsRehash(stored), false);
+    }
+    assert.equal(await bcrypt4.verify({ $ne: "" }, await bcrypt4.hash("x")), false);
+});
@@ -0,0 +1,62 @@
+// =====================================================================
+//  test/passwordPolicy.test.js — rules, breach list, history, bcrypt bytes
+// =====================================================================
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createPasswordPolicy } = require("../Auth/passwordPolicy");
+const { createPasswordHasher } = require("../Auth/passwordHasher");
+
+// Test mein slow hashing ki zarurat nahi
+const fastBcrypt = createPasswordHasher({ algorithm: "bcrypt", params: { rounds: 4 } });
+const fastScrypt = createPasswordHasher({ algorithm: "scrypt", params: { ln: 10 } });
+
+const rules = (result) => result.errors.map((e) => e.rule);
+
+test("a strong password passes", async () => {
+    const { check } = createPasswordPolicy({ hasher: fastBcrypt });
+    assert.deepEqual(await check("Tr0mbone-Galaxy"), { ok: true, errors: [] });
+});
+
+test("reports every broken rule at once", async () => {
+    const { check } = createPasswordPolicy({ hasher: fastBcrypt });
+
+    assert.deepEqual(rules(await check("")), ["required"]);
+    assert.deepEqual(rules(await check("abc")), ["minLength", "uppercase", "digit"]);
+    assert.ok(rules(await check(`Aa1${"x".repeat(70)}`)).includes("maxLength"));
+});
+
+test("banned words survive leetspeak, personal info is refused", async () => {
+    const { check } = createPasswordPolicy({ hasher: fastBcrypt });
+
+    assert.ok(rules(await check("MyP@ssw0rd9")).includes("bannedWord"));
+    assert.ok(rules(await check("Ashaverma77", { email: "ashaverma@test.com" })).includes("personalInfo"));
+    assert.ok(rules(await check("Xx9Priyanka", { name: "Priyanka" })).includes("personalInfo"));
+});
+
+test("passwords from the breach list are rejected", async () => {
+    const { check, breachCount } = createPasswordPolicy({ hasher: fastBcrypt });
+
+    assert.ok(await breachCount("Sunshine1") > 0);
+    assert.deepEqual(rules(await check("Sunshine1")), ["breached"]);
+});
+
+test("the last N passwords cannot be reused", async () => {
+    const { check, nextHistory } = createPasswordPolicy({ hasher: fastScrypt, historySize: 2 });
+    const user = { passwordHash: await fastScrypt.hash("Old-Horse-71"), passwordHistory: [await fastScrypt.hash("Older-Cat-42")] };
+
+    assert.deepEqual(rules(await check("Old-Horse-71", { user })), ["reused"]);
+    assert.deepEqual(rules(await check("Older-Cat-42", { user })), ["reused"]);
+    assert.equal((await check("Fresh-Lake-93", { user })).ok, true);
+
+    // historySize 2 → sabse purana nikal jaata hai
+    const updated = { passwordHash: await fastScrypt.hash("Fresh-Lake-93"), passwordHistory: nextHistory(user) };
+    assert.equal((await check("Older-Cat-42", { user: updated })).ok, true);
+});
+
+test("the 72-byte limit applies only when bcrypt hashes the password", async () => {
+    const emoji = `Aa1${"😀".repeat(20)}`; // 23 characters, 83 bytes
+
+    assert.deepEqual(rules(await createPasswordPolicy({ hasher: fastBcrypt }).check(emoji)), ["maxBytes"]);
+    assert.equal((await createPasswordPolicy({ hasher: fastScrypt }).check(emoji)).ok, true);
+});
@@ -0,0 +1,87 @@
+// =====================================================================
+//  test/passwordReset.test.js — forgot / reset password, single-use link
+// =====================================================================
+
+process.env.JWT_SECRET ||= "test-secret";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createPasswordReset } = require("../Auth/passwordReset");
+const { createUserStore } = require("../Auth/userStore");
+const { createSessionStore } = require("../Auth/sessions");
+const { passwordHasher } = require("../Auth/passwordHasher");
+const { startApp, captureLinks, flush, postJson } = require("./helpers");
+
+const NEW_PASSWORD = "Tr0mbone-Galaxy";
+
+const setup = async (t) => {
+    const users = createUserStore();
+    const sessions = createSessionStore();
+    const user = await users.create({ name: "Ujjwal", email: "u@test.com", passwordHash: await passwordHasher.hash("Old#Pass123") });
+    const passwordReset = createPasswordReset({ users, sessions });
+    const url = await startApp(t, (app) => app.use("/auth", passwordReset.router));
+    return { users, sessions, user, passwordReset, url: `${url}/auth` };
+};
+
+const tokenOf = (link) => new URL(link).searchParams.get("token");
+
+test("forgot-password answers the same for known and unknown emails", async (t) => {
+    const links = captureLinks(t);
+    const { url } = await setup(t);
+
+    const known = await postJson(`${url}/forgot-password`, { email: "U@Test.com" });
+    const unknown = await postJson(`${url}/forgot-password`, { email: "nobody@test.com" });
+
+    assert.deepEqual(await known.json(), await unknown.json());
+    await flush();
+    assert.equal(links.length, 1);
+
+    // Same email turant dobara → 429
+    assert.equal((await postJson(`${url}/forgot-password`, { email: "u@test.com" })).status, 429);
+});
+
+test("the link resets the password once and logs out every session", async (t) => {
+    const { users, sessions, user, passwordReset, url } = await setup(t);
+    const { session } = await sessions.create(user.id);
+    const token = tokenOf(await passwordReset.createResetLink(user));
+
+    assert.equal((await fetch(`${url}/reset-password?token=${token}`)).status, 200);
+
+    const res = await postJson(`${url}/reset-password`, { token, password: NEW_PASSWORD });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).sessionsRevoked, 1);
+    assert.equal(await sessions.isActive(session.id), false);
+
+    const updated = await users.findById(user.id);
+    assert.equal(await passwordHasher.verify(NEW_PASSWORD, updated.passwordHash), true);
+    assert.equal(updated.passwordReset, null);
+
+    // Dobara same link → bekaar
+    assert.equal((await postJson(`${url}/reset-password`, { token, password: "An0ther-Galaxy" })).status, 400);
+});
+
+test("a weak password keeps the link valid, a new link kills the old one", async (t) => {
+    const { user, passwordReset, url } = await setup(t);
+    const first = tokenOf(await passwordReset.createResetLink(user));
+
+    const weak = await postJson(`${url}/reset-password`, { token: first, password: "short" });
+    assert.equal(weak.status, 400);
+    assert.ok((await weak.json()).errors.length > 0);
+    assert.equal((await fetch(`${url}/reset-password?token=${first}`)).status, 200);
+
+    await passwordReset.createResetLink(user);
+    assert.equal((await fetch(`${url}/reset-password?token=${first}`)).status, 400);
+});
+
+test("expired, tampered and malformed tokens are rejected", async (t) => {
+    const { users, user, passwordReset, url } = await setup(t);
+    const token = tokenOf(await passwordReset.createResetLink(user));
+
+    assert.equal((await fetch(`${url}/reset-password?token=${token}x`)).status, 400);
+    assert.equal((await fetch(`${url}/reset-password?token=no-dot`)).status, 400);
+    assert.equal((await fetch(`${url}/reset-password`)).status, 400);
+
+    const { passwordReset: reset } = await users.findById(user.id);
+    await users.update(user.id, { passwordReset: { ...reset, expiresAt: new Date(Date.now() - 1000) } });
+    assert.equal((await fetch(`${url}/reset-password?token=${token}`)).status, 400);
+});
@@ -0,0 +1,49 @@
+// =====================================================================
+//  test/permissions.test.js — roles → permissions, own vs any, wildcards
+// =====================================================================
+
+process.env.JWT_SECRET ||= "test-secret";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { hasPermission, permissionsForRoles } = require("../Auth/permissions");
+const { requirePermission } = require("../Auth/middleware");
+
+// Middleware ko chalao → status (next() hua to 200)
+const run = async (middleware, req) => {
+    let status = 200;
+    const res = { status(code) { status = code; return this; }, json() { return this; } };
+    await middleware(req, res, () => {});
+    return status;
+};
+
+test("own permissions need ownership, any permissions don't", () => {
+    assert.equal(hasPermission(["user"], "users:update", { isOwner: true }), true);
+    assert.equal(hasPermission(["user"], "users:update"), false);
+    assert.equal(hasPermission(["user"], "users:update:any", { isOwner: true }), false);
+    assert.equal(hasPermission(["user"], "posts:read"), true);
+    assert.equal(hasPermission(["moderator"], "users:read"), true);
+});
+
+test("wildcards: posts:* and *", () => {
+    assert.equal(hasPermission(["moderator"], "posts:delete:any"), true);
+    assert.equal(hasPermission(["moderator"], "users:delete:any"), false);
+    assert.equal(hasPermission(["admin"], "anything:at:all"), true);
+    assert.equal(hasPermission(["user"], "profile:update", { isOwner: true }), true);
+});
+
+test("unknown roles grant nothing, roles add up", () => {
+    assert.deepEqual(permissionsForRoles(["hacker"]), []);
+    assert.equal(hasPermission(["hacker"], "posts:read"), false);
+    assert.equal(hasPermission(["user", "moderator"], "users:read"), true);
+});
+
+test("requirePermission with an owner check", async () => {
+    const canUpdate = requirePermission("users:update", { owner: (req) => req.params.id });
+    const user = { roles: ["user"] };
+
+    assert.equal(await run(canUpdate, { user, userId: "1", params: { id: "1" } }), 200);
+    assert.equal(await run(canUpdate, { user, userId: "1", params: { id: "2" } }), 403);
+    assert.equal(await run(canUpdate, { user: { roles: ["admin"] }, userId: "1", params: { id: "2" } }), 200);
+    assert.equal(await run(canUpdate, { params: { id: "1" } }), 401);
+});
@@ -0,0 +1,88 @@
+// =====================================================================
+//  test/sessions.test.js — refresh token rotation + reuse detection, session list
+// =====================================================================
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createSessionStore, toPublicSession, describeDevice } = require("../Auth/sessions");
+
+test("refresh rotates the token and the old one stops working", async () => {
+    const sessions = createSessionStore();
+    const { refreshToken } = await sessions.create("user-1", { userAgent: "curl/8.0" });
+
+    const rotated = await sessions.rotate(refreshToken);
+    assert.ok(rotated.refreshToken);
+    assert.notEqual(rotated.refreshToken, refreshToken);
+    assert.equal(rotated.session.userId, "user-1");
+});
+
+test("reusing a rotated refresh token revokes the whole session", async () => {
+    const sessions = createSessionStore();
+    const { session, refreshToken } = await sessions.create("user-1");
+    const { refreshToken: current } = await sessions.rotate(refreshToken);
+
+    // Chor ne purana token use kiya
+    assert.deepEqual(await sessions.rotate(refreshToken), { error: "REUSED" });
+    assert.equal(await sessions.isActive(session.id), false);
+
+    // Asli user ka naya token bhi ab bekaar
+    assert.deepEqual(await sessions.rotate(current), { error: "REVOKED" });
+});
+
+test("expired and malformed refresh tokens are rejected", async () => {
+    const sessions = createSessionStore({ refreshTtlMs: -1 });
+    const { session, refreshToken } = await sessions.create("user-1");
+
+    assert.deepEqual(await sessions.rotate(refreshToken), { error: "EXPIRED" });
+    assert.equal(await sessions.isActive(session.id), false);
+    assert.deepEqual(await sessions.rotate("not-a-token"), { error: "INVALID" });
+});
+
+test("revokeAll logs out every session of one user only", async () => {
+    const sessions = createSessionStore();
+    const a = await sessions.create("user-1");
+    const b = await sessions.create("user-1");
+    const other = await sessions.create("user-2");
+
+    assert.equal(await sessions.revokeAll("user-1"), 2);
+    assert.equal(await sessions.isActive(a.session.id), false);
+    assert.equal(await sessions.isActive(b.session.id), false);
+    assert.equal(await sessions.isActive(other.session.id), true);
+});
+
+test("logout finds the session by its current refresh token only", async () => {
+    const sessions = createSessionStore();
+    const { session, refreshToken } = await sessions.create("user-1");
+
+    assert.equal((await sessions.findByRefreshToken(refreshToken)).id, session.id);
+    assert.equal(await sessions.findByRefreshToken(`${session.id}.guessed`), null);
+    assert.equal(await sessions.findByRefreshToken(undefined), null);
+
+    // Rotate ke baad purana token → kuch nahi milta
+    const { refreshToken: current } = await sessions.rotate(refreshToken);
+    assert.equal(await sessions.findByRefreshToken(refreshToken), null);
+
+    await sessions.revoke((await sessions.findByRefreshToken(current)).id);
+    assert.equal(await sessions.isActive(session.id), false);
+});
+
+test("session list: only live sessions, latest first, no refresh hash", async () => {
+    const sessions = createSessionStore();
+    const phone = await sessions.create("user-1", { userAgent: "Mozilla/5.0 (Linux; Android 14) Chrome/130.0", ip: "10.0.0.2" });
+    const laptop = await sessions.create("user-1", { userAgent: "Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) Firefox/130.0" });
+    const old = await sessions.create("user-1");
+    await sessions.create("user-2");
+
+    await sessions.revoke(old.session.id);
+    phone.session.lastSeenAt = new Date(Date.now() + 1000);
+
+    const list = (await sessions.listForUser("user-1")).map((s) => toPublicSession(s, laptop.session.id));
+    assert.deepEqual(list.map((s) => [s.device, s.current]), [["Chrome on Android", false], ["Firefox on macOS", true]]);
+    assert.ok(list.every((s) => s.refreshHash === undefined));
+});
+
+test("device names from user agents", () => {
+    assert.equal(describeDevice("Mozilla/5.0 (Windows NT 10.0) Chrome/130.0 Safari/537.36 Edg/130.0"), "Edge on Windows");
+    assert.equal(describeDevice("PostmanRuntime/7.39"), "Postman");
+    assert.equal(describeDevice(""), "Unknown device");
+});
@@ -0,0 +1,46 @@
+// =====================================================================
+//  test/totp.test.js — RFC 6238 codes, time window, replay
+// =====================================================================
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { generateTotp, verifyTotp, base32Encode, base32Decode } = require("../Auth/totp");
+
+// RFC 6238 Appendix B ka SHA-1 secret ("12345678901234567890")
+const SECRET = base32Encode(Buffer.from("12345678901234567890"));
+const STEP_MS = 30 * 1000;
+
+test("matches the RFC 6238 test vectors (last 6 digits)", () => {
+    assert.equal(generateTotp(SECRET, 59 * 1000), "287082");
+    assert.equal(generateTotp(SECRET, 1111111109 * 1000), "081804");
+    assert.equal(generateTotp(SECRET, 2000000000 * 1000), "279037");
+});
+
+test("base32 round-trips", () => {
+    assert.equal(base32Decode(SECRET).toString(), "12345678901234567890");
+});
+
+test("accepts one step of clock drift either way, not two", () => {
+    const now = 1_700_000_000_000;
+    const code = (offsetSteps) => generateTotp(SECRET, now + offsetSteps * STEP_MS);
+
+    assert.notEqual(verifyTotp(SECRET, code(0), { now }), null);
+    assert.notEqual(verifyTotp(SECRET, code(-1), { now }), null);
+    assert.notEqual(verifyTotp(SECRET, code(1), { now }), null);
+    assert.equal(verifyTotp(SECRET, code(-2), { now }), null);
+    assert.equal(verifyTotp(SECRET, code(2), { now }), null);
+});
+
+test("a used step cannot be replayed", () => {
+    const now = 1_700_000_000_000;
+    const step = verifyTotp(SECRET, generateTotp(SECRET, now), { now });
+
+    assert.equal(verifyTotp(SECRET, generateTotp(SECRET, now), { now, afterStep: step }), null);
+    assert.equal(verifyTotp(SECRET, generateTotp(SECRET, now - STEP_MS), { now, afterStep: step }), null);
+});
+
+test("rejects anything that is not six digits", () => {
+    for (const code of ["", "12345", "1234567", "abcdef", undefined]) {
+        assert.equal(verifyTotp(SECRET, code), null);
+    }
+});
@@ -190,11 +190,60 @@ const sendOtpEmail = async (to, otp) => {
     return await sesClient.send(command);
 };
 
+// =====================================================================
+//  Function 4: Send an email with an ACTION LINK
+// =====================================================================
+//  Verify email, reset password, "ye aap the?" alerts...
+//  → Button + plain link (kuch email apps buttons nahi dikhate)
+//  📌 Link mein token hota hai → link hi password jaisa hai, log mat karo!
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const sendLinkEmail = async (to, subject, { heading, message, buttonText, link, footer }) => {
+    const htmlBody = `
+    <div style="font-family: Arial; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <h2 style="color: #333;">${escapeHtml(heading)}</h2>
+      <p style="font-size: 14px; color: #666;">${escapeHtml(message)}</p>
+      <a href="${escapeHtml(link)}"
+         style="display: inline-block; background: #667eea; color: white;
+                padding: 12px 30px; text-decoration: none; border-radius: 5px;
+                margin-top: 15px;">
+        ${escapeHtml(buttonText)}
+      </a>
+      <p style="font-size: 12px; color: #999; margin-top: 30px;">
+        Button not working? Open this link: ${escapeHtml(link)}
+      </p>
+      ${footer ? `<p style="font-size: 12px; color: #999;">${escapeHtml(footer)}</p>` : ""}
+    </div>
+  `;
+
+    const params = {
+        Source: "your-verified-email@example.com",
+        Destination: { ToAddresses: [to] },
+        Message: {
+            Subject: { Data: subject, Charset: "UTF-8" },
+            Body: {
+                Html: { Data: htmlBody, Charset: "UTF-8" },
+                Text: { Data: `${heading}\n\n${message}\n\n${link}${footer ? `\n\n${footer}` : ""}`, Charset: "UTF-8" },
+            },
+        },
+    };
+
+    const command = new SendEmailCommand(params);
+    return await sesClient.send(command);
+};
+
+// Dusri files bhi yahi helpers use karein
+// (Season 2 auth emails ka apna copy hai → Practicing Season 2/Auth/sesMailer.js)
+module.exports = { sendSimpleEmail, sendHtmlEmail, sendOtpEmail, sendLinkEmail };
+
 // =====================================================================
 //  USE WITH EXPRESS (in your routes)
 // =====================================================================
 
 const express = require("express");
+const mongoose = require("mongoose");
+const { issueOtp, cancelOtp, verifyOtp } = require("./OTP/otpService");
 const app = express();
 app.use(express.json());
 
@@ -215,25 +264,93 @@ app.post("/api/signup", async (req, res) => {
 });
 
 // Send OTP
+// OTP/otpService.js → CSPRNG code, DB mein HASH save (10 min), rate limited
 app.post("/api/send-otp", async (req, res) => {
     try {
         const { email } = req.body;
+        if (!email) {
+            return res.status(400).json({ success: false, message: "Email is required" });
+        }
 
-        // Generate 6-digit OTP
-        const otp = Math.floor(100000 + Math.random() * 900000);
+        const result = await issueOtp(email);
 
-        // In real app: Save OTP to DB with expiry time
-        // await OTP.create({ email, otp, expiresAt: Date.now() + 10*60*1000 });
+        // Bahut jaldi dobara maanga / lock hai → 429 + kitni der baad
+        if (result.error) {
+            res.set("Retry-After", String(result.retryAfterSeconds));
+            return res.status(429).json({
+                success: false,
+                message: result.error === "LOCKED"
+                    ? "Too many wrong attempts, try again later"
+                    : "Please wait before requesting another OTP",
+                retryAfterSeconds: result.retryAfterSeconds,
+            });
+        }
 
-        await sendOtpEmail(email, otp);
+        // Email nahi gaya → OTP + send count rollback, warna user bina code ke rate-limited
+        try {
+            await sendOtpEmail(email, result.code);
+        } catch (error) {
+            console.error("❌ OTP email failed:", error.message);
+            await cancelOtp(email, result);
+            // AWS ka error message client ko nahi (config / account details leak)
+            return res.status(502).json({ success: false, message: "Could not send the OTP email, please try again" });
+        }
 
         res.json({ success: true, message: "OTP sent to " + email });
     } catch (error) {
-        res.status(500).json({ success: false, message: error.message });
+        console.error("❌ Send OTP failed:", error.message);
+        res.status(500).json({ success: false, message: "Something went wrong, please try again" });
     }
 });
 
-app.listen(3000, () => console.log("🚀 Server running on port 3000"));
+// Verify OTP
+// 5 galat attempts → OTP khatam + 15 min lock
+app.post("/api/verify-otp", async (req, res) => {
+    try {
+        const { email, otp } = req.body;
+        if (!email || !otp) {
+            return res.status(400).json({ success: false, message: "Email and OTP are required" });
+        }
+
+        const result = await verifyOtp(email, otp);
+
+        if (result.ok) {
+            // In real app: user ko verified mark karo / login karao
+            return res.json({ success: true, message: "OTP verified ✅" });
+        }
+
+        if (result.error === "LOCKED") {
+            res.set("Retry-After", String(result.retryAfterSeconds));
+            return res.status(429).json({
+                success: false,
+                message: "Too many wrong attempts, request a new OTP later",
+                retryAfterSeconds: result.retryAfterSeconds,
+            });
+        }
+
+        res.status(400).json({
+            success: false,
+            message: result.error === "EXPIRED" ? "OTP has expired, request a new one" : "Invalid OTP",
+            ...(result.attemptsLeft > 0 && { attemptsLeft: result.attemptsLeft }),
+        });
+    } catch (error) {
+        console.error("❌ Verify OTP failed:", error.message);
+        res.status(500).json({ success: false, message: "Something went wrong, please try again" });
+    }
+});
+
+// Sirf "node Episode04_..." chalane pe server start ho
+// require() karne pe sirf helpers milein, server nahi
+// OTPs MongoDB mein save hote hain → pehle DB connect
+if (require.main === module) {
+    mongoose.connect(process.env.MONGO_URI).then(() => {
+        app.listen(3000, () => console.log("🚀 Server running on port 3000"));
+    }).catch((error) => {
+        // Warna unhandled rejection → process bina saaf message ke mar jaata hai
+        console.error("❌ MongoDB connection failed:", error.message);
+        process.exit(1);
+    });
+}
 
 // =====================================================================
 //  🧠 IMPORTANT CONCEPTS:
@@ -253,11 +370,17 @@ app.listen(3000, () => console.log("🚀 Server running on port 3000"));
 //     → If too many emails bounce (invalid address), AWS suspends you
 //     → Keep bounce rate < 5%, complaint rate < 0.1%
 //
-//  4. NEVER hardcode AWS credentials in code!
+//  4. OTP rules:
+//     → crypto.randomInt() (CSPRNG), NOT Math.random()
+//     → DB mein sirf hash, 10 min expiry, ek hi baar use
+//     → Attempt limit + lockout, resend rate limit
+//     → Expired OTPs ka cleanup → Episode06 cron job
+//
+//  5. NEVER hardcode AWS credentials in code!
 //     → Use environment variables (.env file)
 //     → Or IAM Roles (if running on EC2 — best practice)
 //
-//  5. Email goes to spam? Common fixes:
+//  6. Email goes to spam? Common fixes:
 //     → Verify your domain (not just email)
 //     → Set up SPF, DKIM, DMARC records
 //     → Use a professional "From" address
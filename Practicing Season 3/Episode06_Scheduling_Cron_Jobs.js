@@ -26,6 +26,8 @@
 // =====================================================================
 
 const cron = require("node-cron");
+const mongoose = require("mongoose");
+const { purgeExpiredOtps } = require("./OTP/otpService");
 
 // =====================================================================
 //  CRON EXPRESSION FORMAT
@@ -79,17 +81,22 @@ cron.schedule("* * * * *", () => {
 //  EXAMPLE 2: Clean up expired OTPs every 10 minutes
 // =====================================================================
 
-cron.schedule("*/10 * * * *", async () => {
+// OTP/otpService.js → expire hue codes hatao + purane documents delete
+const cleanupOtps = async () => {
     console.log("🧹 Cleaning expired OTPs...");
 
-    // In real app with MongoDB:
-    // const result = await OTP.deleteMany({
-    //   expiresAt: { $lt: new Date() }  // Delete where expiry < current time
-    // });
-    // console.log(`Deleted ${result.deletedCount} expired OTPs`);
+    try {
+        const { expired, deleted } = await purgeExpiredOtps();
+        console.log(`✅ OTP cleanup done! Expired codes removed: ${expired}, documents deleted: ${deleted}`);
+        return { expired, deleted };
+    } catch (error) {
+        // Cron ke andar error → log karo, warna chupchap fail hoga
+        console.error("❌ OTP cleanup failed:", error.message);
+        throw error;
+    }
+};
 
-    console.log("✅ OTP cleanup done!");
-});
+cron.schedule("*/10 * * * *", () => cleanupOtps().catch(() => {}));
 
 // =====================================================================
 //  EXAMPLE 3: Send daily report at 9 AM
@@ -207,10 +214,10 @@ const express = require("express");
 const app = express();
 
 // API to manually trigger a cron job
-app.post("/api/admin/trigger-cleanup", (req, res) => {
+app.post("/api/admin/trigger-cleanup", async (req, res) => {
     console.log("🧹 Manual cleanup triggered!");
-    // Run the cleanup logic...
-    res.json({ success: true, message: "Cleanup triggered" });
+    const result = await cleanupOtps(); // Same logic as the cron job
+    res.json({ success: true, message: "Cleanup done", ...result });
 });
 
 // API to check scheduled jobs status
@@ -227,9 +234,15 @@ app.get("/api/admin/cron-status", (req, res) => {
     });
 });
 
-app.listen(3000, () => {
-    console.log("🚀 Server running on port 3000");
-    console.log("📅 All cron jobs are active!\n");
+// OTP cleanup ko MongoDB chahiye
+mongoose.connect(process.env.MONGO_URI).then(() => {
+    app.listen(3000, () => {
+        console.log("🚀 Server running on port 3000");
+        console.log("📅 All cron jobs are active!\n");
+    });
+}).catch((error) => {
+    console.error("❌ MongoDB connection failed:", error.message);
+    process.exit(1);
 });
 
 // =====================================================================
@@ -0,0 +1,242 @@
+// =====================================================================
+//  OTP/otpService.js — OTP BHEJO, SAVE KARO, VERIFY KARO
+// =====================================================================
+//
+//  Episode04 ka purana /api/send-otp:
+//  → Math.random() se OTP (predictable! ❌)
+//  → Email bheja aur bhool gaye → verify kaise karein? ❌
+//
+//  Ye service:
+//  → crypto.randomInt() = CSPRNG → guess nahi ho sakta
+//  → MongoDB mein save, par sirf HASH (DB leak → OTP nahi milega)
+//  → 10 minute TTL
+//  → 5 galat attempts → OTP khatam + 15 min LOCKOUT
+//  → Resend rate limit: 1 per minute, max 5 per hour
+//  → purgeExpiredOtps() → Episode06 ka cron job isse chalata hai
+//
+//  const { issueOtp, verifyOtp, purgeExpiredOtps } = require("./OTP/otpService");
+//  const issued = await issueOtp(email);                 → issued.code email mein bhejo
+//  email fail? → await cancelOtp(email, issued);         → code + send count wapas
+//  const result = await verifyOtp(email, req.body.otp);  → { ok } ya { error }
+//
+//  📌 6-digit OTP = sirf 10 lakh combinations → plain SHA-256 hash
+//     offline brute-force ho jaayega. Isliye HMAC + server secret
+//     (OTP_SECRET) → secret ke bina hash bekaar.
+//
+// =====================================================================
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const OTP_TTL_MS = 10 * 60 * 1000;       // 10 minutes
+const MAX_ATTEMPTS = 5;                  // Galat OTP kitni baar
+const LOCKOUT_MS = 15 * 60 * 1000;       // Phir kitni der lock
+const RESEND_INTERVAL_MS = 60 * 1000;    // Do OTPs ke beech gap
+const MAX_SENDS_PER_HOUR = 5;
+const HOUR_MS = 60 * 60 * 1000;
+
+const OTP_SECRET = process.env.OTP_SECRET || crypto.randomBytes(32).toString("hex"); // .env mein rakhna!
+
+// =====================================================================
+//  OTP MODEL — ek document per (email, purpose)
+// =====================================================================
+
+const otpSchema = new mongoose.Schema({
+    email: { type: String, required: true, lowercase: true, trim: true },
+    purpose: { type: String, default: "verify-email" }, // "login", "reset-password", ...
+    codeHash: String,                                   // Use ho gaya / lock → unset
+    expiresAt: Date,
+    attempts: { type: Number, default: 0 },
+    lockedUntil: Date,
+    sentAt: [Date],                                     // Last 1 hour ke sends (rate limit)
+    keepUntil: { type: Date, required: true },          // Iske baad cron delete karega
+});
+
+otpSchema.index({ email: 1, purpose: 1 }, { unique: true });
+otpSchema.index({ keepUntil: 1 });
+
+const OTP = mongoose.model("OTP", otpSchema);
+
+// =====================================================================
+//  HELPERS
+// =====================================================================
+
+const normalize = (email) => String(email || "").trim().toLowerCase();
+
+const hashCode = (email, purpose, code) =>
+    crypto.createHmac("sha256", OTP_SECRET).update(`${email}:${purpose}:${code}`).digest("hex");
+
+const sameHash = (a, b) => crypto.timingSafeEqual(Buffer.from(a, "hex"), Buffer.from(b, "hex"));
+
+// 000000 - 999999, hamesha 6 digits
+const generateCode = () => String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+
+const retryAfter = (date) => Math.ceil((date.getTime() - Date.now()) / 1000);
+
+// Document tab tak rakho jab tak code, lock ya rate-limit window chal rahi hai
+const keepUntilFor = ({ expiresAt, lockedUntil, sentAt = [] }) => new Date(Math.max(
+    expiresAt ? expiresAt.getTime() : 0,
+    lockedUntil ? lockedUntil.getTime() : 0,
+    sentAt.length > 0 ? sentAt[sentAt.length - 1].getTime() + HOUR_MS : 0,
+));
+
+// =====================================================================
+//  issueOtp(email) → { code, expiresAt } ya { error, retryAfterSeconds }
+//  error: "LOCKED" | "RATE_LIMITED"
+// =====================================================================
+
+// Kyun nahi bana? → LOCKED ya RATE_LIMITED, kitni der baad try kare
+const whyNotIssued = (existing, now) => {
+    if (existing?.lockedUntil > now) {
+        return { error: "LOCKED", retryAfterSeconds: retryAfter(existing.lockedUntil) };
+    }
+
+    const recentSends = (existing?.sentAt || []).filter((t) => now - t < HOUR_MS);
+    const last = recentSends[recentSends.length - 1];
+    if (recentSends.length >= MAX_SENDS_PER_HOUR) {
+        return { error: "RATE_LIMITED", retryAfterSeconds: retryAfter(new Date(recentSends[0].getTime() + HOUR_MS)) };
+    }
+    // Minute wala gap (ya beech mein kisi aur request ne abhi bheja) → 1 min ruko
+    const nextSend = last ? last.getTime() + RESEND_INTERVAL_MS : now.getTime() + RESEND_INTERVAL_MS;
+    return { error: "RATE_LIMITED", retryAfterSeconds: Math.max(1, retryAfter(new Date(nextSend))) };
+};
+
+const issueOtp = async (rawEmail, purpose = "verify-email") => {
+    const email = normalize(rawEmail);
+    const now = new Date();
+    const minuteAgo = new Date(now.getTime() - RESEND_INTERVAL_MS);
+    const hourAgo = new Date(now.getTime() - HOUR_MS);
+
+    // Naya OTP → purana apne aap replace, attempts reset
+    const code = generateCode();
+    const expiresAt = new Date(now.getTime() + OTP_TTL_MS);
+
+    // Lock + rate limit check aur naya code ek hi atomic update mein
+    // → 10 parallel requests bhi 1 minute mein 1 se zyada OTP nahi bana sakti
+    // sentAt: sirf last MAX_SENDS_PER_HOUR rakho, ghante ke andar wale gino
+    try {
+        await OTP.findOneAndUpdate(
+            {
+                email,
+                purpose,
+                $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: { $lte: now } }],
+                sentAt: { $not: { $gt: minuteAgo } },
+                $expr: {
+                    $lt: [
+                        { $size: { $filter: { input: { $ifNull: ["$sentAt", []] }, cond: { $gt: ["$$this", hourAgo] } } } },
+                        MAX_SENDS_PER_HOUR,
+                    ],
+                },
+            },
+            {
+                $set: { codeHash: hashCode(email, purpose, code), expiresAt, attempts: 0, keepUntil: keepUntilFor({ expiresAt, sentAt: [now] }) },
+                $unset: { lockedUntil: 1 },
+                $push: { sentAt: { $each: [now], $slice: -MAX_SENDS_PER_HOUR } },
+            },
+            { upsert: true },
+        );
+    } catch (error) {
+        // Document hai par condition fail → upsert naya insert karna chahta hai
+        // → unique index (email, purpose) pe duplicate key = lock / rate limit
+        if (error.code !== 11000) throw error;
+        return whyNotIssued(await OTP.findOne({ email, purpose }), now);
+    }
+
+    return { code, expiresAt, issuedAt: now };
+};
+
+// =====================================================================
+//  cancelOtp(email, { code, issuedAt }) → email nahi gaya to rollback
+// =====================================================================
+//  Code kisi ko mila hi nahi → valid mat rakho, aur ye send rate limit
+//  mein mat gino (warna user ko 1 min / 5 per hour ka wait bina email ke)
+//  📌 codeHash match pe hi → beech mein naya OTP bana ho to wo bacha rahe
+
+const cancelOtp = async (rawEmail, { code, issuedAt }, purpose = "verify-email") => {
+    const email = normalize(rawEmail);
+    await OTP.updateOne(
+        { email, purpose, codeHash: hashCode(email, purpose, code) },
+        { $unset: { codeHash: 1, expiresAt: 1 }, $pull: { sentAt: issuedAt } },
+    );
+};
+
+// =====================================================================
+//  verifyOtp(email, code) → { ok: true } ya { error, ... }
+//  error: "INVALID" (+ attemptsLeft) | "EXPIRED" | "LOCKED" (+ retryAfterSeconds)
+// =====================================================================
+
+const verifyOtp = async (rawEmail, code, purpose = "verify-email") => {
+    const email = normalize(rawEmail);
+    const now = new Date();
+
+    // Pehle attempt COUNT karo (atomic $inc), phir compare
+    // → 100 parallel requests bhi MAX_ATTEMPTS se zyada try nahi kar sakti
+    const doc = await OTP.findOneAndUpdate(
+        {
+            email,
+            purpose,
+            codeHash: { $exists: true },
+            expiresAt: { $gt: now },
+            attempts: { $lt: MAX_ATTEMPTS },
+            $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: { $lte: now } }],
+        },
+        { $inc: { attempts: 1 } },
+        { returnDocument: "after" }, // Updated document (attempts +1 ke baad)
+    );
+
+    if (!doc) {
+        // Kyun nahi mila? Sahi error batao
+        const existing = await OTP.findOne({ email, purpose });
+        if (existing?.lockedUntil > now) {
+            return { error: "LOCKED", retryAfterSeconds: retryAfter(existing.lockedUntil) };
+        }
+        if (existing?.codeHash && existing.expiresAt <= now) return { error: "EXPIRED" };
+        return { error: "INVALID", attemptsLeft: 0 };
+    }
+
+    if (/^\d{6}$/.test(String(code)) && sameHash(hashCode(email, purpose, String(code)), doc.codeHash)) {
+        // Single use → codeHash hatao (same hash wala hi → dusri request pehle use na kar chuki ho)
+        const consumed = await OTP.findOneAndUpdate(
+            { _id: doc._id, codeHash: doc.codeHash },
+            { $unset: { codeHash: 1, expiresAt: 1 }, $set: { attempts: 0 } },
+        );
+        return consumed ? { ok: true } : { error: "INVALID", attemptsLeft: 0 };
+    }
+
+    // Galat OTP — limit poori → code khatam + lockout
+    if (doc.attempts >= MAX_ATTEMPTS) {
+        const lockedUntil = new Date(now.getTime() + LOCKOUT_MS);
+        await OTP.updateOne(
+            { _id: doc._id },
+            {
+                $set: { lockedUntil, keepUntil: keepUntilFor({ lockedUntil, sentAt: doc.sentAt }) },
+                $unset: { codeHash: 1, expiresAt: 1 },
+            },
+        );
+        return { error: "LOCKED", retryAfterSeconds: retryAfter(lockedUntil) };
+    }
+
+    return { error: "INVALID", attemptsLeft: MAX_ATTEMPTS - doc.attempts };
+};
+
+// =====================================================================
+//  purgeExpiredOtps() → cron job (Episode06)
+//  → { expired: expire hue codes hataye, deleted: poore documents delete }
+// =====================================================================
+
+const purgeExpiredOtps = async () => {
+    const now = new Date();
+
+    // 1. Expire hua code → hash hatao (rate-limit / lock info abhi chahiye)
+    const expired = await OTP.updateMany(
+        { expiresAt: { $lt: now } },
+        { $unset: { codeHash: 1, expiresAt: 1 } },
+    );
+
+    // 2. Jinka kuch bhi kaam ka nahi bacha → poora document delete
+    const deleted = await OTP.deleteMany({ keepUntil: { $lt: now } });
+
+    return { expired: expired.modifiedCount, deleted: deleted.deletedCount };
+};
+
+module.exports = { OTP, issueOtp, cancelOtp, verifyOtp, purgeExpiredOtps, OTP_TTL_MS, MAX_ATTEMPTS };
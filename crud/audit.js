@@ -0,0 +1,95 @@
+const fs = require("fs");
+const path = require("path");
+
+/* =========================
+   AUDIT LOG
+   One entry per changed user:
+   {
+     id: 12,
+     action: "create" | "update" | "delete" | "restore" | "purge",
+     userId: 3,
+     actor: "priya@ops",
+     at: "2026-01-01T10:00:00.000Z",
+     changes: [{ field: "email", before: "a@x.com", after: "b@x.com" }]
+   }
+
+   Entries only ever get appended, never edited.
+   With a file (AUDIT_FILE) they are also appended to disk as
+   NDJSON (one JSON object per line) so history survives restarts.
+========================= */
+
+// Bookkeeping fields every write touches → not interesting in a diff
+const IGNORED_FIELDS = ["version"];
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Field-level diff of two user records (either side may be null)
+const diff = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => !isEqual(before && before[field], after && after[field]))
+    .map(field => ({
+      field,
+      // A missing side is left out of the JSON → "field did not exist"
+      before: before ? before[field] : undefined,
+      after: after ? after[field] : undefined
+    }));
+};
+
+const readEntries = (file) => {
+  try {
+    return fs.readFileSync(file, "utf8").split("\n").filter(Boolean).map(line => JSON.parse(line));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+};
+
+const createAuditLog = ({ file } = {}) => {
+  // Read once at startup (sync is fine here — the server isn't listening yet)
+  const entries = file ? readEntries(file) : [];
+  if (file) fs.mkdirSync(path.dirname(file), { recursive: true });
+  let appendQueue = Promise.resolve();
+
+  const append = (entry) => {
+    appendQueue = appendQueue
+      .then(() => fs.promises.appendFile(file, JSON.stringify(entry) + "\n", "utf8"))
+      .catch(err => console.error("❌ Audit log write failed:", err.message));
+  };
+
+  return {
+    // Plugs straight into the store's onWrite hook
+    record({ action, id, before, after, actor }) {
+      const entry = {
+        id: entries.length + 1,
+        action,
+        userId: id,
+        actor: actor || "anonymous",
+        at: new Date().toISOString(),
+        changes: diff(before, after)
+      };
+
+      entries.push(entry);
+      if (file) append(entry);
+      return entry;
+    },
+
+    // filters: { userId, actor, action, field, from, to } → newest first
+    query(filters = {}) {
+      const { userId, actor, action, field, from, to } = filters;
+
+      return entries
+        .filter(e => userId === undefined || e.userId === userId)
+        .filter(e => !actor || e.actor === actor)
+        .filter(e => !action || e.action === action)
+        .filter(e => !field || e.changes.some(c => c.field === field))
+        .filter(e => !from || e.at >= from)
+        .filter(e => !to || e.at <= to)
+        .reverse();
+    }
+  };
+};
+
+module.exports = createAuditLog;
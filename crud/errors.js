@@ -0,0 +1,14 @@
+/* =========================
+   HTTP ERRORS
+   Throw these from stores / helpers and let the
+   error handler in index.js turn them into a response.
+========================= */
+
+const httpError = (statusCode, message, extra = {}) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  Object.assign(err, extra);
+  return err;
+};
+
+module.exports = { httpError };
@@ -0,0 +1,44 @@
+/* =========================
+   ETAGS (optimistic concurrency)
+   Every user has a `version` that goes up by 1 on each change.
+   ETag = the version in quotes → "3"
+
+   GET    + If-None-Match: "3" → 304 if still at version 3
+   PUT    + If-Match: "3"      → 412 if someone changed it meanwhile
+   DELETE + If-Match: "3"      → same
+
+   If-Match: *  → "any version, as long as the user exists"
+========================= */
+
+const etagFor = (user) => `"${user.version}"`;
+
+// '"3", W/"4"' → ['"3"', 'W/"4"']
+const parseList = (header) => header.split(",").map(tag => tag.trim()).filter(Boolean);
+
+/* =========================
+   ifMatchVersions(header)
+   → undefined      no header / "*" → no version check
+   → [3, 4]         versions the client is OK with
+   Weak tags (W/"3") never match If-Match (strong comparison, RFC 9110)
+========================= */
+const ifMatchVersions = (header) => {
+  if (!header) return undefined;
+
+  const tags = parseList(header);
+  if (tags.includes("*")) return undefined;
+
+  return tags
+    .filter(tag => !tag.startsWith("W/"))
+    .map(tag => Number(tag.replace(/"/g, "")))
+    .filter(Number.isInteger);
+};
+
+// If-None-Match uses weak comparison → W/"3" and "3" are the same
+const noneMatchHit = (header, user) => {
+  if (!header) return false;
+
+  const tags = parseList(header);
+  return tags.includes("*") || tags.some(tag => tag.replace(/^W\//, "") === etagFor(user));
+};
+
+module.exports = { etagFor, ifMatchVersions, noneMatchHit };
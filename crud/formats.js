@@ -0,0 +1,154 @@
+const readline = require("readline");
+
+/* =========================
+   CSV & NDJSON (import / export)
+   Everything here works on streams, one row at a time,
+   so a 100k-row file never has to sit in memory as one string.
+
+   CSV    → header row + one user per line, RFC 4180 quoting
+            ("a, b" and "say ""hi""" are fine, so are newlines inside quotes)
+   NDJSON → one JSON object per line
+========================= */
+
+/* ---------- CSV writing ---------- */
+
+// Spreadsheet apps run cells starting with = + - @ as formulas
+// (CSV injection) → prefix them with ' so they show as plain text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return "";
+
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => values.map(csvCell).join(",") + "\r\n";
+
+// users (any iterable, also async) → "id,name,...\r\n" then one line per user
+async function* toCsv(users, columns) {
+  yield csvLine(columns);
+  for await (const user of users) {
+    yield csvLine(columns.map(column => user[column]));
+  }
+}
+
+async function* toNdjson(users, columns) {
+  for await (const user of users) {
+    const row = {};
+    for (const column of columns) {
+      if (user[column] !== undefined) row[column] = user[column];
+    }
+    yield JSON.stringify(row) + "\n";
+  }
+}
+
+/* ---------- CSV reading ---------- */
+
+// Character-by-character state machine, fed chunk by chunk.
+// Yields each record as an array of strings.
+async function* parseCsvRows(chunks) {
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let quoteSeen = false; // saw a " inside quotes → is it "" (escaped) or the end?
+  let first = true;
+
+  for await (const chunk of chunks) {
+    for (const char of chunk) {
+      if (first) {
+        first = false;
+        if (char === "\uFEFF") continue; // Excel's byte-order mark
+      }
+
+      if (quoteSeen) {
+        quoteSeen = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        inQuotes = false; // That " closed the quoted field → handle char normally
+      }
+
+      if (inQuotes) {
+        if (char === '"') quoteSeen = true;
+        else field += char;
+        continue;
+      }
+
+      if (char === '"' && field === "") {
+        inQuotes = true;
+      } else if (char === ",") {
+        row.push(field);
+        field = "";
+      } else if (char === "\n") {
+        row.push(field);
+        yield row;
+        row = [];
+        field = "";
+      } else if (char !== "\r") {
+        field += char;
+      }
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    yield row;
+  }
+}
+
+/* =========================
+   readCsv(stream) / readNdjson(stream)
+   Async generators of { row, data } or { row, error }
+   row = 1-based data row number (header not counted) so the
+   report can point at the exact line in the spreadsheet
+========================= */
+async function* readCsv(stream) {
+  stream.setEncoding("utf8");
+
+  let header = null;
+  let row = 0;
+
+  for await (const cells of parseCsvRows(stream)) {
+    if (cells.length === 1 && cells[0] === "") continue; // Blank line
+
+    if (!header) {
+      header = cells.map(cell => cell.trim());
+      continue;
+    }
+
+    row++;
+    if (cells.length !== header.length) {
+      yield { row, error: `Expected ${header.length} columns, got ${cells.length}` };
+      continue;
+    }
+
+    const data = {};
+    header.forEach((column, i) => {
+      // Empty cell = field not given; undo the ' added against CSV injection
+      if (cells[i] !== "") data[column] = cells[i].replace(/^'(?=[=+\-@\t\r])/, "");
+    });
+    yield { row, data };
+  }
+}
+
+async function* readNdjson(stream) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let row = 0;
+
+  for await (const line of lines) {
+    if (line.trim() === "") continue;
+
+    row++;
+    try {
+      yield { row, data: JSON.parse(line) };
+    } catch (err) {
+      yield { row, error: `Invalid JSON: ${err.message}` };
+    }
+  }
+}
+
+module.exports = { toCsv, toNdjson, readCsv, readNdjson };
@@ -0,0 +1,46 @@
+const crypto = require("crypto");
+
+/* =========================
+   USER ID STRATEGIES
+   USERS_ID_STRATEGY=sequence (default) → 1, 2, 3 ...
+   USERS_ID_STRATEGY=uuid               → "3b241101-e2bb-4255-8caf-4136c566a962"
+
+   Each strategy knows how to:
+   next(lastId) → generate a fresh id (lastId = highest sequence id
+                  the store has ever handed out, kept by the store)
+   parse(raw)  → turn ":id" from the URL into the stored id type
+   isValid(id) → check an id sent by the client
+   label       → human name of the format, for error messages
+========================= */
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const strategies = {
+  sequence: {
+    label: "positive integer",
+    // The store keeps lastId even after a purge removes the record,
+    // so a purged id is never handed to a new user (its audit history stays its own)
+    next: (lastId) => lastId + 1,
+    parse: (raw) => Number(raw),
+    isValid: (id) => Number.isInteger(id) && id > 0
+  },
+
+  uuid: {
+    label: "UUID",
+    next: () => crypto.randomUUID(),
+    parse: (raw) => String(raw).toLowerCase(),
+    isValid: (id) => typeof id === "string" && UUID_REGEX.test(id)
+  }
+};
+
+const createIdStrategy = (name = process.env.USERS_ID_STRATEGY || "sequence") => {
+  const strategy = strategies[name];
+
+  if (!strategy) {
+    throw new Error(`Unknown USERS_ID_STRATEGY "${name}" (use "sequence" or "uuid")`);
+  }
+
+  return { name, ...strategy };
+};
+
+module.exports = createIdStrategy;
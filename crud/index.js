@@ -1,10 +1,42 @@
 const express = require("express");
+const path = require("path");
+const createStore = require("./store");
+const createIdStrategy = require("./ids");
+const userSchema = require("./userSchema");
+const { validate, validateBody } = require("./validation");
+const { parseListQuery, applyListQuery } = require("./query");
+const { etagFor, ifMatchVersions, noneMatchHit } = require("./etag");
+const { applyJsonPatch, applyMergePatch } = require("./patch");
+const createBulkRouter = require("./routes/bulk");
+const createAuditLog = require("./audit");
+const { createAuditRouter, sendAudit } = require("./routes/audit");
+const createImportExportRouter = require("./routes/importExport");
 const app = express();
 
-app.use(express.json());
+// Bigger limit than the 100kb default so bulk seeding fits in one request
+// application/*+json → also parse json-patch+json & merge-patch+json bodies
+app.use(express.json({ limit: "1mb", type: ["application/json", "application/*+json"] }));
 
-// Temporary database (in-memory)
-let users = [];
+// How user ids look (numeric sequence or UUID) → see ids.js
+const ids = createIdStrategy();
+
+// Who changed what → see audit.js
+// With the file store, the audit log is kept on disk as well
+const audit = createAuditLog({
+  file: process.env.USERS_STORE === "file"
+    ? process.env.AUDIT_FILE || path.join(__dirname, "data", "audit.ndjson")
+    : undefined
+});
+
+// Storage backend (in-memory or JSON file) → see store/index.js
+// Every saved change is reported to the audit log
+const store = createStore({ generateId: ids.next, onWrite: audit.record });
+
+// Actor = who is making the request → X-Actor header (no auth in this demo API)
+app.use((req, res, next) => {
+  req.actor = req.get("X-Actor") || "anonymous";
+  next();
+});
 
 /* =========================
    ROOT ROUTE
@@ -13,110 +45,270 @@ app.get("/", (req, res) => {
   res.send("CRUD API is running 🚀");
 });
 
+/* =========================
+   BULK - POST / PATCH / DELETE /users/bulk
+   Mounted BEFORE /users/:id, otherwise "bulk" would be read as an id
+========================= */
+app.use("/users/bulk", createBulkRouter({ store, ids }));
+
+/* =========================
+   IMPORT / EXPORT - GET /users/export, POST /users/import
+   Also BEFORE /users/:id ("export" is not an id)
+========================= */
+app.use("/users", createImportExportRouter({ store, ids }));
+
+/* =========================
+   AUDIT - GET /audit (all changes, filterable)
+========================= */
+app.use("/audit", createAuditRouter({ audit, ids }));
+
 /* =========================
    CREATE - POST
 ========================= */
-app.post("/users", (req, res) => {
+app.post("/users", validateBody(userSchema, { allow: ["id"] }), async (req, res) => {
   const user = req.body;
 
-  if (!user.id || !user.name || !user.age) {
-    return res.status(400).json({
-      message: "Please provide id, name and age"
-    });
+  // id is optional → server assigns one when it is missing
+  if (user.id !== undefined) {
+    if (!ids.isValid(user.id)) {
+      return res.status(400).json({
+        message: `id must be a valid ${ids.label}`
+      });
+    }
+    user.id = ids.parse(user.id);
   }
 
-  users.push(user);
+  // Throws a 409 if the id is already taken
+  const createdUser = await store.create(user, { actor: req.actor });
 
+  res.set("ETag", etagFor(createdUser));
   res.status(201).json({
     message: "User created successfully ✅",
-    data: user
+    data: createdUser
   });
 });
 
 /* =========================
    READ - GET ALL USERS
+   ?name= &minAge= &maxAge= &sort=age:desc,name:asc &page= &limit=
+========================= */
+app.get("/users", async (req, res) => {
+  const { options, errors } = parseListQuery(req.query);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ message: "Invalid query", errors });
+  }
+
+  const { data, pagination } = applyListQuery(await store.list(), options);
+
+  res.json({ success: true, data, pagination });
+});
+
+/* =========================
+   TRASH - GET SOFT-DELETED USERS
+   Same query params & envelope as GET /users
+   (defined before /users/:id, otherwise "trash" would be read as an id)
 ========================= */
-app.get("/users", (req, res) => {
-  res.json(users);
+app.get("/users/trash", async (req, res) => {
+  const { options, errors } = parseListQuery(req.query);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ message: "Invalid query", errors });
+  }
+
+  const { data, pagination } = applyListQuery(await store.list({ trash: true }), options);
+
+  res.json({ success: true, data, pagination });
 });
 
 /* =========================
    READ - GET SINGLE USER
 ========================= */
-app.get("/users/:id", (req, res) => {
-  const userId = Number(req.params.id);
+app.get("/users/:id", async (req, res) => {
+  const userId = ids.parse(req.params.id);
 
-  const user = users.find(u => u.id === userId);
+  const user = await store.get(userId);
 
   if (!user) {
     return res.status(404).json({ message: "User not found" });
   }
 
+  res.set("ETag", etagFor(user));
+
+  // Client already has this exact version → nothing to send
+  if (noneMatchHit(req.get("If-None-Match"), user)) {
+    return res.status(304).end();
+  }
+
   res.json(user);
 });
 
+/* =========================
+   HISTORY - GET /users/:id/history
+   Every change of one user (also after it was deleted / purged)
+   Same filters as GET /audit, e.g. ?field=email
+========================= */
+app.get("/users/:id/history", (req, res) => {
+  sendAudit(res, audit, req.query, { userId: ids.parse(req.params.id) });
+});
+
 /* =========================
    UPDATE - PUT
+   Send If-Match: "<version>" (the ETag from GET) to avoid
+   overwriting someone else's change → 412 if it changed
 ========================= */
-app.put("/users/:id", (req, res) => {
-  const userId = Number(req.params.id);
+// partial → only the fields sent are checked, but each one must still be valid
+app.put("/users/:id", validateBody(userSchema, { partial: true, allow: ["id"] }), async (req, res) => {
+  const userId = ids.parse(req.params.id);
   const updatedData = req.body;
 
-  let userFound = false;
+  // Throws a 412 if the version doesn't match If-Match
+  const updatedUser = await store.update(userId, updatedData, {
+    versions: ifMatchVersions(req.get("If-Match")),
+    actor: req.actor
+  });
 
-  users = users.map(user => {
-    if (user.id === userId) {
-      userFound = true;
-      return { ...user, ...updatedData };
-    }
-    return user;
+  if (!updatedUser) {
+    return res.status(404).json({ message: "User not found" });
+  }
+
+  res.set("ETag", etagFor(updatedUser));
+  res.json({
+    message: "User updated successfully ✅",
+    data: updatedUser
   });
+});
 
-  if (!userFound) {
+/* =========================
+   PARTIAL UPDATE - PATCH
+   Content-Type: application/json-patch+json  → RFC 6902 operations
+   Content-Type: application/merge-patch+json → RFC 7396 (plain application/json too)
+   Can remove fields & edit array items, which PUT's spread cannot.
+   The patched user must still pass the full schema → 422 otherwise.
+========================= */
+const SERVER_FIELDS = ["id", "version"];
+
+app.patch("/users/:id", async (req, res) => {
+  const userId = ids.parse(req.params.id);
+  const contentType = req.is("application/json-patch+json", "application/merge-patch+json", "application/json");
+
+  if (!contentType) {
+    return res.status(415).json({
+      message: "Use application/json-patch+json or application/merge-patch+json"
+    });
+  }
+
+  const user = await store.get(userId);
+
+  if (!user) {
     return res.status(404).json({ message: "User not found" });
   }
 
+  const versions = ifMatchVersions(req.get("If-Match"));
+  if (versions && !versions.includes(user.version)) {
+    return res.status(412).json({ message: `User has been modified (current version is ${user.version})` });
+  }
+
+  // Throws a 422 naming the failing operation
+  // (merge patch / plain JSON: 400 if the body is not an object of fields)
+  const patched = contentType === "application/json-patch+json"
+    ? applyJsonPatch(user, req.body, { protectedPaths: SERVER_FIELDS.map(f => `/${f}`) })
+    : applyMergePatch(user, req.body);
+
+  if (!patched || typeof patched !== "object" || SERVER_FIELDS.some(f => patched[f] !== user[f])) {
+    return res.status(422).json({ message: `${SERVER_FIELDS.join(" and ")} cannot be changed` });
+  }
+
+  const { value, errors } = validate(userSchema, patched, { allow: SERVER_FIELDS });
+
+  if (errors.length > 0) {
+    return res.status(422).json({ message: "Patched user is invalid", errors });
+  }
+
+  // versions: [user.version] → 412 if someone else wrote in between
+  const updatedUser = await store.update(userId, value, {
+    versions: [user.version],
+    replace: true,
+    actor: req.actor
+  });
+
+  res.set("ETag", etagFor(updatedUser));
   res.json({
-    message: "User updated successfully ✅"
+    message: "User updated successfully ✅",
+    data: updatedUser
   });
 });
 
 /* =========================
    DELETE - DELETE
+   Soft delete by default → user goes to the trash (deletedAt is set)
+   ?purge=true → delete permanently (also works on trashed users)
+   Honours If-Match the same way as PUT
 ========================= */
-app.delete("/users/:id", (req, res) => {
-  const userId = Number(req.params.id);
+app.delete("/users/:id", async (req, res) => {
+  const userId = ids.parse(req.params.id);
 
-  const initialLength = users.length;
-  users = users.filter(user => user.id !== userId);
+  const purge = req.query.purge === "true";
+
+  const deleted = await store.remove(userId, {
+    versions: ifMatchVersions(req.get("If-Match")),
+    purge,
+    actor: req.actor
+  });
 
-  if (users.length === initialLength) {
+  if (!deleted) {
     return res.status(404).json({ message: "User not found" });
   }
 
+  if (purge) {
+    return res.json({ message: "User permanently deleted 🗑️" });
+  }
+
   res.json({
-    message: "User deleted successfully 🗑️"
+    message: "User deleted successfully 🗑️",
+    data: deleted
   });
 });
 
 /* =========================
-   SERVER START
+   RESTORE - POST /users/:id/restore
+   Takes a user back out of the trash
 ========================= */
-app.listen(3000, () => {
-  console.log("Server started on http://localhost:3000");
-});
-// DELETE - DELETE USER
-app.delete("/users/:id", (req, res) => {
-  const userId = Number(req.params.id);
+app.post("/users/:id/restore", async (req, res) => {
+  const userId = ids.parse(req.params.id);
 
-  const initialLength = users.length;
-  users = users.filter(user => user.id !== userId);
+  const restored = await store.restore(userId, {
+    versions: ifMatchVersions(req.get("If-Match")),
+    actor: req.actor
+  });
 
-  if (users.length === initialLength) {
-    return res.status(404).json({ message: "User not found" });
+  if (!restored) {
+    return res.status(404).json({ message: "User not found in trash" });
   }
 
+  res.set("ETag", etagFor(restored));
   res.json({
-    message: "User deleted successfully 🗑️"
+    message: "User restored successfully ♻️",
+    data: restored
   });
-});
\ No newline at end of file
+});
+
+/* =========================
+   ERROR HANDLER
+   Catches errors thrown in any route (e.g. 409 from the store)
+========================= */
+app.use((err, req, res, next) => {
+  const statusCode = err.statusCode || 500;
+  res.status(statusCode).json({
+    message: err.message || "Internal Server Error",
+    ...err.details
+  });
+});
+
+/* =========================
+   SERVER START
+========================= */
+app.listen(3000, () => {
+  console.log("Server started on http://localhost:3000");
+  console.log(`Users store: ${store.name}, ids: ${ids.name}`);
+});
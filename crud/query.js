@@ -0,0 +1,147 @@
+/* =========================
+   LIST QUERY (filter → sort → paginate)
+   GET /users?name=ali&minAge=18&maxAge=30&sort=age:desc,name:asc&page=2&limit=10
+
+   Response envelope is the same one /api/feed uses
+   (Practicing Season 2/Episode14_Feed_API_Pagination.js):
+   { success, data, pagination: { currentPage, totalPages, total, limit, hasNextPage, hasPrevPage } }
+========================= */
+
+const SORTABLE_FIELDS = ["id", "name", "age", "email", "deletedAt"];
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const parsePositiveInt = (raw, field, errors) => {
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 1) {
+    errors.push({ field, rule: "type", message: `${field} must be a positive integer` });
+    return null;
+  }
+  return n;
+};
+
+const parseNumber = (raw, field, errors) => {
+  const n = Number(raw);
+  if (raw === "" || !Number.isFinite(n)) {
+    errors.push({ field, rule: "type", message: `${field} must be a number` });
+    return null;
+  }
+  return n;
+};
+
+// "age:desc,name" → [{ field: "age", direction: -1 }, { field: "name", direction: 1 }]
+const parseSort = (raw, errors) => {
+  return raw.split(",").filter(Boolean).map(part => {
+    const [field, order = "asc"] = part.split(":");
+
+    if (!SORTABLE_FIELDS.includes(field)) {
+      errors.push({ field: "sort", rule: "enum", message: `Cannot sort by "${field}" (allowed: ${SORTABLE_FIELDS.join(", ")})` });
+    }
+    if (order !== "asc" && order !== "desc") {
+      errors.push({ field: "sort", rule: "enum", message: `Sort order for "${field}" must be asc or desc` });
+    }
+
+    return { field, direction: order === "desc" ? -1 : 1 };
+  });
+};
+
+/* =========================
+   parseListQuery(req.query) → { options, errors }
+========================= */
+const parseListQuery = (query) => {
+  const errors = [];
+  const options = { page: 1, limit: DEFAULT_LIMIT, sort: [] };
+
+  for (const [key, raw] of Object.entries(query)) {
+    // ?page=1&page=2 → Express gives an array, which we never expect
+    if (typeof raw !== "string") {
+      errors.push({ field: key, rule: "type", message: `${key} must be given only once` });
+    }
+  }
+  if (errors.length > 0) return { options, errors };
+
+  const { name, minAge, maxAge, sort, page, limit } = query;
+
+  if (name !== undefined) options.name = name.trim().toLowerCase();
+  if (minAge !== undefined) options.minAge = parseNumber(minAge, "minAge", errors);
+  if (maxAge !== undefined) options.maxAge = parseNumber(maxAge, "maxAge", errors);
+  if (sort !== undefined) options.sort = parseSort(sort, errors);
+  if (page !== undefined) options.page = parsePositiveInt(page, "page", errors);
+  if (limit !== undefined) options.limit = parsePositiveInt(limit, "limit", errors);
+
+  if (options.limit > MAX_LIMIT) {
+    errors.push({ field: "limit", rule: "max", message: `limit cannot exceed ${MAX_LIMIT}` });
+  }
+
+  return { options, errors };
+};
+
+const isMissing = (value) => value === undefined || value === null;
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (typeof a === "string" && typeof b === "string") return a.localeCompare(b);
+  return a > b ? 1 : -1;
+};
+
+/* =========================
+   filterAndSort(users, options) → users (no pagination)
+========================= */
+const filterAndSort = (users, options) => {
+  const { name, minAge, maxAge, sort } = options;
+
+  let result = users;
+
+  if (name) {
+    result = result.filter(u => typeof u.name === "string" && u.name.toLowerCase().includes(name));
+  }
+  if (minAge !== undefined) result = result.filter(u => u.age >= minAge);
+  if (maxAge !== undefined) result = result.filter(u => u.age <= maxAge);
+
+  if (sort.length > 0) {
+    result = [...result].sort((a, b) => {
+      for (const { field, direction } of sort) {
+        // Missing values always go last, also when sorting desc
+        if (isMissing(a[field]) || isMissing(b[field])) {
+          if (isMissing(a[field]) !== isMissing(b[field])) return isMissing(a[field]) ? 1 : -1;
+          continue;
+        }
+
+        const diff = compareValues(a[field], b[field]);
+        if (diff !== 0) return diff * direction;
+      }
+      return 0;
+    });
+  }
+
+  return result;
+};
+
+/* =========================
+   applyListQuery(users, options) → { data, pagination }
+========================= */
+const applyListQuery = (users, options) => paginate(filterAndSort(users, options), options.page, options.limit);
+
+/* =========================
+   paginate(items, page, limit) → { data, pagination }
+   Shared by every list endpoint so the envelope is always the same
+========================= */
+const paginate = (items, page, limit) => {
+  const total = items.length;
+  const totalPages = Math.ceil(total / limit);
+  const skip = (page - 1) * limit;
+
+  return {
+    data: items.slice(skip, skip + limit),
+    pagination: {
+      currentPage: page,
+      totalPages,
+      total,
+      limit,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+module.exports = { parseListQuery, applyListQuery, filterAndSort, paginate, parsePositiveInt, DEFAULT_LIMIT, MAX_LIMIT };
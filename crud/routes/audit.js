@@ -0,0 +1,69 @@
+const express = require("express");
+const { paginate, parsePositiveInt, DEFAULT_LIMIT, MAX_LIMIT } = require("../query");
+
+/* =========================
+   AUDIT ROUTES
+   GET /audit                 → every change, newest first
+   GET /users/:id/history     → changes of one user
+
+   Filters: ?actor= &action= &field=email &from=2026-01-01 &to=2026-02-01
+            &page= &limit=   (same envelope as GET /users)
+   e.g. "who changed this email?" → GET /users/3/history?field=email
+========================= */
+
+const ACTIONS = ["create", "update", "delete", "restore", "purge"];
+
+// ?... → { filters, page, limit, errors }
+const parseAuditQuery = (query) => {
+  const errors = [];
+  const { actor, action, field, from, to, page, limit } = query;
+  const filters = { actor, action, field };
+
+  if (action !== undefined && !ACTIONS.includes(action)) {
+    errors.push({ field: "action", rule: "enum", message: `action must be one of: ${ACTIONS.join(", ")}` });
+  }
+
+  for (const [key, raw] of Object.entries({ from, to })) {
+    if (raw === undefined) continue;
+    const date = new Date(raw);
+    if (typeof raw !== "string" || Number.isNaN(date.getTime())) {
+      errors.push({ field: key, rule: "type", message: `${key} must be a date (e.g. 2026-01-31)` });
+    } else {
+      filters[key] = date.toISOString();
+    }
+  }
+
+  const pageNumber = page === undefined ? 1 : parsePositiveInt(page, "page", errors);
+  const limitNumber = limit === undefined ? DEFAULT_LIMIT : parsePositiveInt(limit, "limit", errors);
+  if (limitNumber > MAX_LIMIT) {
+    errors.push({ field: "limit", rule: "max", message: `limit cannot exceed ${MAX_LIMIT}` });
+  }
+
+  return { filters, page: pageNumber, limit: limitNumber, errors };
+};
+
+const sendAudit = (res, audit, query, extraFilters = {}) => {
+  const { filters, page, limit, errors } = parseAuditQuery(query);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ message: "Invalid query", errors });
+  }
+
+  const { data, pagination } = paginate(audit.query({ ...filters, ...extraFilters }), page, limit);
+  res.json({ success: true, data, pagination });
+};
+
+const createAuditRouter = ({ audit, ids }) => {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
+    // ?userId= is only offered here; /users/:id/history fixes it from the URL
+    const { userId, ...query } = req.query;
+    const extra = userId !== undefined ? { userId: ids.parse(userId) } : {};
+    sendAudit(res, audit, query, extra);
+  });
+
+  return router;
+};
+
+module.exports = { createAuditRouter, sendAudit };
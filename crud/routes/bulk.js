@@ -0,0 +1,161 @@
+const express = require("express");
+const userSchema = require("../userSchema");
+const { validate } = require("../validation");
+
+/* =========================
+   BULK ROUTES → mounted at /users/bulk
+   POST   /users/bulk  { items: [{ name, age, ... }] }   → create many
+   PATCH  /users/bulk  { items: [{ id, ...changes }] }   → update many
+   DELETE /users/bulk  { ids: [1, 2, 3] }                → move many to trash
+                                     (?purge=true → delete permanently)
+
+   ?mode=all-or-nothing (default) → one failure = nothing is saved
+   ?mode=best-effort              → every item succeeds or fails on its own
+
+   Every response has one result per item, in request order:
+   { index, id, status, data | message | errors }
+========================= */
+
+const MODES = ["all-or-nothing", "best-effort"];
+const MAX_ITEMS = 1000;
+
+const NOT_APPLIED = {
+  status: 424, // Failed Dependency
+  message: "Not applied because another item in the batch failed"
+};
+
+const createBulkRouter = ({ store, ids }) => {
+  const router = express.Router();
+
+  // Check mode + body shape once, before looking at single items
+  const readBatch = (req, res, key) => {
+    const mode = req.query.mode || "all-or-nothing";
+    const list = req.body && req.body[key];
+
+    if (!MODES.includes(mode)) {
+      res.status(400).json({ message: `mode must be one of: ${MODES.join(", ")}` });
+      return null;
+    }
+    if (!Array.isArray(list) || list.length === 0) {
+      res.status(400).json({ message: `Please provide a non-empty "${key}" array` });
+      return null;
+    }
+    if (list.length > MAX_ITEMS) {
+      res.status(400).json({ message: `A batch cannot have more than ${MAX_ITEMS} items` });
+      return null;
+    }
+
+    return { mode, list };
+  };
+
+  const checkId = (id, { required }) => {
+    if (id === undefined) {
+      return required ? { field: "id", rule: "required", message: "id is required" } : null;
+    }
+    return ids.isValid(id) ? null : { field: "id", rule: "type", message: `id must be a valid ${ids.label}` };
+  };
+
+  /* ---- shared runner ----
+     checked = [{ op } | { invalid }] — one per item, after validation */
+  const runBatch = async (req, res, mode, checked, successStatus) => {
+    const atomic = mode === "all-or-nothing";
+    const hasInvalid = checked.some(c => c.invalid);
+
+    // All-or-nothing with a bad item → don't even touch the store
+    const toRun = atomic && hasInvalid ? [] : checked.filter(c => c.op).map(c => c.op);
+    const { applied, results: storeResults } = await store.bulk(toRun, { atomic, actor: req.actor });
+
+    let next = 0;
+    const results = checked.map((c, index) => {
+      if (c.invalid) {
+        return { index, id: c.id, status: 400, message: "Validation failed", errors: c.invalid };
+      }
+      if (atomic && hasInvalid) return { index, id: c.id, ...NOT_APPLIED };
+
+      const { data, error } = storeResults[next++];
+      if (error) {
+        return { index, id: c.id, status: error.statusCode || 500, message: error.message };
+      }
+      if (!applied) return { index, id: c.id, ...NOT_APPLIED };
+
+      return { index, id: data.id, status: successStatus, data };
+    });
+
+    const succeeded = results.filter(r => r.status === successStatus).length;
+    const failed = results.length - succeeded;
+    const nothingApplied = atomic && failed > 0;
+
+    // 200/201 → everything worked | 207 → mixed (best-effort) | 400 → rolled back
+    const status = failed === 0 ? successStatus : nothingApplied ? 400 : 207;
+
+    res.status(status).json({
+      success: failed === 0,
+      mode,
+      applied: !nothingApplied,
+      summary: { total: results.length, succeeded, failed },
+      results
+    });
+  };
+
+  /* =========================
+     BULK CREATE
+  ========================= */
+  router.post("/", async (req, res) => {
+    const batch = readBatch(req, res, "items");
+    if (!batch) return;
+
+    const checked = batch.list.map(item => {
+      const { value, errors } = validate(userSchema, item, { allow: ["id"] });
+      const idError = item && typeof item === "object" ? checkId(item.id, { required: false }) : null;
+      if (idError) errors.push(idError);
+
+      if (errors.length > 0) return { id: item && item.id, invalid: errors };
+      if (value.id !== undefined) value.id = ids.parse(value.id);
+      return { id: value.id, op: { type: "create", data: value } };
+    });
+
+    await runBatch(req, res, batch.mode, checked, 201);
+  });
+
+  /* =========================
+     BULK UPDATE
+  ========================= */
+  router.patch("/", async (req, res) => {
+    const batch = readBatch(req, res, "items");
+    if (!batch) return;
+
+    const checked = batch.list.map(item => {
+      const { value, errors } = validate(userSchema, item, { partial: true, allow: ["id"] });
+      const idError = item && typeof item === "object" ? checkId(item.id, { required: true }) : null;
+      if (idError) errors.push(idError);
+
+      if (errors.length > 0) return { id: item && item.id, invalid: errors };
+      const { id, ...changes } = value;
+      return { id: ids.parse(id), op: { type: "update", id: ids.parse(id), data: changes } };
+    });
+
+    await runBatch(req, res, batch.mode, checked, 200);
+  });
+
+  /* =========================
+     BULK DELETE
+  ========================= */
+  router.delete("/", async (req, res) => {
+    const batch = readBatch(req, res, "ids");
+    if (!batch) return;
+
+    const purge = req.query.purge === "true";
+
+    const checked = batch.list.map(id => {
+      const idError = checkId(id, { required: true });
+      if (idError) return { id, invalid: [idError] };
+      return { id: ids.parse(id), op: { type: "remove", id: ids.parse(id), purge } };
+    });
+
+    await runBatch(req, res, batch.mode, checked, 200);
+  });
+
+  return router;
+};
+
+module.exports = createBulkRouter;
@@ -0,0 +1,202 @@
+const express = require("express");
+const { pipeline } = require("stream/promises");
+const { Readable, Transform } = require("stream");
+const { httpError } = require("../errors");
+const userSchema = require("../userSchema");
+const { validate } = require("../validation");
+const { parseListQuery, filterAndSort } = require("../query");
+const { toCsv, toNdjson, readCsv, readNdjson } = require("../formats");
+
+/* =========================
+   IMPORT / EXPORT → mounted at /users
+   GET  /users/export?format=csv|ndjson   (+ the same filters/sort as GET /users)
+   POST /users/import?format=csv|ndjson   (or Content-Type: text/csv / application/x-ndjson)
+
+   Export streams row by row instead of building one big string,
+   reading the store one page at a time (store.pages).
+   Import checks every row on its own: bad rows are reported,
+   good rows are saved — one bad row never aborts the whole file.
+   Files over MAX_IMPORT_BYTES / MAX_IMPORT_ROWS → 413; when that is
+   only noticed mid-file, the rows before the limit stay imported
+   and the response says where it stopped.
+========================= */
+
+const FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", write: toCsv, read: readCsv },
+  ndjson: { contentType: "application/x-ndjson; charset=utf-8", write: toNdjson, read: readNdjson }
+};
+
+// Valid rows are saved in batches → one disk write per batch, not per row
+const BATCH_SIZE = 500;
+
+const MAX_IMPORT_BYTES = 10 * 1024 * 1024; // 10 MB
+const MAX_IMPORT_ROWS = 50000;
+
+// Passes the upload through, erroring once it grows past maxBytes
+// (Content-Length can be missing or wrong, so count what really arrives)
+const limitBytes = (maxBytes) => {
+  let received = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) return callback(httpError(413, `The file cannot be larger than ${maxBytes} bytes`));
+      callback(null, chunk);
+    }
+  });
+};
+
+// async iterable of pages → async iterable of users
+async function* eachUser(pages) {
+  for await (const page of pages) yield* page;
+}
+
+// maxBytes / maxRows → override the limits (tests use small ones)
+const createImportExportRouter = ({ store, ids, maxBytes = MAX_IMPORT_BYTES, maxRows = MAX_IMPORT_ROWS }) => {
+  const router = express.Router();
+
+  // Same columns both ways, so an export can be imported again as-is
+  const COLUMNS = ["id", ...Object.keys(userSchema)];
+
+  // CSV cells are always text → turn "22" into 22 where the schema wants a number
+  const coerceCsvRow = (data) => {
+    const result = { ...data };
+
+    for (const [field, value] of Object.entries(result)) {
+      const type = field === "id" ? (ids.name === "sequence" ? Number : String) : userSchema[field]?.type;
+
+      if (type === Number && /^-?\d+(\.\d+)?$/.test(value.trim())) result[field] = Number(value);
+      if (type === Boolean && ["true", "false"].includes(value)) result[field] = value === "true";
+    }
+
+    return result;
+  };
+
+  /* =========================
+     EXPORT
+  ========================= */
+  router.get("/export", async (req, res) => {
+    const { format = "csv", ...query } = req.query;
+    const writer = FORMATS[format];
+
+    if (!writer) {
+      return res.status(400).json({ message: `format must be one of: ${Object.keys(FORMATS).join(", ")}` });
+    }
+
+    // page / limit make no sense for a file → everything that matches
+    delete query.page;
+    delete query.limit;
+    const { options, errors } = parseListQuery(query);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid query", errors });
+    }
+
+    const pages = store.pages({ select: (users) => filterAndSort(users, options), size: BATCH_SIZE });
+
+    res.set("Content-Type", writer.contentType);
+    res.set("Content-Disposition", `attachment; filename="users.${format}"`);
+
+    await pipeline(Readable.from(writer.write(eachUser(pages), COLUMNS)), res);
+  });
+
+  /* =========================
+     IMPORT
+  ========================= */
+  router.post("/import", async (req, res) => {
+    let format = req.query.format;
+    if (!format && req.is("text/csv")) format = "csv";
+    if (!format && req.is("application/x-ndjson", "application/ndjson")) format = "ndjson";
+
+    const reader = FORMATS[format];
+
+    if (!reader) {
+      return res.status(415).json({
+        message: "Send text/csv or application/x-ndjson (or use ?format=csv|ndjson)"
+      });
+    }
+
+    // express.json() already read a JSON body → the stream is empty and
+    // we would "import" 0 rows. The file must come as text, not JSON.
+    if (req.is("application/json", "application/*+json")) {
+      return res.status(415).json({
+        message: `Send the ${format} file as ${format === "csv" ? "text/csv" : "application/x-ndjson"}, not application/json`
+      });
+    }
+
+    if (Number(req.get("Content-Length")) > maxBytes) {
+      return res.status(413).json({ message: `The file cannot be larger than ${maxBytes} bytes` });
+    }
+
+    const report = [];
+    let total = 0;
+    let created = 0;
+    let batch = [];
+    let stoppedAt = null; // Limit hit mid-file → message
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+
+      const { results } = await store.bulk(batch.map(item => item.op), { atomic: false, actor: req.actor });
+
+      results.forEach(({ data, error }, i) => {
+        if (error) report.push({ row: batch[i].row, status: error.statusCode || 500, message: error.message });
+        else created++;
+      });
+      batch = [];
+    };
+
+    try {
+      for await (const { row, data, error } of reader.read(req.pipe(limitBytes(maxBytes)))) {
+        if (row > maxRows) throw httpError(413, `The file cannot have more than ${maxRows} rows`);
+        total++;
+
+        if (error) {
+          report.push({ row, status: 400, message: error });
+          continue;
+        }
+
+        const input = format === "csv" ? coerceCsvRow(data) : data;
+        const { value, errors } = validate(userSchema, input, { allow: ["id"] });
+
+        if (value.id !== undefined && !ids.isValid(value.id)) {
+          errors.push({ field: "id", rule: "type", message: `id must be a valid ${ids.label}` });
+        }
+
+        if (errors.length > 0) {
+          report.push({ row, status: 400, message: "Validation failed", errors });
+          continue;
+        }
+
+        if (value.id !== undefined) value.id = ids.parse(value.id);
+        batch.push({ row, op: { type: "create", data: value } });
+
+        if (batch.length >= BATCH_SIZE) await flush();
+      }
+    } catch (err) {
+      if (err.statusCode !== 413) throw err;
+      stoppedAt = err.message;
+    }
+
+    await flush();
+
+    const failed = total - created;
+    report.sort((a, b) => a.row - b.row);
+
+    // 201 → all rows imported | 207 → some failed | 400 → none imported (or an empty file)
+    // 413 → stopped at a limit (rows before it are imported)
+    const status = stoppedAt ? 413 : total === 0 ? 400 : failed === 0 ? 201 : created > 0 ? 207 : 400;
+
+    res.status(status).json({
+      success: status === 201,
+      ...(stoppedAt && { message: `${stoppedAt}. Import stopped after row ${total}, rows before it were processed` }),
+      ...(!stoppedAt && total === 0 && { message: "The file has no rows to import" }),
+      summary: { total, created, failed },
+      errors: report
+    });
+  });
+
+  return router;
+};
+
+module.exports = createImportExportRouter;
@@ -0,0 +1,83 @@
+const fs = require("fs/promises");
+const path = require("path");
+const createMemoryStore = require("./memoryStore");
+
+/* =========================
+   JSON FILE STORE
+   Loads users.json once, then works exactly like the memory
+   store — but writes the whole array back to disk after every
+   change, so data survives restarts.
+
+   users.json → { "lastId": 7, "users": [...] }
+   lastId is saved too, so a purged id is not reused after a restart.
+   (A plain array from older versions is still read.)
+
+   A write that fails to save (disk full, bad path ...) is rolled
+   back in memory too → memory and file never disagree.
+========================= */
+
+// Atomic write: write to a temp file first, then rename it over the real one.
+// rename() is atomic on the same filesystem, so a crash mid-write can never
+// leave a half-written users.json behind.
+const writeFileAtomic = async (filePath, contents) => {
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+
+  try {
+    await fs.writeFile(tmpPath, contents, "utf8");
+    await fs.rename(tmpPath, filePath);
+  } catch (err) {
+    await fs.rm(tmpPath, { force: true });
+    throw err;
+  }
+};
+
+// → { users, lastId }
+const readUsers = async (filePath) => {
+  try {
+    const data = JSON.parse(await fs.readFile(filePath, "utf8"));
+    return Array.isArray(data) ? { users: data, lastId: 0 } : data;
+  } catch (err) {
+    if (err.code === "ENOENT") return { users: [], lastId: 0 }; // First run → no file yet
+    throw err;
+  }
+};
+
+const createFileStore = (filePath, options = {}) => {
+  // Writes are chained one after another so two requests
+  // never race each other while renaming the same file
+  let writeQueue = Promise.resolve();
+
+  const persist = (users, { lastId }) => {
+    const snapshot = JSON.stringify({ lastId, users }, null, 2);
+
+    writeQueue = writeQueue
+      .catch(() => {}) // A failed earlier write must not block later ones
+      .then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await writeFileAtomic(filePath, snapshot);
+      });
+
+    return writeQueue;
+  };
+
+  let ready = null;
+  const load = () => {
+    ready = ready || readUsers(filePath).then(({ users, lastId }) =>
+      createMemoryStore(users, { ...options, lastId, onChange: persist })
+    );
+    return ready;
+  };
+
+  // Same methods as the memory store, just waiting for the file to load first
+  const store = { name: "file" };
+  for (const method of ["list", "get", "create", "update", "remove", "restore", "bulk"]) {
+    store[method] = async (...args) => (await load())[method](...args);
+  }
+  store.pages = async function* (...args) {
+    yield* (await load()).pages(...args);
+  };
+
+  return store;
+};
+
+module.exports = createFileStore;
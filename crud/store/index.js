@@ -0,0 +1,40 @@
+const path = require("path");
+const createMemoryStore = require("./memoryStore");
+const createFileStore = require("./fileStore");
+
+/* =========================
+   STORAGE ADAPTER
+   Every store exposes the same async methods:
+
+   list({ trash })  → active users (or only trashed ones with trash: true)
+   pages({ trash, select, size }) → async iterator of arrays of at most
+                    `size` users (select(users) filters / sorts first)
+   get(id)          → one active user or null
+   create(user)     → saved user (id generated if missing, 409 if taken, version 1)
+   update(id, data, { versions, replace }) → updated user or null (412 on version mismatch)
+   remove(id, { versions, purge }) → soft-deleted (or purged) user or null
+   restore(id, { versions })       → user taken back out of the trash or null
+   bulk(ops, { atomic }) → many creates/updates/removes in one go,
+                           all-or-nothing when atomic (see memoryStore.js)
+
+   Route handlers only talk to this interface, so they
+   work unchanged whichever backend is selected.
+
+   USERS_STORE=memory (default) | file
+   USERS_FILE=/path/to/users.json (file store only)
+========================= */
+
+const DEFAULT_FILE = path.join(__dirname, "..", "data", "users.json");
+
+const createStore = (options = {}, type = process.env.USERS_STORE || "memory") => {
+  switch (type) {
+    case "memory":
+      return createMemoryStore([], options);
+    case "file":
+      return createFileStore(process.env.USERS_FILE || DEFAULT_FILE, options);
+    default:
+      throw new Error(`Unknown USERS_STORE "${type}" (use "memory" or "file")`);
+  }
+};
+
+module.exports = createStore;
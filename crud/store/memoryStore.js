@@ -0,0 +1,258 @@
+const { httpError } = require("../errors");
+
+/* =========================
+   IN-MEMORY STORE
+   Data lives in a plain array → lost on every restart.
+   Good for demos and quick local testing.
+
+   options.generateId(lastId) → id for a new user (see ids.js)
+   options.lastId            → highest id handed out before (saved by the file store)
+   options.onChange(users, { lastId }) → called after every write
+                               (the file store uses it to save to disk);
+                               if it throws, the write is rolled back
+   options.onWrite(change)   → called once per changed user, AFTER the
+                               write is saved (audit log uses it)
+                               change = { action, id, before, after, actor }
+
+   Every record carries a `version` (1 on create, +1 on each update)
+   used for ETags / If-Match → see etag.js
+
+   Soft delete: remove() only stamps `deletedAt`, the record stays
+   in the array (the "trash") until it is purged or restored.
+   Trashed users are invisible to get / update and to list()
+   unless asked for with { trash: true }.
+========================= */
+
+// Copy records in and out so callers can never mutate store state directly
+const clone = (value) => structuredClone(value);
+
+// Older data (saved before versions existed) starts at version 1
+const withVersion = (user) => ({ ...user, version: user.version || 1 });
+
+// versions = list of versions the caller expects (from If-Match)
+// undefined → no check at all
+const checkVersion = (user, versions) => {
+  if (versions && !versions.includes(user.version)) {
+    throw httpError(412, `User has been modified (current version is ${user.version})`);
+  }
+};
+
+const isDeleted = (user) => Boolean(user.deletedAt);
+
+// Numeric ids only (UUIDs count as 0)
+const highestId = (users) => users.reduce((max, u) => Math.max(max, Number(u.id) || 0), 0);
+
+const createMemoryStore = (initialUsers = [], options = {}) => {
+  const { generateId, onChange = async () => {}, onWrite = () => {} } = options;
+  let users = clone(initialUsers).map(withVersion);
+
+  // High-water mark, NOT max(id) of the live records → purging the
+  // newest user must not hand its id to the next one
+  let lastId = Math.max(options.lastId || 0, highestId(users));
+
+  // Changes made by the sync helpers, waiting to be reported to onWrite.
+  // Only reported once the write is saved (and NOT if a bulk rolls back)
+  let pending = [];
+  const track = (action, before, after) => {
+    pending.push({ action, id: (after || before).id, before: clone(before), after: clone(after) });
+  };
+
+  // ---- Writes ----
+  // One write at a time: apply → save (onChange) → report to onWrite.
+  // If saving fails, memory is rolled back to the snapshot, so it never
+  // holds a change the file doesn't. Queued, so no other write can have
+  // happened in between and the rollback loses nothing else.
+  // work(snapshot) → result; nothing tracked → nothing to save
+  let writeQueue = Promise.resolve();
+
+  const write = (actor = null, work) => {
+    const run = writeQueue.then(async () => {
+      const snapshot = { users: clone(users), lastId };
+      pending = [];
+
+      const result = work(snapshot);
+      const changes = pending;
+      pending = [];
+      if (changes.length === 0) return result;
+
+      try {
+        await onChange(users, { lastId });
+      } catch (err) {
+        ({ users, lastId } = snapshot);
+        throw err;
+      }
+
+      changes.forEach(change => onWrite({ ...change, actor }));
+      return result;
+    });
+
+    writeQueue = run.catch(() => {}); // A failed write must not block later ones
+    return run;
+  };
+
+  // ---- Sync helpers ----
+  // No await inside these, so a check + write can never interleave
+  // with another request (e.g. two requests grabbing the same id)
+
+  const insertOne = (user) => {
+    let record = clone(user);
+
+    if (record.id === undefined) {
+      record = { id: generateId(lastId), ...record };
+    } else if (users.some(u => u.id === record.id)) {
+      throw httpError(409, `User with id ${record.id} already exists`);
+    }
+
+    record.version = 1;
+    users.push(record);
+    lastId = Math.max(lastId, Number(record.id) || 0);
+    track("create", null, record);
+    return clone(record);
+  };
+
+  const findActiveIndex = (id) => users.findIndex(u => u.id === id && !isDeleted(u));
+
+  // replace: false → merge data into the user (PUT)
+  // replace: true  → data becomes the whole user (PATCH, so fields can be removed)
+  const updateOne = (id, data, versions, replace = false) => {
+    const index = findActiveIndex(id);
+    if (index === -1) return null;
+
+    const current = users[index];
+    checkVersion(current, versions);
+
+    // id & version are owned by the store, whatever the body says
+    const base = replace ? {} : current;
+    users[index] = { ...base, ...clone(data), id, version: current.version + 1 };
+    track("update", current, users[index]);
+    return clone(users[index]);
+  };
+
+  // purge: false → move to trash (only active users)
+  // purge: true  → delete for good (active OR already trashed)
+  const removeOne = (id, versions, purge = false) => {
+    const index = purge ? users.findIndex(u => u.id === id) : findActiveIndex(id);
+    if (index === -1) return null;
+
+    const user = users[index];
+    checkVersion(user, versions);
+
+    if (purge) {
+      users.splice(index, 1);
+      track("purge", user, null);
+      return clone(user);
+    }
+
+    users[index] = { ...user, deletedAt: new Date().toISOString(), version: user.version + 1 };
+    track("delete", user, users[index]);
+    return clone(users[index]);
+  };
+
+  const restoreOne = (id, versions) => {
+    const index = users.findIndex(u => u.id === id && isDeleted(u));
+    if (index === -1) return null;
+
+    const { deletedAt, ...user } = users[index];
+    checkVersion(user, versions);
+
+    const before = users[index];
+    users[index] = { ...user, version: user.version + 1 };
+    track("restore", before, users[index]);
+    return clone(users[index]);
+  };
+
+  const applyOperation = (op) => {
+    switch (op.type) {
+      case "create":
+        return insertOne(op.data);
+      case "update": {
+        const updated = updateOne(op.id, op.data, op.versions);
+        if (!updated) throw httpError(404, "User not found");
+        return updated;
+      }
+      case "remove": {
+        const removed = removeOne(op.id, op.versions, op.purge);
+        if (!removed) throw httpError(404, "User not found");
+        return op.purge ? { id: op.id } : removed;
+      }
+      default:
+        throw new Error(`Unknown bulk operation "${op.type}"`);
+    }
+  };
+
+  return {
+    name: "memory",
+
+    // { trash: true } → ONLY soft-deleted users, otherwise only active ones
+    async list({ trash = false } = {}) {
+      return clone(users.filter(u => isDeleted(u) === trash));
+    },
+
+    // Export → one page of copies at a time instead of a copy of everything.
+    // select(users) may filter / sort the records first (plain references:
+    // writes replace a record, never change it, so the pages stay one
+    // consistent snapshot even while other requests write)
+    async *pages({ trash = false, select = (list) => list, size = 500 } = {}) {
+      const selected = select(users.filter(u => isDeleted(u) === trash));
+
+      for (let i = 0; i < selected.length; i += size) {
+        yield clone(selected.slice(i, i + size));
+      }
+    },
+
+    async get(id) {
+      const user = users.find(u => u.id === id && !isDeleted(u));
+      return user ? clone(user) : null;
+    },
+
+    // Every write method accepts { actor } → who made the change (for the audit log)
+    async create(user, { actor } = {}) {
+      return write(actor, () => insertOne(user));
+    },
+
+    // options.versions → expected versions (If-Match), 412 on mismatch
+    // options.replace  → overwrite instead of merge
+    async update(id, data, { versions, replace = false, actor } = {}) {
+      return write(actor, () => updateOne(id, data, versions, replace));
+    },
+
+    // Returns the removed user (with deletedAt unless purged) or null
+    async remove(id, { versions, purge = false, actor } = {}) {
+      return write(actor, () => removeOne(id, versions, purge));
+    },
+
+    // Brings a user back from the trash → restored user or null
+    async restore(id, { versions, actor } = {}) {
+      return write(actor, () => restoreOne(id, versions));
+    },
+
+    // operations = [{ type: "create", data } | { type: "update", id, data } | { type: "remove", id }]
+    // (update / remove may also carry `versions`, remove may carry `purge`)
+    // atomic: true  → any failure rolls EVERYTHING back (all-or-nothing)
+    // atomic: false → each operation stands on its own (best-effort)
+    // Returns { applied, results: [{ data } | { error }] } in the same order
+    // One save for the whole batch, not one per item
+    async bulk(operations, { atomic = true, actor } = {}) {
+      return write(actor, (snapshot) => {
+        const results = operations.map(op => {
+          try {
+            return { data: applyOperation(op) };
+          } catch (error) {
+            return { error };
+          }
+        });
+
+        const failed = results.some(r => r.error);
+        if (atomic && failed) {
+          ({ users, lastId } = snapshot);
+          pending = []; // Rolled back → nothing happened, nothing to audit
+          return { applied: false, results };
+        }
+
+        return { applied: true, results };
+      });
+    }
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const createBulkRouter = require("../routes/bulk");
+const { startApp, createTestStore, sendJson } = require("./helpers");
+
+const setup = async (t, users = []) => {
+  const { store, ids } = createTestStore(users);
+  const url = await startApp(t, app => app.use("/users/bulk", createBulkRouter({ store, ids })));
+  return { store, url: `${url}/users/bulk` };
+};
+
+test("bulk create: everything valid → 201 with one result per item", async (t) => {
+  const { store, url } = await setup(t);
+
+  const res = await sendJson(url, "POST", { items: [{ name: "Ujjwal", age: 22 }, { name: "Asha" }] });
+  const body = await res.json();
+
+  assert.equal(res.status, 201);
+  assert.deepEqual(body.summary, { total: 2, succeeded: 2, failed: 0 });
+  assert.deepEqual(body.results.map(r => r.id), [1, 2]);
+  assert.equal((await store.list()).length, 2);
+});
+
+test("all-or-nothing: one invalid item → 400 and nothing saved", async (t) => {
+  const { store, url } = await setup(t);
+
+  const res = await sendJson(url, "POST", { items: [{ name: "Ujjwal" }, { name: 42 }] });
+  const body = await res.json();
+
+  assert.equal(res.status, 400);
+  assert.equal(body.applied, false);
+  assert.deepEqual(body.results.map(r => r.status), [424, 400]);
+  assert.deepEqual(await store.list(), []);
+});
+
+test("all-or-nothing: a store failure rolls back the items before it", async (t) => {
+  const { store, url } = await setup(t, [{ id: 1, name: "Ujjwal" }]);
+
+  const res = await sendJson(url, "PATCH", { items: [{ id: 1, name: "Changed" }, { id: 99, name: "Missing" }] });
+  const body = await res.json();
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(body.results.map(r => r.status), [424, 404]);
+  assert.equal((await store.get(1)).name, "Ujjwal");
+});
+
+test("best-effort: good items are saved, bad ones reported → 207", async (t) => {
+  const { store, url } = await setup(t, [{ id: 1, name: "Ujjwal" }]);
+
+  const res = await sendJson(`${url}?mode=best-effort`, "POST", { items: [{ name: "Asha" }, { id: 1, name: "Taken" }] });
+  const body = await res.json();
+
+  assert.equal(res.status, 207);
+  assert.deepEqual(body.results.map(r => r.status), [201, 409]);
+  assert.equal((await store.list()).length, 2);
+});
+
+test("bulk delete moves users to the trash, ?purge=true removes them", async (t) => {
+  const { store, url } = await setup(t, [{ id: 1, name: "Ujjwal" }, { id: 2, name: "Asha" }]);
+
+  assert.equal((await sendJson(url, "DELETE", { ids: [1] })).status, 200);
+  assert.equal((await store.list({ trash: true })).length, 1);
+
+  assert.equal((await sendJson(`${url}?purge=true`, "DELETE", { ids: [1, 2] })).status, 200);
+  assert.deepEqual(await store.list({ trash: true }), []);
+  assert.deepEqual(await store.list(), []);
+});
+
+test("bad batches are rejected before touching any item", async (t) => {
+  const { url } = await setup(t);
+
+  assert.equal((await sendJson(url, "POST", { items: [] })).status, 400);
+  assert.equal((await sendJson(`${url}?mode=yolo`, "POST", { items: [{ name: "Ujjwal" }] })).status, 400);
+  assert.equal((await sendJson(url, "POST", { items: Array(1001).fill({ name: "Ujjwal" }) })).status, 400);
+});
@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { etagFor, ifMatchVersions, noneMatchHit } = require("../etag");
+const { createTestStore } = require("./helpers");
+
+test("ETag is the quoted version", () => {
+  assert.equal(etagFor({ version: 3 }), '"3"');
+});
+
+test("If-Match: strong tags only, * means no check", () => {
+  assert.equal(ifMatchVersions(undefined), undefined);
+  assert.equal(ifMatchVersions("*"), undefined);
+  assert.deepEqual(ifMatchVersions('"3", "4"'), [3, 4]);
+  assert.deepEqual(ifMatchVersions('W/"3"'), []);
+});
+
+test("If-None-Match: weak comparison", () => {
+  const user = { version: 3 };
+
+  assert.equal(noneMatchHit('"3"', user), true);
+  assert.equal(noneMatchHit('W/"3"', user), true);
+  assert.equal(noneMatchHit('"2", "4"', user), false);
+  assert.equal(noneMatchHit("*", user), true);
+  assert.equal(noneMatchHit(undefined, user), false);
+});
+
+test("every write bumps the version", async () => {
+  const { store } = createTestStore();
+  const created = await store.create({ name: "Ujjwal" });
+
+  assert.equal(created.version, 1);
+  assert.equal((await store.update(created.id, { age: 22 })).version, 2);
+  assert.equal((await store.remove(created.id)).version, 3);
+  assert.equal((await store.restore(created.id)).version, 4);
+});
+
+test("a stale version gets a 412 and changes nothing", async () => {
+  const { store } = createTestStore();
+  const { id } = await store.create({ name: "Ujjwal" });
+  await store.update(id, { age: 22 }, { versions: [1] });
+
+  await assert.rejects(store.update(id, { age: 99 }, { versions: [1] }), { statusCode: 412 });
+  await assert.rejects(store.remove(id, { versions: [1] }), { statusCode: 412 });
+
+  // An empty list (only weak tags were sent) never matches
+  await assert.rejects(store.update(id, { age: 99 }, { versions: [] }), { statusCode: 412 });
+
+  assert.equal((await store.get(id)).age, 22);
+});
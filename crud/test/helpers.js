@@ -0,0 +1,46 @@
+const express = require("express");
+const createMemoryStore = require("../store/memoryStore");
+const createIdStrategy = require("../ids");
+
+/* =========================
+   TEST HELPERS
+   startApp(t, mount) → base URL of a throwaway app on a random port,
+   set up like index.js (JSON parsing, X-Actor, error handler).
+   Closed again when the test ends.
+========================= */
+
+const startApp = async (t, mount) => {
+  const app = express();
+  app.use(express.json({ limit: "1mb", type: ["application/json", "application/*+json"] }));
+  app.use((req, res, next) => {
+    req.actor = req.get("X-Actor") || "anonymous";
+    next();
+  });
+
+  mount(app);
+
+  app.use((err, req, res, next) => {
+    res.status(err.statusCode || 500).json({ message: err.message, ...err.details });
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  t.after(() => server.close());
+
+  return `http://127.0.0.1:${server.address().port}`;
+};
+
+// Fresh in-memory store with sequence ids
+const createTestStore = (users = [], options = {}) => {
+  const ids = createIdStrategy("sequence");
+  return { ids, store: createMemoryStore(users, { generateId: ids.next, ...options }) };
+};
+
+const sendJson = (url, method, body, headers = {}) => fetch(url, {
+  method,
+  headers: { "Content-Type": "application/json", ...headers },
+  body: JSON.stringify(body)
+});
+
+module.exports = { startApp, createTestStore, sendJson };
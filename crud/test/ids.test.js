@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const createIdStrategy = require("../ids");
+const createMemoryStore = require("../store/memoryStore");
+const createFileStore = require("../store/fileStore");
+
+test("sequence ids: parse, validate, next", () => {
+  const ids = createIdStrategy("sequence");
+
+  assert.equal(ids.parse("7"), 7);
+  assert.equal(ids.isValid(7), true);
+  assert.equal(ids.isValid(0), false);
+  assert.equal(ids.isValid("7"), false);
+  assert.equal(ids.next(6), 7);
+});
+
+test("uuid ids: parse, validate, next", () => {
+  const ids = createIdStrategy("uuid");
+
+  assert.equal(ids.isValid(ids.next(0)), true);
+  assert.equal(ids.parse("3B241101-E2BB-4255-8CAF-4136C566A962"), "3b241101-e2bb-4255-8caf-4136c566a962");
+  assert.equal(ids.isValid("not-a-uuid"), false);
+});
+
+test("unknown strategy is rejected", () => {
+  assert.throws(() => createIdStrategy("random"), /Unknown USERS_ID_STRATEGY "random"/);
+});
+
+test("client-supplied duplicate ids get a 409", async () => {
+  const store = createMemoryStore([], { generateId: createIdStrategy("sequence").next });
+  await store.create({ id: 5, name: "Ujjwal" });
+
+  await assert.rejects(store.create({ id: 5, name: "Asha" }), { statusCode: 409 });
+  assert.equal((await store.create({ name: "Ravi" })).id, 6);
+});
+
+test("a purged id is never handed out again", async () => {
+  const store = createMemoryStore([], { generateId: createIdStrategy("sequence").next });
+  await store.create({ name: "Ujjwal" });
+  const newest = await store.create({ name: "Asha" });
+
+  await store.remove(newest.id, { purge: true });
+
+  assert.equal((await store.create({ name: "Ravi" })).id, 3);
+});
+
+test("the id high-water mark survives a file store restart", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "crud-ids-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "users.json");
+  const { next } = createIdStrategy("sequence");
+
+  const first = createFileStore(file, { generateId: next });
+  await first.create({ name: "Ujjwal" });
+  await first.create({ name: "Asha" });
+  await first.remove(2, { purge: true });
+
+  const second = createFileStore(file, { generateId: next });
+  assert.equal((await second.create({ name: "Ravi" })).id, 3);
+});
+
+test("a rolled-back bulk create does not burn ids", async () => {
+  const store = createMemoryStore([], { generateId: createIdStrategy("sequence").next });
+
+  const { applied } = await store.bulk([
+    { type: "create", data: { name: "Ujjwal" } },
+    { type: "update", id: 99, data: { name: "missing" } }
+  ]);
+
+  assert.equal(applied, false);
+  assert.equal((await store.create({ name: "Asha" })).id, 1);
+});
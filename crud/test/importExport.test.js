@@ -0,0 +1,144 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const createImportExportRouter = require("../routes/importExport");
+const { startApp, createTestStore } = require("./helpers");
+
+const setup = async (t, users = [], limits = {}) => {
+  const { store, ids } = createTestStore(users);
+  const url = await startApp(t, app => app.use("/users", createImportExportRouter({ store, ids, ...limits })));
+  return { store, url: `${url}/users` };
+};
+
+const upload = (url, body, contentType = "text/csv", query = "") => fetch(`${url}/import${query}`, {
+  method: "POST",
+  headers: { "Content-Type": contentType },
+  body
+});
+
+// Body without Content-Length (chunked) → only the streaming byte count can stop it
+const uploadChunked = (url, chunks) => fetch(`${url}/import`, {
+  method: "POST",
+  headers: { "Content-Type": "application/x-ndjson" },
+  body: new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(new TextEncoder().encode(chunk)));
+      controller.close();
+    }
+  }),
+  duplex: "half"
+});
+
+const USERS = [
+  { id: 1, name: "Ujjwal", age: 22 },
+  { id: 2, name: "=cmd()", email: "a@test.com", age: 30 },
+  { id: 3, name: "Ravi, Jr.", age: 40 }
+];
+
+test("store.pages hands out copies one page at a time", async () => {
+  const { store } = createTestStore(USERS);
+
+  const pages = [];
+  for await (const page of store.pages({ size: 2 })) pages.push(page.map(u => u.id));
+  assert.deepEqual(pages, [[1, 2], [3]]);
+
+  const sorted = [];
+  for await (const page of store.pages({ select: users => [...users].reverse(), size: 2 })) sorted.push(...page.map(u => u.id));
+  assert.deepEqual(sorted, [3, 2, 1]);
+});
+
+test("CSV export quotes cells and defuses formulas", async (t) => {
+  const { url } = await setup(t, USERS);
+
+  const res = await fetch(`${url}/export?format=csv`);
+  assert.equal(res.headers.get("content-type"), "text/csv; charset=utf-8");
+  assert.equal(await res.text(), [
+    "id,name,email,age",
+    "1,Ujjwal,,22",
+    "2,'=cmd(),a@test.com,30",
+    '3,"Ravi, Jr.",,40',
+    ""
+  ].join("\r\n"));
+});
+
+test("NDJSON export honours filters and sort", async (t) => {
+  const { url } = await setup(t, USERS);
+
+  const text = await (await fetch(`${url}/export?format=ndjson&minAge=25&sort=age:desc`)).text();
+  assert.deepEqual(text.trim().split("\n").map(line => JSON.parse(line).id), [3, 2]);
+
+  assert.equal((await fetch(`${url}/export?format=xml`)).status, 400);
+  assert.equal((await fetch(`${url}/export?sort=password`)).status, 400);
+});
+
+test("an export imports back into an empty store unchanged", async (t) => {
+  const source = await setup(t, USERS);
+  const target = await setup(t);
+
+  const csv = await (await fetch(`${source.url}/export?format=csv`)).text();
+  const res = await upload(target.url, csv);
+
+  assert.equal(res.status, 201);
+  assert.deepEqual((await target.store.list()).map(({ version, ...u }) => u), USERS);
+});
+
+test("import reports bad rows and keeps the good ones", async (t) => {
+  const { store, url } = await setup(t, [{ id: 1, name: "Taken" }]);
+
+  const res = await upload(url, [
+    '{"name": "Asha", "age": 30}',
+    '{"name": 42}',
+    "not json",
+    '{"id": 1, "name": "Duplicate"}',
+    '{"name": "Ravi"}'
+  ].join("\n"), "application/x-ndjson");
+  const body = await res.json();
+
+  assert.equal(res.status, 207);
+  assert.deepEqual(body.summary, { total: 5, created: 2, failed: 3 });
+  assert.deepEqual(body.errors.map(e => [e.row, e.status]), [[2, 400], [3, 400], [4, 409]]);
+  assert.equal((await store.list()).length, 3);
+});
+
+test("JSON bodies and empty files are refused", async (t) => {
+  const { url } = await setup(t);
+
+  assert.equal((await upload(url, "[]", "application/json", "?format=csv")).status, 415);
+  assert.equal((await upload(url, "{}", "text/plain")).status, 415);
+
+  const empty = await upload(url, "id,name,email,age\r\n");
+  assert.equal(empty.status, 400);
+  assert.equal((await empty.json()).message, "The file has no rows to import");
+});
+
+test("a file over the size limit is refused up front", async (t) => {
+  const { store, url } = await setup(t, [], { maxBytes: 100 });
+
+  const res = await upload(url, `id,name\r\n${"1,Ujjwal\r\n".repeat(20)}`);
+
+  assert.equal(res.status, 413);
+  assert.deepEqual(await store.list(), []);
+});
+
+test("a streamed file is stopped once it passes the size limit", async (t) => {
+  const { store, url } = await setup(t, [], { maxBytes: 100 });
+  const line = '{"name": "Ujjwal"}\n'; // 19 bytes
+
+  const res = await uploadChunked(url, Array(10).fill(line));
+  const body = await res.json();
+
+  assert.equal(res.status, 413);
+  assert.match(body.message, /cannot be larger than 100 bytes/);
+  assert.ok((await store.list()).length < 10);
+});
+
+test("rows past the row limit are not imported", async (t) => {
+  const { store, url } = await setup(t, [], { maxRows: 2 });
+
+  const res = await upload(url, "name\r\nA1\r\nB2\r\nC3\r\n");
+  const body = await res.json();
+
+  assert.equal(res.status, 413);
+  assert.match(body.message, /more than 2 rows/);
+  assert.deepEqual(body.summary, { total: 2, created: 2, failed: 0 });
+  assert.deepEqual((await store.list()).map(u => u.name), ["A1", "B2"]);
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { applyJsonPatch, applyMergePatch, assertFieldsObject } = require("../patch");
+
+// Same cases as Practicing Season 2/test/patch.test.js → the two copies must agree
+
+const USER = { id: 1, name: "Ujjwal", age: 22, email: "u@test.com", skills: ["node", "react"] };
+
+test("JSON Patch: add, remove, replace, move, copy, test", () => {
+  const patched = applyJsonPatch(USER, [
+    { op: "test", path: "/name", value: "Ujjwal" },
+    { op: "replace", path: "/age", value: 23 },
+    { op: "remove", path: "/email" },
+    { op: "add", path: "/skills/-", value: "mongo" },
+    { op: "add", path: "/skills/0", value: "js" },
+    { op: "copy", from: "/name", path: "/nickname" },
+    { op: "move", from: "/nickname", path: "/alias" }
+  ]);
+
+  assert.deepEqual(patched, { id: 1, name: "Ujjwal", age: 23, skills: ["js", "node", "react", "mongo"], alias: "Ujjwal" });
+  assert.equal(USER.age, 22, "the original is never touched");
+});
+
+test("JSON Patch: a failing operation fails the whole patch with a 422", () => {
+  assert.throws(
+    () => applyJsonPatch(USER, [{ op: "replace", path: "/age", value: 23 }, { op: "test", path: "/name", value: "Asha" }]),
+    (err) => err.statusCode === 422 && err.details.operation.index === 1
+  );
+  assert.throws(() => applyJsonPatch(USER, [{ op: "remove", path: "/missing" }]), { statusCode: 422 });
+  assert.throws(() => applyJsonPatch(USER, [{ op: "add", path: "/skills/9", value: "x" }]), { statusCode: 422 });
+  assert.throws(() => applyJsonPatch(USER, [{ op: "jump", path: "/age" }]), { statusCode: 422 });
+  assert.throws(() => applyJsonPatch(USER, { op: "replace" }), { statusCode: 422 });
+});
+
+test("JSON Patch: protected paths and prototype keys cannot be written", () => {
+  assert.throws(() => applyJsonPatch(USER, [{ op: "replace", path: "/id", value: 2 }], { protectedPaths: ["/id"] }), { statusCode: 422 });
+  assert.throws(() => applyJsonPatch(USER, [{ op: "move", from: "/id", path: "/x" }], { protectedPaths: ["/id"] }), { statusCode: 422 });
+  assert.throws(() => applyJsonPatch(USER, [{ op: "replace", path: "", value: {} }]), { statusCode: 422 });
+  assert.throws(() => applyJsonPatch(USER, [{ op: "add", path: "/__proto__/admin", value: true }]), { statusCode: 422 });
+
+  // test only reads → allowed on protected paths
+  assert.deepEqual(applyJsonPatch(USER, [{ op: "test", path: "/id", value: 1 }], { protectedPaths: ["/id"] }), USER);
+});
+
+test("Merge Patch: set, nested merge, null removes", () => {
+  const patched = applyMergePatch({ ...USER, address: { city: "Delhi", pin: "110001" } }, {
+    age: 23,
+    email: null,
+    address: { pin: null, state: "DL" }
+  });
+
+  assert.deepEqual(patched, { id: 1, name: "Ujjwal", age: 23, skills: ["node", "react"], address: { city: "Delhi", state: "DL" } });
+});
+
+test("Merge Patch: the body must be an object of fields → 400", () => {
+  for (const body of [[{ name: "x" }], "Asha", 5, null, true]) {
+    assert.throws(() => applyMergePatch(USER, body), { statusCode: 400, message: "Request body must be a JSON object of fields to update" });
+    assert.throws(() => assertFieldsObject(body), { statusCode: 400 });
+  }
+  assert.doesNotThrow(() => assertFieldsObject({}));
+});
+
+test("Merge Patch: prototype keys are rejected", () => {
+  assert.throws(() => applyMergePatch(USER, JSON.parse('{"__proto__": {"admin": true}}')), { statusCode: 422 });
+  assert.throws(() => applyMergePatch(USER, { constructor: { prototype: {} } }), { statusCode: 422 });
+});
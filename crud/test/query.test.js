@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseListQuery, applyListQuery } = require("../query");
+
+const USERS = [
+  { id: 1, name: "Ujjwal", age: 22 },
+  { id: 2, name: "Asha", age: 30 },
+  { id: 3, name: "Ravi", age: 30 },
+  { id: 4, name: "Alina" },
+  { id: 5, name: "Karan", age: 17 }
+];
+
+const list = (query) => {
+  const { options, errors } = parseListQuery(query);
+  assert.deepEqual(errors, []);
+  return applyListQuery(USERS, options);
+};
+
+test("defaults: first page of 10, store order", () => {
+  const { data, pagination } = list({});
+
+  assert.deepEqual(data.map(u => u.id), [1, 2, 3, 4, 5]);
+  assert.deepEqual(pagination, { currentPage: 1, totalPages: 1, total: 5, limit: 10, hasNextPage: false, hasPrevPage: false });
+});
+
+test("filters by name (case-insensitive substring) and age range", () => {
+  assert.deepEqual(list({ name: "RA" }).data.map(u => u.id), [3, 5]);
+  assert.deepEqual(list({ name: " al " }).data.map(u => u.id), [1, 4]);
+  assert.deepEqual(list({ minAge: "18", maxAge: "30" }).data.map(u => u.id), [1, 2, 3]);
+});
+
+test("sorts by several fields, missing values last", () => {
+  assert.deepEqual(list({ sort: "age:desc,name" }).data.map(u => u.id), [2, 3, 1, 5, 4]);
+  assert.deepEqual(list({ sort: "age" }).data.map(u => u.id), [5, 1, 2, 3, 4]);
+});
+
+test("paginates with the shared envelope", () => {
+  const { data, pagination } = list({ sort: "id", page: "2", limit: "2" });
+
+  assert.deepEqual(data.map(u => u.id), [3, 4]);
+  assert.equal(pagination.totalPages, 3);
+  assert.equal(pagination.hasNextPage, true);
+  assert.equal(pagination.hasPrevPage, true);
+
+  assert.deepEqual(list({ page: "9" }).data, []);
+});
+
+test("bad query values are reported, not ignored", () => {
+  const fields = (query) => parseListQuery(query).errors.map(e => `${e.field}:${e.rule}`);
+
+  assert.deepEqual(fields({ page: "0", limit: "abc" }), ["page:type", "limit:type"]);
+  assert.deepEqual(fields({ limit: "101" }), ["limit:max"]);
+  assert.deepEqual(fields({ minAge: "" }), ["minAge:type"]);
+  assert.deepEqual(fields({ sort: "password:up" }), ["sort:enum", "sort:enum"]);
+  assert.deepEqual(fields({ page: ["1", "2"] }), ["page:type"]);
+});
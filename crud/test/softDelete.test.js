@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const createFileStore = require("../store/fileStore");
+const createIdStrategy = require("../ids");
+const { createTestStore } = require("./helpers");
+
+test("remove moves a user to the trash, restore brings it back", async () => {
+  const { store } = createTestStore([{ id: 1, name: "Ujjwal" }, { id: 2, name: "Asha" }]);
+
+  const removed = await store.remove(1);
+  assert.ok(removed.deletedAt);
+  assert.equal(await store.get(1), null);
+  assert.deepEqual((await store.list()).map(u => u.id), [2]);
+  assert.deepEqual((await store.list({ trash: true })).map(u => u.id), [1]);
+
+  // Trashed users can't be updated or removed again
+  assert.equal(await store.update(1, { name: "Changed" }), null);
+  assert.equal(await store.remove(1), null);
+
+  const restored = await store.restore(1);
+  assert.equal(restored.deletedAt, undefined);
+  assert.equal((await store.get(1)).name, "Ujjwal");
+  assert.equal(await store.restore(1), null);
+});
+
+test("purge deletes active and trashed users for good", async () => {
+  const { store } = createTestStore([{ id: 1, name: "Ujjwal" }, { id: 2, name: "Asha" }]);
+  await store.remove(2);
+
+  assert.ok(await store.remove(1, { purge: true }));
+  assert.ok(await store.remove(2, { purge: true }));
+  assert.deepEqual(await store.list(), []);
+  assert.deepEqual(await store.list({ trash: true }), []);
+  assert.equal(await store.restore(2), null);
+});
+
+test("a write that fails to save is rolled back in memory", async () => {
+  let failNext = false;
+  const written = [];
+  const { store } = createTestStore([{ id: 1, name: "Ujjwal" }], {
+    onChange: async () => {
+      if (failNext) throw new Error("disk full");
+    },
+    onWrite: (change) => written.push(change.action)
+  });
+
+  failNext = true;
+  await assert.rejects(store.update(1, { name: "Changed" }), /disk full/);
+  await assert.rejects(store.remove(1, { purge: true }), /disk full/);
+  await assert.rejects(store.bulk([{ type: "create", data: { name: "Asha" } }], { atomic: false }), /disk full/);
+
+  assert.deepEqual(await store.list(), [{ id: 1, name: "Ujjwal", version: 1 }]);
+  assert.deepEqual(written, []);
+
+  failNext = false;
+  assert.equal((await store.create({ name: "Asha" })).id, 2);
+  assert.deepEqual(written, ["create"]);
+});
+
+test("file store: memory matches the file after a failed write", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "crud-rollback-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "users.json");
+  const { next } = createIdStrategy("sequence");
+
+  const store = createFileStore(file, { generateId: next });
+  await store.create({ name: "Ujjwal" });
+
+  // A directory where users.json should be → rename fails
+  await fs.rm(file);
+  await fs.mkdir(file);
+  await assert.rejects(store.create({ name: "Asha" }));
+  assert.deepEqual((await store.list()).map(u => u.name), ["Ujjwal"]);
+
+  await fs.rm(file, { recursive: true });
+  await store.create({ name: "Ravi" });
+
+  const saved = JSON.parse(await fs.readFile(file, "utf8"));
+  assert.deepEqual(saved.users.map(u => [u.id, u.name]), [[1, "Ujjwal"], [2, "Ravi"]]);
+});
@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const createStore = require("../store");
+const createMemoryStore = require("../store/memoryStore");
+const createFileStore = require("../store/fileStore");
+const createIdStrategy = require("../ids");
+
+const ids = createIdStrategy("sequence");
+
+const tmpFile = async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "crud-store-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return path.join(dir, "users.json");
+};
+
+test("memory store: create, get, list, update, remove", async () => {
+  const store = createMemoryStore([], { generateId: ids.next });
+
+  const created = await store.create({ name: "Ujjwal", age: 22 });
+  assert.deepEqual(created, { id: 1, name: "Ujjwal", age: 22, version: 1 });
+  assert.deepEqual(await store.get(1), created);
+  assert.equal((await store.list()).length, 1);
+
+  const updated = await store.update(1, { age: 23 });
+  assert.equal(updated.age, 23);
+  assert.equal(updated.name, "Ujjwal");
+  assert.equal(await store.update(99, { age: 1 }), null);
+
+  assert.ok(await store.remove(1, { purge: true }));
+  assert.equal(await store.get(1), null);
+});
+
+test("memory store: returned records are copies", async () => {
+  const store = createMemoryStore([], { generateId: ids.next });
+  const created = await store.create({ name: "Ujjwal", age: 22, skills: ["node"] });
+
+  created.skills.push("hacked");
+  (await store.list())[0].name = "hacked";
+
+  assert.deepEqual(await store.get(created.id), { id: 1, name: "Ujjwal", age: 22, skills: ["node"], version: 1 });
+});
+
+test("file store: data survives a new store instance", async (t) => {
+  const file = await tmpFile(t);
+
+  const first = createFileStore(file, { generateId: ids.next });
+  await first.create({ name: "Ujjwal", age: 22 });
+  await first.create({ name: "Asha", age: 30 });
+
+  const second = createFileStore(file, { generateId: ids.next });
+  assert.deepEqual((await second.list()).map(u => u.name), ["Ujjwal", "Asha"]);
+  assert.equal((await second.create({ name: "Ravi", age: 40 })).id, 3);
+
+  assert.equal(JSON.parse(await fs.readFile(file, "utf8")).users.length, 3);
+});
+
+test("createStore picks the backend by name", () => {
+  assert.equal(createStore({}, "memory").name, "memory");
+  assert.equal(createStore({}, "file").name, "file");
+  assert.throws(() => createStore({}, "redis"), /Unknown USERS_STORE "redis"/);
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const userSchema = require("../userSchema");
+const { validate } = require("../validation");
+
+// The Mongoose rules this schema copies (plain JS, no mongoose needed)
+const userRules = require("../../Practicing Season 2/DatabaseAndSchema/userRules");
+
+test("name, email and age match the Mongoose rules", () => {
+  const { required: nameRequired, ...name } = userSchema.name;
+  const { required: firstNameRequired, ...firstName } = userRules.firstName;
+  assert.deepEqual(name, firstName);
+  assert.equal(nameRequired[0], firstNameRequired[0]);
+
+  // email is optional here on purpose, every other rule is the same
+  const { required: emailRequired, ...email } = userSchema.email;
+  const { required: mongooseEmailRequired, ...mongooseEmail } = userRules.email;
+  assert.deepEqual(email, mongooseEmail);
+  assert.equal(emailRequired, false);
+
+  assert.deepEqual(userSchema.age, userRules.age);
+});
+
+test("a valid user is sanitized", () => {
+  const { value, errors } = validate(userSchema, { name: "  Ujjwal ", email: " UJJWAL@Test.com ", age: 22 });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { name: "Ujjwal", email: "ujjwal@test.com", age: 22 });
+});
+
+test("age is optional, but must be a number in range when sent", () => {
+  assert.deepEqual(validate(userSchema, { name: "Ujjwal" }).errors, []);
+
+  const rules = (data) => validate(userSchema, data).errors.map(e => `${e.field}:${e.rule}`);
+  assert.deepEqual(rules({ name: "Ujjwal", age: "22" }), ["age:type"]);
+  assert.deepEqual(rules({ name: "Ujjwal", age: 12 }), ["age:min"]);
+  assert.deepEqual(rules({ name: "Ujjwal", age: 121 }), ["age:max"]);
+});
+
+test("every problem is reported per field", () => {
+  const { errors } = validate(userSchema, { name: 42, email: "nope", role: "admin" });
+
+  assert.deepEqual(errors.map(e => `${e.field}:${e.rule}`), ["role:unknown", "name:type", "email:match"]);
+});
+
+test("partial validation skips missing required fields, allow passes extras through", () => {
+  const { value, errors } = validate(userSchema, { id: 3, age: 30 }, { partial: true, allow: ["id"] });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { id: 3, age: 30 });
+});
+
+test("non-object bodies are rejected", () => {
+  for (const body of [null, [], "Ujjwal", 5]) {
+    assert.equal(validate(userSchema, body).errors[0].message, "Request body must be a JSON object");
+  }
+});
@@ -0,0 +1,43 @@
+/* =========================
+   USER SCHEMA (for request validation)
+   name / email / age follow the same rules as the Mongoose schema
+   in Practicing Season 2/DatabaseAndSchema/userRules.js
+   (firstName, email, age). They are copied here, not required from
+   there, so crud installs and runs on its own — change both together.
+   test/userSchema.test.js fails when the two drift apart.
+
+   Only deliberate difference: email is optional here (crud users
+   never had one), required in the Mongoose schema.
+========================= */
+
+const userSchema = {
+  // name follows the firstName rules (2-50 chars, trimmed)
+  name: {
+    type: String,
+    required: [true, "Name is required"],
+    minLength: [2, "First name must be at least 2 characters"],
+    maxLength: [50, "First name cannot exceed 50 characters"],
+    trim: true
+  },
+
+  // Optional here, but must be a valid email when sent
+  email: {
+    type: String,
+    required: false,
+    lowercase: true,
+    trim: true,
+    match: [
+      /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/,
+      "Please enter a valid email"
+    ]
+  },
+
+  // Optional, same as the Mongoose schema
+  age: {
+    type: Number,
+    min: [13, "Must be at least 13 years old"],
+    max: [120, "Age seems invalid"]
+  }
+};
+
+module.exports = userSchema;
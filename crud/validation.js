@@ -0,0 +1,170 @@
+/* =========================
+   REQUEST VALIDATION
+   Declarative, Mongoose-style field rules:
+
+   {
+     type: String | Number | Boolean | [String],
+     required: true | [true, "message"],
+     minLength / maxLength / min / max: value | [value, "message"],
+     match: /regex/ | [/regex/, "message"],
+     enum: [...values] | { values: [...], message },
+     trim / lowercase: true   → sanitizers, applied before the checks
+   }
+
+   Unlike Mongoose, values are NOT cast: age: "22" is a type error.
+========================= */
+
+// Rule can be written as `value` or `[value, "custom message"]`
+const readRule = (rule, defaultMessage) => {
+  if (Array.isArray(rule)) {
+    return { value: rule[0], message: rule[1] || defaultMessage(rule[0]) };
+  }
+  return { value: rule, message: defaultMessage(rule) };
+};
+
+const TYPE_CHECKS = new Map([
+  [String, (v) => typeof v === "string"],
+  [Number, (v) => typeof v === "number" && Number.isFinite(v)],
+  [Boolean, (v) => typeof v === "boolean"]
+]);
+
+const typeName = (type) => (Array.isArray(type) ? `array of ${typeName(type[0])}` : type.name.toLowerCase());
+
+const isOfType = (type, value) => {
+  if (Array.isArray(type)) {
+    return Array.isArray(value) && value.every(item => isOfType(type[0], item));
+  }
+  return TYPE_CHECKS.get(type)(value);
+};
+
+const sanitize = (def, value) => {
+  if (typeof value !== "string") return value;
+  if (def.trim) value = value.trim();
+  if (def.lowercase) value = value.toLowerCase();
+  return value;
+};
+
+// Returns the list of errors for ONE field (empty list → valid)
+const checkField = (field, def, value) => {
+  const errors = [];
+  const fail = (rule, message) => errors.push({ field, rule, message });
+
+  if (def.type && !isOfType(def.type, value)) {
+    fail("type", `${field} must be a ${typeName(def.type)}`);
+    return errors; // Other checks make no sense on the wrong type
+  }
+
+  const length = typeof value === "string" || Array.isArray(value) ? value.length : null;
+
+  if (def.minLength !== undefined && length !== null) {
+    const { value: min, message } = readRule(def.minLength, (n) => `${field} must be at least ${n} characters`);
+    if (length < min) fail("minLength", message);
+  }
+
+  if (def.maxLength !== undefined && length !== null) {
+    const { value: max, message } = readRule(def.maxLength, (n) => `${field} cannot exceed ${n} characters`);
+    if (length > max) fail("maxLength", message);
+  }
+
+  if (def.min !== undefined) {
+    const { value: min, message } = readRule(def.min, (n) => `${field} must be at least ${n}`);
+    if (value < min) fail("min", message);
+  }
+
+  if (def.max !== undefined) {
+    const { value: max, message } = readRule(def.max, (n) => `${field} must be at most ${n}`);
+    if (value > max) fail("max", message);
+  }
+
+  if (def.match !== undefined) {
+    const { value: regex, message } = readRule(def.match, () => `${field} has an invalid format`);
+    if (!regex.test(value)) fail("match", message);
+  }
+
+  if (def.enum !== undefined) {
+    const values = Array.isArray(def.enum) ? def.enum : def.enum.values;
+    const message = (def.enum.message || `${field} must be one of: ${values.join(", ")}`).replace("{VALUE}", value);
+    if (!values.includes(value)) fail("enum", message);
+  }
+
+  return errors;
+};
+
+const isRequired = (def) => Boolean(def.required && readRule(def.required, () => "").value);
+
+const requiredError = (field, def) => ({
+  field,
+  rule: "required",
+  message: readRule(def.required, () => `${field} is required`).message
+});
+
+/* =========================
+   validate(schema, data, options)
+   options.partial → only check fields that are present (for updates)
+   options.allow   → extra field names accepted as-is (e.g. "id")
+
+   Returns { value, errors }
+   value  = sanitized copy of data (trimmed, lowercased ...)
+   errors = [{ field, rule, message }]
+========================= */
+const validate = (schema, data, options = {}) => {
+  const { partial = false, allow = [] } = options;
+  const errors = [];
+  const value = {};
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { value, errors: [{ field: null, rule: "type", message: "Request body must be a JSON object" }] };
+  }
+
+  // Unknown fields → reject instead of silently saving them
+  for (const field of Object.keys(data)) {
+    if (!schema[field] && !allow.includes(field)) {
+      errors.push({ field, rule: "unknown", message: `${field} is not an allowed field` });
+    } else if (allow.includes(field)) {
+      value[field] = data[field];
+    }
+  }
+
+  for (const [field, def] of Object.entries(schema)) {
+    const raw = sanitize(def, data[field]);
+
+    if (raw === undefined) {
+      if (!partial && isRequired(def)) errors.push(requiredError(field, def));
+      continue;
+    }
+
+    // null / "" count as "missing" for required fields (same as Mongoose)
+    if (raw === null || (raw === "" && isRequired(def))) {
+      errors.push(isRequired(def)
+        ? requiredError(field, def)
+        : { field, rule: "type", message: `${field} cannot be null` });
+      continue;
+    }
+
+    errors.push(...checkField(field, def, raw));
+    value[field] = raw;
+  }
+
+  return { value, errors };
+};
+
+/* =========================
+   validateBody(schema, options) → Express middleware
+   400 with the full error list, or replaces req.body
+   with the sanitized value and calls next()
+========================= */
+const validateBody = (schema, options) => (req, res, next) => {
+  const { value, errors } = validate(schema, req.body, options);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      message: "Validation failed",
+      errors
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+module.exports = { validate, validateBody };